@@ -8,6 +8,11 @@
 import Gio from "gi://Gio";
 import GLib from "gi://GLib";
 
+import { parseElgatoTxt } from "./lib/txt.js";
+import { getLightId } from "./lib/parser.js";
+import { withScope, sortHostsByRank } from "./lib/hosts.js";
+import { DiscoveryProtocol, parseDiscoveryOptions } from "./lib/discoveryOptions.js";
+
 export const AVAHI_BUS_NAME = "org.freedesktop.Avahi";
 export const AVAHI_SERVER_PATH = "/";
 export const AVAHI_SERVER_IFACE = "org.freedesktop.Avahi.Server";
@@ -20,6 +25,8 @@ export const DISCOVERY_TIMEOUT_MS = 5000;
 // Avahi constants
 export const AVAHI_IF_UNSPEC = -1;
 export const AVAHI_PROTO_UNSPEC = -1;
+export const AVAHI_PROTO_INET = 0;
+export const AVAHI_PROTO_INET6 = 1;
 
 /**
  * Gets the system D-Bus connection.
@@ -92,311 +99,608 @@ export const platformDefaults = {
 };
 
 /**
- * Discovers Elgato Key Light devices on the local network using mDNS.
+ * Maps a discovery protocol to the Avahi protocol constant.
  *
- * Uses the Avahi D-Bus API to browse for devices advertising the _elg._tcp
- * service type. Returns a promise that resolves with an array of discovered
- * light objects.
+ * @param {string} protocol - One of DiscoveryProtocol
+ * @returns {number} AVAHI_PROTO_INET, AVAHI_PROTO_INET6 or AVAHI_PROTO_UNSPEC
+ */
+function getAvahiProtocol(protocol) {
+  if (protocol === DiscoveryProtocol.IPV4) {
+    return AVAHI_PROTO_INET;
+  }
+  if (protocol === DiscoveryProtocol.IPV6) {
+    return AVAHI_PROTO_INET6;
+  }
+  return AVAHI_PROTO_UNSPEC;
+}
+
+/**
+ * Looks up the index of a network interface through Avahi.
  *
- * @param {Object} [platform=platformDefaults] - Platform dependencies (for testing)
- * @returns {Promise<Array<{name: string, host: string, port: number}>>}
- *          Array of discovered light objects with name, host (IP), and port
- * @throws {Error} If Avahi daemon is not available or discovery fails
+ * @param {Gio.DBusConnection} bus - System bus connection
+ * @param {Object} platform - Platform dependencies
+ * @param {string} name - Interface name (e.g. "wlp2s0")
+ * @returns {Promise<number|null>} Interface index, or null if Avahi doesn't know the interface
  */
-export function discoverLights(platform = platformDefaults) {
-  return new Promise((resolve, reject) => {
-    const lights = new Map();
-    let browserPath = null;
-    let browserSignalId = null;
-    let allForNowSignalId = null;
-    let failureSignalId = null;
-    let resolverFoundSignalId = null;
-    let resolverFailureSignalId = null;
-    const resolverPaths = new Set();
-    const freedResolvers = new Set();
-    const completedResolvers = new Set();
-    let timeoutId = null;
-    let bus = null;
-    let completed = false;
-    let allForNowReceived = false;
-    let pendingResolvers = 0;
+function lookupInterfaceIndex(bus, platform, name) {
+  return new Promise((resolve) => {
+    bus.call(
+      AVAHI_BUS_NAME,
+      AVAHI_SERVER_PATH,
+      AVAHI_SERVER_IFACE,
+      "GetNetworkInterfaceIndexByName",
+      platform.createVariant("(s)", [name]),
+      platform.createVariantType("(i)"),
+      platform.DbusCallFlags.NONE,
+      -1,
+      null,
+      (_conn, result) => {
+        try {
+          resolve(bus.call_finish(result).recursiveUnpack()[0]);
+        } catch (e) {
+          console.error(`[ElgatoLights] Unknown network interface ${name}: ${e.message}`);
+          resolve(null);
+        }
+      },
+    );
+  });
+}
 
-    // Buffer for signals received before we know our browser path
-    const bufferedBrowserSignals = [];
+/**
+ * Builds a key identifying a service as announced on one interface and protocol.
+ *
+ * @param {Array} params - Signal parameters starting with [iface, protocol, name, type, domain]
+ * @returns {string} Service key
+ */
+function getServiceKey(params) {
+  const [iface, protocol, name, type, domain] = params;
+  return `${iface}|${protocol}|${name}|${type}|${domain}`;
+}
 
-    // Buffer for resolver signals received before the resolver path is tracked
-    const bufferedResolverSignals = [];
+/**
+ * Converts a resolver Found signal into a light object.
+ *
+ * @param {Array} params - Found signal parameters
+ * @returns {Object} Light object (see discoverLights())
+ */
+function lightFromFoundParams(params) {
+  // Found signal: (iissssisqaayu)
+  // interface, protocol, name, type, domain, host, aprotocol, address, port, txt, flags
+  // Link-local IPv6 addresses only work on the interface they were found on
+  const host = withScope(params[7], params[0]);
+  return {
+    name: params[2],
+    host,
+    addresses: [host],
+    port: params[8],
+    hostname: params[5] || null,
+    ...parseElgatoTxt(params[9]),
+  };
+}
 
-    /**
-     * Frees a resolver if not already freed.
-     *
-     * @param {string} resolverPath - D-Bus path of the resolver to free
-     */
-    const freeResolver = (resolverPath) => {
-      if (freedResolvers.has(resolverPath)) {
-        return;
-      }
-      freedResolvers.add(resolverPath);
+/**
+ * Builds the key used to report each device once, even when it is
+ * announced on several interfaces or addresses.
+ *
+ * @param {Object} light - Light object from lightFromFoundParams()
+ * @returns {string} Device id if advertised, otherwise "address:port"
+ */
+function getLightKey(light) {
+  return getLightId(light) ?? `${light.host}:${light.port}`;
+}
 
-      bus.call(
+/**
+ * Picks the light object with the preferred address (see getAddressRank()).
+ *
+ * The other addresses are kept in its addresses field, best ranked first,
+ * so the light can fall back to them when the preferred one is unreachable.
+ *
+ * @param {Array<Object>} candidates - Light objects for the same device
+ * @returns {Object} The candidate with the best ranked host, with the
+ *          addresses of every candidate
+ */
+function pickPreferredLight(candidates) {
+  const addresses = sortHostsByRank(candidates.flatMap((light) => light.addresses));
+  const preferred = candidates.find((light) => light.host === addresses[0]);
+  return { ...preferred, addresses };
+}
+
+/**
+ * Opens an Avahi service browser for Elgato lights and resolves every
+ * service it reports.
+ *
+ * Signals are subscribed before the browser is created, and signals that
+ * arrive before the browser or a resolver path is known are buffered.
+ * Each resolver is freed as soon as it reports Found or Failure.
+ *
+ * @param {Gio.DBusConnection} bus - System bus connection
+ * @param {Object} platform - Platform dependencies
+ * @param {Object} target - What to browse
+ * @param {number} target.iface - Interface index, or AVAHI_IF_UNSPEC
+ * @param {number} target.protocol - Avahi protocol, also used for resolved addresses
+ * @param {string} target.domain - Browse domain ("" for the default domain)
+ * @param {Object} handlers - Event handlers
+ * @param {Function} [handlers.onItemNew] - Called with the service key when a service appears
+ * @param {Function} handlers.onResolved - Called with the service key and the Found signal
+ *        parameters, or null if the service could not be resolved
+ * @param {Function} [handlers.onItemRemove] - Called with the service key when a service goes away
+ * @param {Function} [handlers.onAllForNow] - Called when the initial browse is complete
+ * @param {Function} handlers.onFailure - Called with an Error when the browser fails
+ * @returns {{stop: Function}} Handle whose stop() frees the browser and all resolvers
+ */
+function browseServices(bus, platform, target, handlers) {
+  let browserPath = null;
+  let stopped = false;
+  const signalIds = [];
+  const resolverKeys = new Map();
+  const freedResolvers = new Set();
+  const completedResolvers = new Set();
+
+  // Buffer for signals received before we know our browser path
+  const bufferedBrowserSignals = [];
+
+  // Buffer for resolver signals received before the resolver path is tracked
+  const bufferedResolverSignals = [];
+
+  /**
+   * Frees a D-Bus object created by the Avahi server.
+   *
+   * @param {string} path - D-Bus path of the object
+   * @param {string} iface - Interface of the object
+   */
+  const freeObject = (path, iface) => {
+    bus.call(
+      AVAHI_BUS_NAME,
+      path,
+      iface,
+      "Free",
+      null,
+      null,
+      platform.DbusCallFlags.NONE,
+      -1,
+      null,
+      () => {
+        // Ignore errors during cleanup - callback required for async D-Bus call
+      },
+    );
+  };
+
+  /**
+   * Frees a resolver if not already freed.
+   *
+   * @param {string} resolverPath - D-Bus path of the resolver to free
+   */
+  const freeResolver = (resolverPath) => {
+    if (freedResolvers.has(resolverPath)) {
+      return;
+    }
+    freedResolvers.add(resolverPath);
+    freeObject(resolverPath, AVAHI_SERVICE_RESOLVER_IFACE);
+  };
+
+  /**
+   * Handles an ItemNew signal by creating a resolver for the discovered service.
+   *
+   * @param {Array} params - Signal parameters: [iface, protocol, name, type, domain]
+   */
+  const handleItemNew = (params) => {
+    const [iface, protocol, name, type, domain] = params;
+    const key = getServiceKey(params);
+
+    handlers.onItemNew?.(key);
+
+    // Create a resolver for this service
+    bus.call(
+      AVAHI_BUS_NAME,
+      AVAHI_SERVER_PATH,
+      AVAHI_SERVER_IFACE,
+      "ServiceResolverNew",
+      platform.createVariant("(iisssiu)", [
+        iface,
+        protocol,
+        name,
+        type,
+        domain,
+        target.protocol,
+        0,
+      ]),
+      platform.createVariantType("(o)"),
+      platform.DbusCallFlags.NONE,
+      -1,
+      null,
+      (_conn, resolverResult) => {
+        try {
+          const resolverReply = bus.call_finish(resolverResult);
+          const resolverPath = resolverReply.get_child_value(0).get_string()[0];
+
+          if (stopped) {
+            freeResolver(resolverPath);
+            return;
+          }
+
+          // Track resolver for cleanup and signal filtering
+          resolverKeys.set(resolverPath, key);
+
+          // Process any buffered signals that arrived before we tracked this path
+          processBufferedResolverSignals(resolverPath);
+        } catch (e) {
+          if (stopped) return;
+          console.error(`[ElgatoLights] Failed to create resolver: ${e.message}`);
+          handlers.onResolved(key, null);
+        }
+      },
+    );
+  };
+
+  /**
+   * Handles a resolver Found or Failure signal.
+   *
+   * @param {string} resolverPath - D-Bus path of the resolver
+   * @param {Array|null} params - Found signal parameters, or null on Failure
+   */
+  const handleResolverResult = (resolverPath, params) => {
+    // Guard against duplicate signal delivery
+    if (completedResolvers.has(resolverPath)) {
+      return;
+    }
+    completedResolvers.add(resolverPath);
+
+    freeResolver(resolverPath);
+    handlers.onResolved(resolverKeys.get(resolverPath), params);
+  };
+
+  /**
+   * Dispatches a browser signal for our browser path.
+   *
+   * @param {string} signalName - Signal name
+   * @param {Array} params - Unpacked signal parameters
+   */
+  const handleBrowserSignal = (signalName, params) => {
+    if (signalName === "ItemNew") {
+      handleItemNew(params);
+    } else if (signalName === "ItemRemove") {
+      handlers.onItemRemove?.(getServiceKey(params));
+    } else if (signalName === "AllForNow") {
+      handlers.onAllForNow?.();
+    } else if (signalName === "Failure") {
+      handlers.onFailure(new Error(`Service browser failed: ${params[0]}`));
+    }
+  };
+
+  /**
+   * Processes any buffered browser signals that match our browser path.
+   */
+  const processBufferedBrowserSignals = () => {
+    for (const { signalName, path, params } of bufferedBrowserSignals) {
+      if (stopped) break;
+      if (path !== browserPath) continue;
+      handleBrowserSignal(signalName, params);
+    }
+    bufferedBrowserSignals.length = 0;
+  };
+
+  /**
+   * Processes any buffered resolver signals that match the given resolver path.
+   *
+   * @param {string} resolverPath - D-Bus path of the resolver to process signals for
+   */
+  const processBufferedResolverSignals = (resolverPath) => {
+    const matching = [];
+    const remaining = [];
+    for (const entry of bufferedResolverSignals) {
+      (entry.path === resolverPath ? matching : remaining).push(entry);
+    }
+    bufferedResolverSignals.length = 0;
+    bufferedResolverSignals.push(...remaining);
+
+    for (const entry of matching) {
+      handleResolverResult(entry.path, entry.signalName === "Found" ? entry.params : null);
+    }
+  };
+
+  // IMPORTANT: Subscribe to signals BEFORE creating the browser to avoid race condition.
+  // Use null for object path to receive signals from any browser, then filter by our browserPath.
+  for (const signalName of ["ItemNew", "ItemRemove", "AllForNow", "Failure"]) {
+    signalIds.push(
+      bus.signal_subscribe(
         AVAHI_BUS_NAME,
-        resolverPath,
-        AVAHI_SERVICE_RESOLVER_IFACE,
-        "Free",
+        AVAHI_SERVICE_BROWSER_IFACE,
+        signalName,
+        null, // Wildcard - receive from any browser
         null,
-        null,
-        platform.DbusCallFlags.NONE,
-        -1,
-        null,
-        () => {
-          // Ignore errors during cleanup - callback required for async D-Bus call
+        platform.DbusSignalFlags.NONE,
+        (_conn, _sender, path, _iface, _signal, params) => {
+          if (stopped) return;
+
+          const unpacked = params.recursiveUnpack();
+          if (browserPath === null) {
+            // Buffer signal until we know our browser path
+            bufferedBrowserSignals.push({ signalName, path, params: unpacked });
+          } else if (path === browserPath) {
+            handleBrowserSignal(signalName, unpacked);
+          }
         },
-      );
-    };
-
-    /**
-     * Checks if discovery should complete and triggers completion if ready.
-     * Discovery completes when AllForNow has been received and all pending
-     * resolvers have finished (either Found or Failure).
-     */
-    const checkCompletion = () => {
-      if (allForNowReceived && pendingResolvers === 0) {
-        complete();
-      }
-    };
+      ),
+    );
+  }
 
-    /**
-     * Cleans up all D-Bus subscriptions and resources.
-     */
-    const cleanup = () => {
-      if (timeoutId) {
-        platform.removeTimeout(timeoutId);
-        timeoutId = null;
-      }
+  // Buffer signals for resolver paths we don't know yet, process for known paths
+  for (const signalName of ["Found", "Failure"]) {
+    signalIds.push(
+      bus.signal_subscribe(
+        AVAHI_BUS_NAME,
+        AVAHI_SERVICE_RESOLVER_IFACE,
+        signalName,
+        null, // Wildcard - receive from any resolver
+        null,
+        platform.DbusSignalFlags.NONE,
+        (_conn, _sender, path, _iface, _signal, params) => {
+          if (stopped) return;
+
+          const unpacked = signalName === "Found" ? params.recursiveUnpack() : null;
+          if (resolverKeys.has(path)) {
+            // Process immediately if we know this resolver
+            handleResolverResult(path, unpacked);
+          } else {
+            // Buffer signal - resolver path may not be tracked yet due to race condition
+            bufferedResolverSignals.push({ signalName, path, params: unpacked });
+          }
+        },
+      ),
+    );
+  }
 
-      if (bus) {
-        if (browserSignalId) {
-          bus.signal_unsubscribe(browserSignalId);
-          browserSignalId = null;
-        }
-        if (allForNowSignalId) {
-          bus.signal_unsubscribe(allForNowSignalId);
-          allForNowSignalId = null;
-        }
-        if (failureSignalId) {
-          bus.signal_unsubscribe(failureSignalId);
-          failureSignalId = null;
-        }
-        if (resolverFoundSignalId) {
-          bus.signal_unsubscribe(resolverFoundSignalId);
-          resolverFoundSignalId = null;
-        }
-        if (resolverFailureSignalId) {
-          bus.signal_unsubscribe(resolverFailureSignalId);
-          resolverFailureSignalId = null;
+  // Now create the service browser - signals may already be arriving
+  try {
+    bus.call(
+      AVAHI_BUS_NAME,
+      AVAHI_SERVER_PATH,
+      AVAHI_SERVER_IFACE,
+      "ServiceBrowserNew",
+      platform.createVariant("(iissu)", [
+        target.iface,
+        target.protocol,
+        ELGATO_SERVICE_TYPE,
+        target.domain,
+        0,
+      ]),
+      platform.createVariantType("(o)"),
+      platform.DbusCallFlags.NONE,
+      -1,
+      null,
+      (_conn, result) => {
+        try {
+          const reply = bus.call_finish(result);
+          browserPath = reply.get_child_value(0).get_string()[0];
+        } catch (e) {
+          if (!stopped) {
+            handlers.onFailure(new Error(`Failed to create service browser: ${e.message}`));
+          }
+          return;
         }
 
-        // Free any resolvers that haven't been freed yet
-        for (const resolverPath of resolverPaths) {
-          freeResolver(resolverPath);
+        if (stopped) {
+          freeObject(browserPath, AVAHI_SERVICE_BROWSER_IFACE);
+          return;
         }
-      }
 
-      // Free the browser if created
-      if (bus && browserPath) {
-        bus.call(
-          AVAHI_BUS_NAME,
-          browserPath,
-          AVAHI_SERVICE_BROWSER_IFACE,
-          "Free",
-          null,
-          null,
-          platform.DbusCallFlags.NONE,
-          -1,
-          null,
-          () => {
-            // Ignore errors during cleanup - callback required for async D-Bus call
-          },
-        );
-        browserPath = null;
+        // Process any buffered signals that arrived before we knew our path
+        processBufferedBrowserSignals();
+      },
+    );
+  } catch (e) {
+    // Report asynchronously so callers always get their handle first
+    Promise.resolve().then(() => {
+      if (!stopped) {
+        handlers.onFailure(new Error(`Failed to initiate service browser: ${e.message}`));
       }
-    };
+    });
+  }
 
+  return {
     /**
-     * Completes the discovery with results.
-     *
-     * @param {Error|null} error - Error if discovery failed
+     * Unsubscribes from all signals and frees the browser and any resolvers.
      */
-    const complete = (error = null) => {
-      if (completed) return;
-      completed = true;
-      cleanup();
+    stop() {
+      if (stopped) return;
+      stopped = true;
 
-      if (error) {
-        reject(error);
-      } else {
-        resolve(Array.from(lights.values()));
+      for (const id of signalIds) {
+        bus.signal_unsubscribe(id);
       }
-    };
+      signalIds.length = 0;
 
-    /**
-     * Handles an ItemNew signal by creating a resolver for the discovered service.
-     *
-     * @param {Array} params - Signal parameters: [iface, protocol, name, type, domain]
-     */
-    const handleItemNew = (params) => {
-      const [iface, protocol, name, type, domain] = params;
+      // Free any resolvers that haven't been freed yet
+      for (const resolverPath of resolverKeys.keys()) {
+        freeResolver(resolverPath);
+      }
 
-      // Track that we're starting a resolver operation
-      pendingResolvers++;
+      // Free the browser if created; otherwise it is freed once its path is known
+      if (browserPath) {
+        freeObject(browserPath, AVAHI_SERVICE_BROWSER_IFACE);
+      }
+    },
+  };
+}
 
-      // Create a resolver for this service
-      bus.call(
-        AVAHI_BUS_NAME,
-        AVAHI_SERVER_PATH,
-        AVAHI_SERVER_IFACE,
-        "ServiceResolverNew",
-        platform.createVariant("(iisssiu)", [
-          iface,
-          protocol,
-          name,
-          type,
-          domain,
-          AVAHI_PROTO_UNSPEC,
-          0,
-        ]),
-        platform.createVariantType("(o)"),
-        platform.DbusCallFlags.NONE,
-        -1,
-        null,
-        (_conn, resolverResult) => {
-          try {
-            const resolverReply = bus.call_finish(resolverResult);
-            const resolverPath = resolverReply.get_child_value(0).get_string()[0];
-
-            // Track resolver for cleanup and signal filtering
-            resolverPaths.add(resolverPath);
-
-            // Process any buffered signals that arrived before we tracked this path
-            processBufferedResolverSignals(resolverPath);
-          } catch (e) {
-            console.error(`[ElgatoLights] Failed to create resolver: ${e.message}`);
-            pendingResolvers--;
-            checkCompletion();
-          }
-        },
+/**
+ * Opens a service browser for every interface and browse domain allowed by
+ * the discovery options (see browseServices()).
+ *
+ * Interface names are looked up first; unknown interfaces are skipped.
+ * onAllForNow is called once every browser has reported AllForNow or
+ * failed. A failing browser is logged, and onFailure is only called once
+ * every browser has failed or none of the interfaces exist.
+ *
+ * @param {Gio.DBusConnection} bus - System bus connection
+ * @param {Object} platform - Platform dependencies
+ * @param {Object} options - Discovery options (see parseDiscoveryOptions())
+ * @param {Object} handlers - Event handlers (see browseServices())
+ * @returns {{stop: Function}} Handle whose stop() frees every browser
+ */
+function browseAll(bus, platform, options, handlers) {
+  const { interfaces, protocol, domains } = parseDiscoveryOptions(options);
+  const browsers = [];
+  let stopped = false;
+
+  /**
+   * Opens the browsers once the interface indexes are known.
+   *
+   * @param {Array<number>} indexes - Interface indexes, or [AVAHI_IF_UNSPEC]
+   */
+  const start = (indexes) => {
+    if (stopped) return;
+
+    if (indexes.length === 0) {
+      handlers.onFailure(
+        new Error(`None of the network interfaces exist: ${interfaces.join(", ")}`),
       );
-    };
-
-    /**
-     * Handles an AllForNow signal indicating browsing is complete.
-     */
-    const handleAllForNow = () => {
-      allForNowReceived = true;
-      checkCompletion();
-    };
+      return;
+    }
 
-    /**
-     * Handles a browser Failure signal.
-     *
-     * @param {string} errorMsg - Error message from Avahi
-     */
-    const handleBrowserFailure = (errorMsg) => {
-      complete(new Error(`Service browser failed: ${errorMsg}`));
-    };
+    const total = indexes.length * domains.length;
+    let pending = total;
+    let failed = 0;
+
+    for (const iface of indexes) {
+      for (const domain of domains) {
+        let done = false;
+
+        /**
+         * Marks this browser's initial browse as complete.
+         *
+         * @returns {boolean} True if every browser is now complete
+         */
+        const finish = () => {
+          if (done) return false;
+          done = true;
+          return --pending === 0;
+        };
+
+        const target = { iface, protocol: getAvahiProtocol(protocol), domain };
+        browsers.push(
+          browseServices(bus, platform, target, {
+            ...handlers,
+            onAllForNow: () => {
+              if (finish()) {
+                handlers.onAllForNow?.();
+              }
+            },
+            onFailure: (error) => {
+              const complete = finish();
+              if (++failed === total) {
+                handlers.onFailure(error);
+                return;
+              }
+              console.error(`[ElgatoLights] ${error.message} (domain "${domain || "local"}")`);
+              if (complete) {
+                handlers.onAllForNow?.();
+              }
+            },
+          }),
+        );
+      }
+    }
+  };
+
+  if (interfaces.length === 0) {
+    start([AVAHI_IF_UNSPEC]);
+  } else {
+    Promise.all(interfaces.map((name) => lookupInterfaceIndex(bus, platform, name)))
+      .then((indexes) => start(indexes.filter((index) => index !== null)))
+      .catch((e) => {
+        if (stopped) return;
+        console.error(`[ElgatoLights] Failed to open service browsers: ${e.message}`);
+        handlers.onFailure(e);
+      });
+  }
 
+  return {
     /**
-     * Handles a resolver Found signal with the resolved service details.
-     *
-     * @param {string} resolverPath - D-Bus path of the resolver
-     * @param {Array} params - Signal parameters with service details
+     * Frees every browser, including those still waiting for interface indexes.
      */
-    const handleResolverFound = (resolverPath, params) => {
-      // Guard against duplicate signal delivery
-      if (completedResolvers.has(resolverPath)) {
-        return;
-      }
-      completedResolvers.add(resolverPath);
-
-      // Found signal: (iissssisqaayu)
-      // interface, protocol, name, type, domain, host, aprotocol, address, port, txt, flags
-      const serviceName = params[2];
-      const address = params[7];
-      const port = params[8];
-
-      // Use address as unique key to avoid duplicates
-      const key = `${address}:${port}`;
-      if (!lights.has(key)) {
-        lights.set(key, {
-          name: serviceName,
-          host: address,
-          port: port,
-        });
+    stop() {
+      stopped = true;
+      for (const browser of browsers) {
+        browser.stop();
       }
+    },
+  };
+}
 
-      freeResolver(resolverPath);
-      pendingResolvers--;
-      checkCompletion();
-    };
+/**
+ * Discovers Elgato Key Light devices on the local network using mDNS.
+ *
+ * Uses the Avahi D-Bus API to browse for devices advertising the _elg._tcp
+ * service type. Returns a promise that resolves with an array of discovered
+ * light objects.
+ *
+ * Besides the address, each light carries its .local hostname and the fields
+ * of its TXT record, so it can be identified before the first HTTP request.
+ * A light announced with several addresses is reported with the preferred
+ * one (see getAddressRank()) as host, and with all of them, best ranked
+ * first, as addresses to fall back to; link-local IPv6 addresses carry the
+ * index of the interface they were found on as scope (e.g. "fe80::1%3").
+ *
+ * The options limit discovery to some network interfaces or to one address
+ * family, and add browse domains for unicast DNS-SD.
+ *
+ * @param {Object} [platform=platformDefaults] - Platform dependencies (for testing)
+ * @param {Object} [options] - Discovery options (see parseDiscoveryOptions())
+ * @param {Array<string>} [options.interfaces] - Network interface names (default: all)
+ * @param {string} [options.protocol] - One of DiscoveryProtocol (default: any)
+ * @param {Array<string>} [options.domains] - Extra browse domains
+ * @returns {Promise<Array<{name: string, host: string, addresses: Array<string>, port: number,
+ *          hostname: string|null,
+ *          id: string|null, model: string|null, protocolVersion: string|null,
+ *          deviceType: number|null, manufacturer: string|null}>>}
+ *          Array of discovered light objects with name, host (IP), port, hostname
+ *          and TXT fields (see parseElgatoTxt())
+ * @throws {Error} If Avahi daemon is not available or discovery fails
+ */
+export function discoverLights(platform = platformDefaults, options = {}) {
+  return new Promise((resolve, reject) => {
+    const lights = new Map();
+    let browser = null;
+    let timeoutId = null;
+    let completed = false;
+    let allForNowReceived = false;
+    let pendingResolvers = 0;
 
     /**
-     * Handles a resolver Failure signal.
+     * Completes the discovery with results.
      *
-     * @param {string} resolverPath - D-Bus path of the resolver
+     * @param {Error|null} error - Error if discovery failed
      */
-    const handleResolverFailure = (resolverPath) => {
-      // Guard against duplicate signal delivery
-      if (completedResolvers.has(resolverPath)) {
-        return;
-      }
-      completedResolvers.add(resolverPath);
+    const complete = (error = null) => {
+      if (completed) return;
+      completed = true;
 
-      freeResolver(resolverPath);
-      pendingResolvers--;
-      checkCompletion();
-    };
+      if (timeoutId) {
+        platform.removeTimeout(timeoutId);
+        timeoutId = null;
+      }
+      browser?.stop();
 
-    /**
-     * Processes any buffered browser signals that match our browser path.
-     */
-    const processBufferedBrowserSignals = () => {
-      for (const { signalName, path, params } of bufferedBrowserSignals) {
-        if (path !== browserPath) continue;
-
-        if (signalName === "ItemNew") {
-          handleItemNew(params);
-        } else if (signalName === "AllForNow") {
-          handleAllForNow();
-        } else if (signalName === "Failure") {
-          handleBrowserFailure(params[0]);
-        }
+      if (error) {
+        reject(error);
+      } else {
+        resolve(Array.from(lights.values()));
       }
-      bufferedBrowserSignals.length = 0;
     };
 
     /**
-     * Processes any buffered resolver signals that match the given resolver path.
-     *
-     * @param {string} resolverPath - D-Bus path of the resolver to process signals for
+     * Checks if discovery should complete and triggers completion if ready.
+     * Discovery completes when AllForNow has been received and all pending
+     * resolvers have finished (either Found or Failure).
      */
-    const processBufferedResolverSignals = (resolverPath) => {
-      // Process buffered signals for this resolver path
-      const remaining = [];
-      for (const entry of bufferedResolverSignals) {
-        if (entry.path === resolverPath) {
-          if (entry.signalName === "Found") {
-            handleResolverFound(entry.path, entry.params);
-          } else if (entry.signalName === "Failure") {
-            handleResolverFailure(entry.path);
-          }
-        } else {
-          remaining.push(entry);
-        }
+    const checkCompletion = () => {
+      if (allForNowReceived && pendingResolvers === 0) {
+        complete();
       }
-      bufferedResolverSignals.length = 0;
-      bufferedResolverSignals.push(...remaining);
     };
 
+    let bus;
     try {
       bus = platform.getSystemBus();
     } catch (e) {
@@ -411,150 +715,156 @@ export function discoverLights(platform = platformDefaults) {
       return false; // GLib.SOURCE_REMOVE
     });
 
-    // IMPORTANT: Subscribe to signals BEFORE creating the browser to avoid race condition.
-    // Use null for object path to receive signals from any browser, then filter by our browserPath.
-
-    // Subscribe to ItemNew signal (null path = wildcard)
-    browserSignalId = bus.signal_subscribe(
-      AVAHI_BUS_NAME,
-      AVAHI_SERVICE_BROWSER_IFACE,
-      "ItemNew",
-      null, // Wildcard - receive from any browser
-      null,
-      platform.DbusSignalFlags.NONE,
-      (_conn, _sender, path, _iface, _signal, params) => {
-        if (completed) return;
-
-        const unpacked = params.recursiveUnpack();
-        if (browserPath === null) {
-          // Buffer signal until we know our browser path
-          bufferedBrowserSignals.push({ signalName: "ItemNew", path, params: unpacked });
-        } else if (path === browserPath) {
-          handleItemNew(unpacked);
-        }
+    browser = browseAll(bus, platform, options, {
+      onItemNew: () => {
+        // Track that we're starting a resolver operation
+        pendingResolvers++;
       },
-    );
-
-    // Subscribe to AllForNow signal (null path = wildcard)
-    allForNowSignalId = bus.signal_subscribe(
-      AVAHI_BUS_NAME,
-      AVAHI_SERVICE_BROWSER_IFACE,
-      "AllForNow",
-      null, // Wildcard - receive from any browser
-      null,
-      platform.DbusSignalFlags.NONE,
-      (_conn, _sender, path, _iface, _signal, _params) => {
-        if (completed) return;
-
-        if (browserPath === null) {
-          // Buffer signal until we know our browser path
-          bufferedBrowserSignals.push({ signalName: "AllForNow", path, params: [] });
-        } else if (path === browserPath) {
-          handleAllForNow();
+      onResolved: (_key, params) => {
+        if (params) {
+          // Use the device id, or the address without one, to avoid duplicates
+          const light = lightFromFoundParams(params);
+          const key = getLightKey(light);
+          const existing = lights.get(key);
+          lights.set(key, existing ? pickPreferredLight([existing, light]) : light);
         }
+        pendingResolvers--;
+        checkCompletion();
       },
-    );
-
-    // Subscribe to browser Failure signal (null path = wildcard)
-    failureSignalId = bus.signal_subscribe(
-      AVAHI_BUS_NAME,
-      AVAHI_SERVICE_BROWSER_IFACE,
-      "Failure",
-      null, // Wildcard - receive from any browser
-      null,
-      platform.DbusSignalFlags.NONE,
-      (_conn, _sender, path, _iface, _signal, params) => {
-        if (completed) return;
-
-        const unpacked = params.recursiveUnpack();
-        if (browserPath === null) {
-          // Buffer signal until we know our browser path
-          bufferedBrowserSignals.push({ signalName: "Failure", path, params: unpacked });
-        } else if (path === browserPath) {
-          handleBrowserFailure(unpacked[0]);
-        }
+      onAllForNow: () => {
+        allForNowReceived = true;
+        checkCompletion();
       },
-    );
+      onFailure: (error) => complete(error),
+    });
+  });
+}
 
-    // Subscribe to resolver Found signal (null path = wildcard)
-    // Buffer signals for resolver paths we don't know yet, process for known paths
-    resolverFoundSignalId = bus.signal_subscribe(
-      AVAHI_BUS_NAME,
-      AVAHI_SERVICE_RESOLVER_IFACE,
-      "Found",
-      null, // Wildcard - receive from any resolver
-      null,
-      platform.DbusSignalFlags.NONE,
-      (_conn, _sender, path, _iface, _signal, params) => {
-        if (completed) return;
-
-        const unpacked = params.recursiveUnpack();
-        if (resolverPaths.has(path)) {
-          // Process immediately if we know this resolver
-          handleResolverFound(path, unpacked);
-        } else {
-          // Buffer signal - resolver path may not be tracked yet due to race condition
-          bufferedResolverSignals.push({ signalName: "Found", path, params: unpacked });
-        }
-      },
-    );
+/**
+ * Watches the local network for Elgato lights until stopped.
+ *
+ * Unlike discoverLights(), the Avahi service browser stays open and lights
+ * are reported as they appear (ItemNew) and disappear (ItemRemove). A light
+ * announced on several interfaces or protocols is reported once, with its
+ * preferred address (see getAddressRank()), and is only reported as removed
+ * when its last announcement goes away.
+ *
+ * @param {Object} callbacks - Event callbacks
+ * @param {Function} callbacks.onAdded - Called with a light object (see discoverLights())
+ *        when a light appears
+ * @param {Function} [callbacks.onUpdated] - Called with a new light object when the
+ *        preferred address of a light, or the addresses it falls back to, change
+ * @param {Function} callbacks.onRemoved - Called with the last reported light object when
+ *        it disappears
+ * @param {Function} [callbacks.onError] - Called with an Error if watching fails; the
+ *        watcher is stopped before it is called
+ * @param {Object} [platform=platformDefaults] - Platform dependencies (for testing)
+ * @param {Object} [options] - Discovery options (see discoverLights())
+ * @returns {{stop: Function}} Watcher handle; call stop() to close the browsers
+ * @throws {Error} If the system D-Bus is not available
+ */
+export function watchLights(callbacks, platform = platformDefaults, options = {}) {
+  let bus;
+  try {
+    bus = platform.getSystemBus();
+  } catch (e) {
+    throw new Error(`Failed to connect to system D-Bus: ${e.message}`);
+  }
 
-    // Subscribe to resolver Failure signal (null path = wildcard)
-    // Buffer signals for resolver paths we don't know yet, process for known paths
-    resolverFailureSignalId = bus.signal_subscribe(
-      AVAHI_BUS_NAME,
-      AVAHI_SERVICE_RESOLVER_IFACE,
-      "Failure",
-      null, // Wildcard - receive from any resolver
-      null,
-      platform.DbusSignalFlags.NONE,
-      (_conn, _sender, path, _iface, _signal, _params) => {
-        if (completed) return;
-
-        if (resolverPaths.has(path)) {
-          // Process immediately if we know this resolver
-          handleResolverFailure(path);
-        } else {
-          // Buffer signal - resolver path may not be tracked yet due to race condition
-          bufferedResolverSignals.push({ signalName: "Failure", path, params: [] });
-        }
-      },
-    );
+  // Service key -> light key (see getLightKey()), or null while resolving
+  const services = new Map();
+  // Light key -> { light: as last reported, services: Map of service key -> resolved light }
+  const lights = new Map();
+  let stopped = false;
+
+  /**
+   * Reports a light again if its preferred address or its other addresses
+   * changed.
+   *
+   * @param {Object} entry - Entry of the lights map
+   */
+  const updatePreferredAddress = (entry) => {
+    const preferred = pickPreferredLight([...entry.services.values()]);
+    if (
+      preferred.host !== entry.light.host ||
+      preferred.port !== entry.light.port ||
+      preferred.addresses.join() !== entry.light.addresses.join()
+    ) {
+      entry.light = preferred;
+      callbacks.onUpdated?.(preferred);
+    }
+  };
+
+  /**
+   * Detaches a service from its light and reports the light as removed
+   * once no service refers to it anymore.
+   *
+   * @param {string} serviceKey - Service key
+   */
+  const detachService = (serviceKey) => {
+    const lightKey = services.get(serviceKey);
+    const entry = lightKey ? lights.get(lightKey) : null;
+    if (!entry) return;
+
+    entry.services.delete(serviceKey);
+    if (entry.services.size === 0) {
+      lights.delete(lightKey);
+      callbacks.onRemoved(entry.light);
+    } else {
+      updatePreferredAddress(entry);
+    }
+  };
 
-    // Now create the service browser - signals may already be arriving
-    try {
-      bus.call(
-        AVAHI_BUS_NAME,
-        AVAHI_SERVER_PATH,
-        AVAHI_SERVER_IFACE,
-        "ServiceBrowserNew",
-        platform.createVariant("(iissu)", [
-          AVAHI_IF_UNSPEC,
-          AVAHI_PROTO_UNSPEC,
-          ELGATO_SERVICE_TYPE,
-          "",
-          0,
-        ]),
-        platform.createVariantType("(o)"),
-        platform.DbusCallFlags.NONE,
-        -1,
-        null,
-        (_conn, result) => {
-          try {
-            const reply = bus.call_finish(result);
-            browserPath = reply.get_child_value(0).get_string()[0];
+  const watcher = {
+    /**
+     * Stops watching and frees the service browsers.
+     */
+    stop() {
+      if (stopped) return;
+      stopped = true;
+      browser.stop();
+    },
+  };
+
+  const browser = browseAll(bus, platform, options, {
+    onItemNew: (serviceKey) => {
+      if (!services.has(serviceKey)) {
+        services.set(serviceKey, null);
+      }
+    },
+    onResolved: (serviceKey, params) => {
+      // Ignore services that were removed while resolving
+      if (stopped || !params || !services.has(serviceKey)) return;
+
+      const light = lightFromFoundParams(params);
+      const lightKey = getLightKey(light);
+      if (services.get(serviceKey) !== lightKey) {
+        // The service is new, or moved to an address of another light
+        detachService(serviceKey);
+        services.set(serviceKey, lightKey);
+      }
 
-            // Process any buffered signals that arrived before we knew our path
-            processBufferedBrowserSignals();
-          } catch (e) {
-            complete(new Error(`Failed to create service browser: ${e.message}`));
-          }
-        },
-      );
-    } catch (e) {
-      complete(new Error(`Failed to initiate service browser: ${e.message}`));
-    }
+      const entry = lights.get(lightKey);
+      if (!entry) {
+        lights.set(lightKey, { light, services: new Map([[serviceKey, light]]) });
+        callbacks.onAdded(light);
+        return;
+      }
+      entry.services.set(serviceKey, light);
+      updatePreferredAddress(entry);
+    },
+    onItemRemove: (serviceKey) => {
+      if (stopped) return;
+      detachService(serviceKey);
+      services.delete(serviceKey);
+    },
+    onFailure: (error) => {
+      watcher.stop();
+      callbacks.onError?.(error);
+    },
   });
+
+  return watcher;
 }
 
 /**
@@ -6,13 +6,50 @@
  */
 
 import Soup from "gi://Soup?version=3.0";
+import Gio from "gi://Gio";
 import GLib from "gi://GLib";
 
+import {
+  createDefaultState,
+  parseLightsPayload,
+  buildLightsPayload,
+  MODE_WHITE,
+  MODE_COLOR,
+} from "./lib/lightState.js";
+import { parseDeviceSettings, buildDeviceSettings } from "./lib/deviceSettings.js";
+export { isBatteryLow, getBatteryIconName, LOW_BATTERY_LEVEL } from "./lib/battery.js";
+export { getSignalLevel, formatWifiBand } from "./lib/wifi.js";
+export { formatAddress } from "./lib/hosts.js";
+export { createRetryPolicy } from "./lib/retryPolicy.js";
+import { normalizeDisplayName } from "./lib/parser.js";
+import { parseBatteryInfo, parseEnergySaving } from "./lib/battery.js";
+import { parseWifiInfo } from "./lib/wifi.js";
+import { WriteQueue } from "./lib/writeQueue.js";
+import { createRetryPolicy, getRetryDelay, CircuitBreaker } from "./lib/retryPolicy.js";
+import { computeFadeSteps, FADE_STEP_MS } from "./lib/fade.js";
+import { Brightness } from "./lib/conversions.js";
+import { formatUrlHost } from "./lib/hosts.js";
+
 // Re-export conversion utilities from lib (testable without GI dependencies)
-export { Temperature, Brightness } from "./lib/conversions.js";
+export { Temperature, TemperatureScale, Brightness, Hue, Saturation } from "./lib/conversions.js";
+export { MODE_WHITE, MODE_COLOR } from "./lib/lightState.js";
+export {
+  FadeDuration,
+  POWER_ON_RESTORE_LAST,
+  POWER_ON_USE_DEFAULTS,
+} from "./lib/deviceSettings.js";
 
 const TIMEOUT_SECONDS = 5;
 
+/**
+ * Reachability of a light, derived from the outcome of its requests.
+ */
+export const LightStatus = {
+  UNKNOWN: "unknown",
+  ONLINE: "online",
+  OFFLINE: "offline",
+};
+
 /**
  * Represents a single Elgato Key Light device.
  *
@@ -26,8 +63,21 @@ export class ElgatoLight {
    * @param {string} name - The display name of the light (from mDNS discovery)
    * @param {string} host - The IP address or hostname of the light
    * @param {number} port - The port number (default: 9123)
+   * @param {Object} [options] - Optional settings
+   * @param {Object} [options.retryPolicy] - Retry policy values (see createRetryPolicy())
+   * @param {number} [options.fadeDurationMs] - Fade duration for on/off and setState() (0 = instant)
+   * @param {string} [options.deviceId] - Device id from the mDNS TXT record
+   * @param {string} [options.model] - Model from the mDNS TXT record, shown until fetchInfo()
+   * @param {string} [options.hostname] - The .local hostname from mDNS
+   * @param {Array<string>} [options.addresses] - Every address the light was found on, best first
+   * @param {string} [options.serialNumber] - Serial number remembered from an earlier fetchInfo()
+   * @param {string} [options.firmwareVersion] - Firmware version remembered from an earlier fetchInfo()
+   * @param {string} [options.alias] - Local name shown instead of the light's own name
+   * @param {boolean} [options.pinned] - Whether the light was added manually
+   * @param {number} [options.missedDiscoveries] - Discoveries in a row that missed the light
+   * @param {number} [options.lastSeen] - When the light last answered, in ms since the epoch
    */
-  constructor(name, host, port = 9123) {
+  constructor(name, host, port = 9123, options = {}) {
     this.name = name;
     this.host = host;
     this.port = port;
@@ -35,52 +85,321 @@ export class ElgatoLight {
       timeout: TIMEOUT_SECONDS,
     });
 
-    // Cached state
-    this.on = false;
-    this.brightness = 50;
-    this.temperature = 200;
+    // Optional fade for on/off and setState(). Each new change bumps the
+    // generation, which stops a fade that is still in progress.
+    this.fadeDurationMs = options.fadeDurationMs ?? 0;
+    this._fadeGeneration = 0;
+
+    // Reachability, updated from request outcomes
+    this.status = LightStatus.UNKNOWN;
+    this._statusListeners = new Map();
+    this._nextListenerId = 1;
+
+    // Retry policy and circuit breaker shared by every request to this light
+    this._retryPolicy = createRetryPolicy(options.retryPolicy);
+    this._circuitBreaker = new CircuitBreaker(this._retryPolicy);
+
+    // Cancels every in-flight request when the light is destroyed
+    this._cancellable = new Gio.Cancellable();
+
+    // Pending retry backoff timers: source ID -> resolve function
+    this._delays = new Map();
+    this._destroyed = false;
+
+    // Cached state, one entry per light channel reported by the device
+    this.channels = [createDefaultState()];
     this.displayName = name;
 
+    // Whether the light can show colors (such as the Light Strip)
+    this.supportsColor = Boolean(options.model?.includes("Light Strip"));
+
+    // State writes run one at a time. Writes submitted while another is in
+    // flight are merged, so the latest value always wins and several slider
+    // changes end up in a single PUT.
+    this._writeQueue = new WriteQueue(
+      (mutations) => this._putStates(mutations.reduce((states, m) => m(states), this.channels)),
+      (pending, mutations) => [...pending, ...mutations],
+    );
+
+    // Identity advertised over mDNS, known before the first request
+    this.deviceId = options.deviceId ?? null;
+    this.hostname = options.hostname ?? null;
+
+    // Manually added lights are kept even when discovery doesn't find them
+    this.pinned = Boolean(options.pinned);
+
+    // Local name from the preferences, never sent to the device
+    this.alias = options.alias ?? null;
+
+    // Other addresses the light was found on, best first, tried when the
+    // current host stops answering
+    this.addresses = options.addresses ?? [];
+
+    // Time of the last response from the light, in ms since the epoch
+    this.lastSeen = options.lastSeen ?? null;
+
+    // Cached lights that recent discoveries missed are kept as unconfirmed
+    this.missedDiscoveries = options.missedDiscoveries ?? 0;
+
     // Accessory info (populated by fetchInfo)
-    this.productName = null;
-    this.firmwareVersion = null;
-    this.serialNumber = null;
+    this.productName = options.model ?? null;
+    this.firmwareVersion = options.firmwareVersion ?? null;
+    this.serialNumber = options.serialNumber ?? null;
     this.hardwareBoardType = null;
+    this.wifi = null;
+
+    // Power-on and fade settings (populated by fetchSettings)
+    this.settings = null;
+
+    // Battery state for battery-powered lights (populated by fetchBatteryInfo).
+    // hasBattery stays null until the device has been asked.
+    this.hasBattery = null;
+    this.battery = null;
+    this.energySaving = null;
+  }
+
+  /**
+   * Points the light at a new address, e.g. after DHCP handed out a new IP.
+   *
+   * Resets the circuit breaker, as failures at the old address say nothing
+   * about the new one.
+   *
+   * @param {string} host - The new IP address or hostname
+   * @param {number} port - The new port number
+   */
+  setAddress(host, port) {
+    if (host === this.host && port === this.port) {
+      return;
+    }
+    this.host = host;
+    this.port = port;
+    this._circuitBreaker.reset();
+  }
+
+  /**
+   * Whether the light was missed by the last discovery and is only known
+   * from the cache.
+   *
+   * @returns {boolean} True if the light is unconfirmed
+   */
+  get unconfirmed() {
+    return this.missedDiscoveries > 0;
+  }
+
+  /**
+   * Name shown in the menu: the local alias if set, otherwise the name
+   * stored on the device.
+   *
+   * @returns {string}
+   */
+  get label() {
+    return this.alias || this.displayName || this.name;
+  }
+
+  /**
+   * Gets the configuration stored in the cached-lights setting.
+   *
+   * @returns {{name: string, host: string, port: number, hostname: string|null,
+   *            addresses: Array<string>, id: string|null, serialNumber: string|null, model: string|null,
+   *            firmwareVersion: string|null, alias: string|null, pinned: boolean,
+   *            missedDiscoveries: number, lastSeen: number|null}}
+   *          Light configuration
+   */
+  toConfig() {
+    return {
+      name: this.name,
+      host: this.host,
+      port: this.port,
+      hostname: this.hostname,
+      addresses: this.addresses,
+      id: this.deviceId,
+      serialNumber: this.serialNumber,
+      model: this.productName,
+      firmwareVersion: this.firmwareVersion,
+      alias: this.alias,
+      pinned: this.pinned,
+      missedDiscoveries: this.missedDiscoveries,
+      lastSeen: this.lastSeen,
+    };
   }
 
   /**
    * Delays execution for the specified number of milliseconds.
    *
+   * The timer is tracked so destroy() can remove it; the promise then
+   * resolves early.
+   *
    * @param {number} ms - Delay duration in milliseconds
    * @returns {Promise<void>}
    * @private
    */
   _delay(ms) {
     return new Promise((resolve) => {
-      GLib.timeout_add(GLib.PRIORITY_DEFAULT, ms, () => {
+      const id = GLib.timeout_add(GLib.PRIORITY_DEFAULT, ms, () => {
+        this._delays.delete(id);
         resolve();
         return GLib.SOURCE_REMOVE;
       });
+      this._delays.set(id, resolve);
     });
   }
 
   /**
-   * Sends an HTTP request with retry logic and linear backoff.
+   * Logs a failed request unless it failed because the light was destroyed.
    *
-   * Retries on transient errors (5xx status codes and network failures).
-   * Uses linear backoff: 1s, 2s, 3s delays between retries.
+   * @param {string} message - Description of the failed operation
+   * @param {{error?: Error, cancelled?: boolean}} result - Result from _sendWithRetry()
+   * @private
+   */
+  _logRequestError(message, result) {
+    if (!result.cancelled) {
+      console.error(`[ElgatoLights] ${message}: ${result.error?.message}`);
+    }
+  }
+
+  /**
+   * Registers a callback invoked whenever the light's reachability changes.
+   *
+   * @param {Function} callback - Called with (light, status)
+   * @returns {number} Listener ID for removeStatusListener()
+   */
+  addStatusListener(callback) {
+    const id = this._nextListenerId++;
+    this._statusListeners.set(id, callback);
+    return id;
+  }
+
+  /**
+   * Removes a callback registered with addStatusListener().
+   *
+   * @param {number} id - Listener ID
+   */
+  removeStatusListener(id) {
+    this._statusListeners.delete(id);
+  }
+
+  /**
+   * Updates the reachability status and notifies listeners if it changed.
+   *
+   * @param {string} status - One of LightStatus
+   * @private
+   */
+  _setStatus(status) {
+    if (this.status === status || this._destroyed) {
+      return;
+    }
+    this.status = status;
+
+    for (const callback of this._statusListeners.values()) {
+      try {
+        callback(this, status);
+      } catch (e) {
+        console.error(`[ElgatoLights] Status listener failed for ${this.name}: ${e.message}`);
+      }
+    }
+  }
+
+  /**
+   * Retries an unreachable light right away, bypassing the circuit breaker.
+   *
+   * @returns {Promise<boolean>} True if the light answered
+   */
+  async retryConnection() {
+    this._circuitBreaker.reset();
+    return this.fetchState();
+  }
+
+  /**
+   * Replaces the retry policy used for requests to this light.
+   *
+   * The circuit breaker keeps its current state and uses the new thresholds
+   * from the next request on.
+   *
+   * @param {Object} policy - Retry policy values (see createRetryPolicy())
+   */
+  setRetryPolicy(policy) {
+    this._retryPolicy = createRetryPolicy(policy);
+    this._circuitBreaker.configure(this._retryPolicy);
+  }
+
+  /**
+   * Sends an HTTP request with retry logic and exponential backoff.
+   *
+   * Retries on transient errors (5xx status codes and network failures)
+   * according to the light's retry policy, with jittered exponential delays.
+   * While the light's circuit breaker is open the request fails immediately.
+   * Requests and backoff delays stop as soon as the light is destroyed.
+   *
+   * When the light can't be reached on its current host, its other known
+   * addresses are tried in turn, and the first one that answers becomes the
+   * light's host.
+   *
+   * @param {string} method - HTTP method (GET, PUT, etc.)
+   * @param {string} path - API path (e.g. "/elgato/lights")
+   * @param {string|null} body - JSON body for PUT requests, null for GET
+   * @returns {Promise<{success: boolean, bytes?: GLib.Bytes, status?: number, error?: Error,
+   *                    cancelled?: boolean}>}
+   * @private
+   */
+  async _sendWithRetry(method, path, body = null) {
+    if (!this._circuitBreaker.canRequest()) {
+      this._setStatus(LightStatus.OFFLINE);
+      return {
+        success: false,
+        error: new Error("Light unreachable, skipping request until it recovers"),
+      };
+    }
+
+    let result = await this._sendAttempts(method, `${this.baseUrl}${path}`, body);
+
+    for (const host of this.addresses) {
+      if (!result.unreachable || this._destroyed) {
+        break;
+      }
+      if (host === this.host) {
+        continue;
+      }
+
+      const url = `http://${formatUrlHost(host)}:${this.port}${path}`;
+      const fallback = await this._sendAttempts(method, url, body);
+      if (!fallback.unreachable && !fallback.cancelled) {
+        console.error(
+          `[ElgatoLights] ${this.name} unreachable on ${this.host}, switching to ${host}`,
+        );
+        this.host = host;
+      }
+      result = fallback;
+    }
+
+    if (result.unreachable) {
+      // Every attempt on every address failed without reaching the light
+      this._circuitBreaker.recordFailure();
+      this._setStatus(LightStatus.OFFLINE);
+    }
+
+    return result;
+  }
+
+  /**
+   * Sends an HTTP request to one URL, retrying transient errors.
    *
    * @param {string} method - HTTP method (GET, PUT, etc.)
    * @param {string} url - The URL to send the request to
    * @param {string|null} body - JSON body for PUT requests, null for GET
-   * @param {number} maxRetries - Maximum number of retry attempts (default: 3)
-   * @returns {Promise<{success: boolean, bytes?: GLib.Bytes, status?: number, error?: Error}>}
+   * @returns {Promise<{success: boolean, bytes?: GLib.Bytes, status?: number, error?: Error,
+   *                    cancelled?: boolean, unreachable?: boolean}>}
+   *          Result, with unreachable set if every attempt failed without a response
    * @private
    */
-  async _sendWithRetry(method, url, body = null, maxRetries = 3) {
+  async _sendAttempts(method, url, body) {
+    const { maxAttempts } = this._retryPolicy;
     let lastError = null;
 
-    for (let attempt = 0; attempt < maxRetries; attempt++) {
+    for (let attempt = 0; attempt < maxAttempts; attempt++) {
+      if (this._cancellable.is_cancelled()) {
+        return { success: false, cancelled: true, error: new Error("Request cancelled") };
+      }
+
       try {
         const message = Soup.Message.new(method, url);
 
@@ -91,20 +410,29 @@ export class ElgatoLight {
           );
         }
 
-        const bytes = await this._session.send_and_read_async(message, GLib.PRIORITY_DEFAULT, null);
+        const bytes = await this._session.send_and_read_async(
+          message,
+          GLib.PRIORITY_DEFAULT,
+          this._cancellable,
+        );
 
         const status = message.get_status();
 
+        // Any HTTP response means the light is reachable
+        this._circuitBreaker.recordSuccess();
+        this.lastSeen = Date.now();
+        this._setStatus(LightStatus.ONLINE);
+
         // Success
         if (status === Soup.Status.OK) {
           return { success: true, bytes, status };
         }
 
         // Server error (5xx) - retry with backoff
-        if (status >= 500 && attempt < maxRetries - 1) {
-          const delayMs = 1000 * (attempt + 1);
+        if (status >= 500 && attempt < maxAttempts - 1) {
+          const delayMs = getRetryDelay(this._retryPolicy, attempt);
           console.error(
-            `[ElgatoLights] Server error ${status} from ${this.name}, retrying in ${delayMs}ms (attempt ${attempt + 1}/${maxRetries})`,
+            `[ElgatoLights] Server error ${status} from ${this.name}, retrying in ${delayMs}ms (attempt ${attempt + 1}/${maxAttempts})`,
           );
           await this._delay(delayMs);
           continue;
@@ -117,13 +445,17 @@ export class ElgatoLight {
           error: new Error(`HTTP ${status}`),
         };
       } catch (e) {
+        if (e.matches?.(Gio.IOErrorEnum, Gio.IOErrorEnum.CANCELLED)) {
+          return { success: false, cancelled: true, error: e };
+        }
+
         lastError = e;
 
         // Network error - retry with backoff
-        if (attempt < maxRetries - 1) {
-          const delayMs = 1000 * (attempt + 1);
+        if (attempt < maxAttempts - 1) {
+          const delayMs = getRetryDelay(this._retryPolicy, attempt);
           console.error(
-            `[ElgatoLights] Network error from ${this.name}: ${e.message}, retrying in ${delayMs}ms (attempt ${attempt + 1}/${maxRetries})`,
+            `[ElgatoLights] Network error from ${this.name}: ${e.message}, retrying in ${delayMs}ms (attempt ${attempt + 1}/${maxAttempts})`,
           );
           await this._delay(delayMs);
           continue;
@@ -133,35 +465,291 @@ export class ElgatoLight {
 
     return {
       success: false,
+      unreachable: true,
       error: lastError || new Error("Max retries exceeded"),
     };
   }
 
   /**
    * Returns the base URL for API requests.
+   * IPv6 hosts are bracketed, with the scope of link-local addresses kept.
    *
-   * @returns {string} The base URL (e.g., "http://192.168.1.100:9123")
+   * @returns {string} The base URL (e.g., "http://192.168.1.100:9123" or
+   *          "http://[fe80::1%253]:9123")
    */
   get baseUrl() {
-    return `http://${this.host}:${this.port}`;
+    return `http://${formatUrlHost(this.host)}:${this.port}`;
+  }
+
+  /**
+   * Whether a state write is running or waiting in the write queue.
+   *
+   * @returns {boolean}
+   */
+  get hasPendingWrites() {
+    return !this._writeQueue.idle;
+  }
+
+  /**
+   * Whether any channel of the light is on.
+   *
+   * @returns {boolean}
+   */
+  get on() {
+    return this.channels.some((channel) => channel.on);
+  }
+
+  /**
+   * Brightness of the primary channel (3-100).
+   *
+   * @returns {number}
+   */
+  get brightness() {
+    return this.channels[0].brightness;
+  }
+
+  /**
+   * Color temperature of the primary channel in API units (143-344).
+   *
+   * @returns {number}
+   */
+  get temperature() {
+    return this.channels[0].temperature;
+  }
+
+  /**
+   * Hue of the primary channel in degrees, or null if never reported.
+   *
+   * @returns {number|null}
+   */
+  get hue() {
+    return this.channels[0].hue;
+  }
+
+  /**
+   * Saturation of the primary channel in percent, or null if never reported.
+   *
+   * @returns {number|null}
+   */
+  get saturation() {
+    return this.channels[0].saturation;
+  }
+
+  /**
+   * Mode of the primary channel (MODE_WHITE or MODE_COLOR).
+   *
+   * @returns {string}
+   */
+  get mode() {
+    return this.channels[0].mode;
+  }
+
+  /**
+   * Updates the cached channel states from parsed light entries.
+   *
+   * Values the device did not report (e.g. temperature while in color mode)
+   * keep their previous value so switching modes can restore them.
+   *
+   * @param {Array<Object>} states - Normalized states from parseLightsPayload()
+   * @private
+   */
+  _applyStates(states) {
+    this.channels = states.map((state, index) => {
+      const previous = this.channels[index] ?? createDefaultState();
+      if (state.hue !== null) {
+        this.supportsColor = true;
+      }
+      return {
+        on: state.on,
+        brightness: state.brightness,
+        mode: state.mode,
+        temperature: state.temperature ?? previous.temperature,
+        hue: state.hue ?? previous.hue,
+        saturation: state.saturation ?? previous.saturation,
+      };
+    });
+  }
+
+  /**
+   * Sends the state of every channel to the device and updates the cache on success.
+   *
+   * @param {Array<Object>} states - Normalized states to send, one per channel
+   * @returns {Promise<boolean>} True if successful, false otherwise
+   * @private
+   */
+  async _putStates(states) {
+    const payload = buildLightsPayload(states);
+
+    const result = await this._sendWithRetry("PUT", "/elgato/lights", JSON.stringify(payload));
+
+    if (!result.success) {
+      this._logRequestError(`Failed to set state on ${this.name}`, result);
+      return false;
+    }
+
+    // Update local cache with the values actually sent
+    this._applyStates(parseLightsPayload(payload));
+
+    return true;
+  }
+
+  /**
+   * Queues a state write through the per-light write queue.
+   *
+   * The mutation is applied to the cached channel states when the write
+   * actually runs, after every mutation submitted before it.
+   *
+   * @param {Function} mutation - Maps an array of channel states to the new states
+   * @returns {Promise<boolean>} True if the write containing this change succeeded
+   * @private
+   */
+  _enqueueWrite(mutation) {
+    this._cancelFade();
+    return this._writeQueue.push([mutation]);
+  }
+
+  /**
+   * Stops a fade in progress; its remaining steps are not sent.
+   * @private
+   */
+  _cancelFade() {
+    this._fadeGeneration++;
+  }
+
+  /**
+   * Sets the fade duration used for on/off and setState().
+   *
+   * @param {number} ms - Fade duration in milliseconds (0 = instant)
+   */
+  setFadeDuration(ms) {
+    this.fadeDurationMs = Math.max(0, ms);
+  }
+
+  /**
+   * Queues a single step of a fade, applying the changes to every channel.
+   *
+   * Unlike _enqueueWrite() this does not cancel the fade it belongs to.
+   *
+   * @param {Object} changes - State fields to change
+   * @returns {Promise<boolean>} True if successful, false otherwise
+   * @private
+   */
+  _writeFadeStep(changes) {
+    return this._writeQueue.push([(states) => states.map((state) => ({ ...state, ...changes }))]);
+  }
+
+  /**
+   * Moves brightness (and optionally temperature) to a target over a duration
+   * with a series of intermediate writes.
+   *
+   * Switching on fades up from minimum brightness; switching off fades down
+   * to minimum and then switches off at the original brightness, so the next
+   * switch-on restores it. Any other change to the light stops the fade.
+   *
+   * @param {Object} target - Target values
+   * @param {boolean} [target.on] - Target on/off state (default: unchanged)
+   * @param {number} [target.brightness] - Target brightness (default: unchanged)
+   * @param {number} [target.temperature] - Target temperature; also switches to white mode
+   * @param {number} durationMs - Fade duration in milliseconds
+   * @returns {Promise<boolean>} True if the fade completed, false if it failed or was cancelled
+   */
+  async fadeTo(target, durationMs) {
+    const generation = ++this._fadeGeneration;
+    const wasOn = this.on;
+    const on = target.on ?? wasOn;
+    const brightness = target.brightness ?? this.brightness;
+    const temperatureChanges =
+      target.temperature !== undefined ? { temperature: target.temperature, mode: MODE_WHITE } : {};
+
+    // Nothing visible to fade while the light stays off
+    if (!on && !wasOn) {
+      return this._writeFadeStep({ on, brightness, ...temperatureChanges });
+    }
+
+    const from = {
+      brightness: wasOn ? this.brightness : Brightness.MIN,
+      temperature: this.temperature,
+    };
+    const to = {
+      brightness: on ? brightness : Brightness.MIN,
+      temperature: target.temperature ?? this.temperature,
+    };
+
+    const steps = computeFadeSteps(from, to, durationMs);
+    for (let i = 0; i < steps.length; i++) {
+      if (i > 0) {
+        await this._delay(FADE_STEP_MS);
+      }
+      if (generation !== this._fadeGeneration || this._destroyed) {
+        return false;
+      }
+
+      const step = steps[i];
+      const changes = { on: true, brightness: step.brightness };
+      if (target.temperature !== undefined) {
+        changes.temperature = step.temperature;
+        changes.mode = MODE_WHITE;
+      }
+      if (!(await this._writeFadeStep(changes))) {
+        return false;
+      }
+    }
+
+    if (on) {
+      return true;
+    }
+
+    await this._delay(FADE_STEP_MS);
+    if (generation !== this._fadeGeneration || this._destroyed) {
+      return false;
+    }
+    return this._writeFadeStep({ on: false, brightness, ...temperatureChanges });
+  }
+
+  /**
+   * Applies the same changes to every channel of the light.
+   *
+   * @param {Object} changes - State fields to change (on, brightness, temperature, ...)
+   * @returns {Promise<boolean>} True if successful, false otherwise
+   * @private
+   */
+  async _updateAllChannels(changes) {
+    return this._enqueueWrite((states) => states.map((state) => ({ ...state, ...changes })));
+  }
+
+  /**
+   * Updates a single channel, sending the other channels unchanged.
+   *
+   * @param {number} index - Channel index in the device's lights array
+   * @param {Object} changes - State fields to change (on, brightness, temperature,
+   *                           hue, saturation, mode)
+   * @returns {Promise<boolean>} True if successful, false otherwise
+   */
+  async setChannelState(index, changes) {
+    if (index < 0 || index >= this.channels.length) {
+      console.error(`[ElgatoLights] Invalid channel ${index} for ${this.name}`);
+      return false;
+    }
+
+    return this._enqueueWrite((states) =>
+      states.map((state, i) => (i === index ? { ...state, ...changes } : state)),
+    );
   }
 
   /**
    * Fetches the current state from the light device.
    *
    * Updates the internal state cache with the current on/off status,
-   * brightness, and color temperature values.
+   * brightness, and color temperature values of every channel.
+   * Color-capable lights also report hue and saturation.
    *
    * @returns {Promise<boolean>} True if successful, false otherwise
    */
   async fetchState() {
-    const url = `${this.baseUrl}/elgato/lights`;
-    const result = await this._sendWithRetry("GET", url);
+    const result = await this._sendWithRetry("GET", "/elgato/lights");
 
     if (!result.success) {
-      console.error(
-        `[ElgatoLights] Failed to fetch state from ${this.name}: ${result.error?.message}`,
-      );
+      this._logRequestError(`Failed to fetch state from ${this.name}`, result);
       return false;
     }
 
@@ -170,11 +758,9 @@ export class ElgatoLight {
       const text = decoder.decode(result.bytes.get_data());
       const data = JSON.parse(text);
 
-      if (data.lights && data.lights.length > 0) {
-        const light = data.lights[0];
-        this.on = light.on === 1;
-        this.brightness = light.brightness;
-        this.temperature = light.temperature;
+      const states = parseLightsPayload(data);
+      if (states.length > 0) {
+        this._applyStates(states);
       }
 
       return true;
@@ -193,13 +779,10 @@ export class ElgatoLight {
    * @returns {Promise<Object|null>} The accessory info object or null on failure
    */
   async fetchInfo() {
-    const url = `${this.baseUrl}/elgato/accessory-info`;
-    const result = await this._sendWithRetry("GET", url);
+    const result = await this._sendWithRetry("GET", "/elgato/accessory-info");
 
     if (!result.success) {
-      console.error(
-        `[ElgatoLights] Failed to fetch info from ${this.name}: ${result.error?.message}`,
-      );
+      this._logRequestError(`Failed to fetch info from ${this.name}`, result);
       return null;
     }
 
@@ -214,6 +797,10 @@ export class ElgatoLight {
       }
       if (data.productName) {
         this.productName = data.productName;
+        // Light Strips report hue only while in color mode, so detect them by product
+        if (data.productName.includes("Light Strip")) {
+          this.supportsColor = true;
+        }
       }
       if (data.firmwareVersion) {
         this.firmwareVersion = data.firmwareVersion;
@@ -224,6 +811,10 @@ export class ElgatoLight {
       if (data.hardwareBoardType !== undefined) {
         this.hardwareBoardType = data.hardwareBoardType;
       }
+      const wifi = parseWifiInfo(data);
+      if (wifi) {
+        this.wifi = wifi;
+      }
 
       return data;
     } catch (e) {
@@ -233,114 +824,239 @@ export class ElgatoLight {
   }
 
   /**
-   * Updates the light state with new values.
+   * Fetches the Wi-Fi details (SSID, signal strength, frequency, MAC address).
    *
-   * @param {boolean} on - Whether the light should be on
-   * @param {number} brightness - Brightness level (3-100)
-   * @param {number} temperature - Color temperature in API units (143-344)
+   * The device reports these as part of its accessory info, so this also
+   * refreshes the rest of the accessory info.
+   *
+   * @returns {Promise<Object|null>} The Wi-Fi info object or null if unavailable
+   */
+  async fetchWifiInfo() {
+    const data = await this.fetchInfo();
+    return data ? this.wifi : null;
+  }
+
+  /**
+   * Renames the light on the device.
+   *
+   * The name is stored on the light itself, so it is shared with every other
+   * client (Control Center, Stream Deck, other workstations).
+   *
+   * @param {string} name - The new display name
    * @returns {Promise<boolean>} True if successful, false otherwise
    */
-  async setState(on, brightness, temperature) {
-    // Input validation: clamp values to valid ranges
-    brightness = Math.max(3, Math.min(100, Math.round(brightness)));
-    temperature = Math.max(143, Math.min(344, Math.round(temperature)));
-
-    const payload = JSON.stringify({
-      numberOfLights: 1,
-      lights: [
-        {
-          on: on ? 1 : 0,
-          brightness,
-          temperature,
-        },
-      ],
-    });
+  async setDisplayName(name) {
+    const displayName = normalizeDisplayName(name);
+    if (!displayName) {
+      console.error(`[ElgatoLights] Refusing to set empty display name on ${this.name}`);
+      return false;
+    }
 
-    const url = `${this.baseUrl}/elgato/lights`;
-    const result = await this._sendWithRetry("PUT", url, payload);
+    const result = await this._sendWithRetry(
+      "PUT",
+      "/elgato/accessory-info",
+      JSON.stringify({ displayName }),
+    );
 
     if (!result.success) {
-      console.error(`[ElgatoLights] Failed to set state on ${this.name}: ${result.error?.message}`);
+      this._logRequestError(`Failed to set display name on ${this.name}`, result);
       return false;
     }
 
-    // Update local cache
-    this.on = on;
-    this.brightness = brightness;
-    this.temperature = temperature;
-
+    this.displayName = displayName;
     return true;
   }
 
   /**
-   * Sets only the on/off state without affecting brightness or temperature.
-   * This preserves the light's current settings.
-   *
-   * Note: This method performs a GET followed by PUT to preserve device settings.
-   * There is a small TOCTOU (time-of-check-time-of-use) window where another client
-   * (e.g., Elgato Control Center) could modify settings between these operations.
-   * This trade-off ensures we always use the device's actual current settings rather
-   * than potentially stale cached values.
+   * Makes the physical light blink so it can be told apart from others.
    *
-   * @param {boolean} on - Whether to turn the light on or off
-   * @returns {Promise<boolean>} True if successful
+   * @returns {Promise<boolean>} True if successful, false otherwise
    */
-  async setOn(on) {
-    const url = `${this.baseUrl}/elgato/lights`;
+  async identify() {
+    const result = await this._sendWithRetry("POST", "/elgato/identify");
 
-    // Fetch current state to preserve brightness and temperature
-    const getResult = await this._sendWithRetry("GET", url);
-
-    if (!getResult.success) {
-      console.error(
-        `[ElgatoLights] Failed to get state from ${this.name}: ${getResult.error?.message}`,
-      );
+    if (!result.success) {
+      this._logRequestError(`Failed to identify ${this.name}`, result);
       return false;
     }
 
-    let data;
+    return true;
+  }
+
+  /**
+   * Fetches the power-on behavior and fade settings from the light device.
+   *
+   * @returns {Promise<Object|null>} The settings object or null on failure
+   */
+  async fetchSettings() {
+    const result = await this._sendWithRetry("GET", "/elgato/lights/settings");
+
+    if (!result.success) {
+      this._logRequestError(`Failed to fetch settings from ${this.name}`, result);
+      return null;
+    }
+
     try {
       const decoder = new TextDecoder("utf-8");
-      const text = decoder.decode(getResult.bytes.get_data());
-      data = JSON.parse(text);
+      const text = decoder.decode(result.bytes.get_data());
+      const settings = parseDeviceSettings(JSON.parse(text));
 
-      if (!data.lights || data.lights.length === 0) {
-        throw new Error("No lights in response");
+      if (!settings) {
+        throw new Error("Unexpected settings payload");
       }
+
+      this.settings = settings;
+      this.energySaving = parseEnergySaving(settings);
+      return settings;
     } catch (e) {
-      console.error(`[ElgatoLights] Failed to parse state from ${this.name}: ${e.message}`);
-      return false;
+      console.error(`[ElgatoLights] Failed to parse settings from ${this.name}: ${e.message}`);
+      return null;
     }
+  }
 
-    // Update only the on field, preserve brightness and temperature from device
-    const payload = JSON.stringify({
-      numberOfLights: 1,
-      lights: [
-        {
-          on: on ? 1 : 0,
-          brightness: data.lights[0].brightness,
-          temperature: data.lights[0].temperature,
-        },
-      ],
-    });
+  /**
+   * Fetches the battery level and charging state from the light device.
+   *
+   * Lights without a battery answer with 404, which marks the light as
+   * having no battery so callers can skip further requests.
+   *
+   * @returns {Promise<Object|null>} Battery info or null if unavailable
+   */
+  async fetchBatteryInfo() {
+    const result = await this._sendWithRetry("GET", "/elgato/battery-info");
+
+    if (!result.success) {
+      if (result.status === Soup.Status.NOT_FOUND) {
+        this.hasBattery = false;
+        this.battery = null;
+        return null;
+      }
+      this._logRequestError(`Failed to fetch battery info from ${this.name}`, result);
+      return null;
+    }
+
+    try {
+      const decoder = new TextDecoder("utf-8");
+      const text = decoder.decode(result.bytes.get_data());
+      const battery = parseBatteryInfo(JSON.parse(text));
 
-    const putResult = await this._sendWithRetry("PUT", url, payload);
+      this.hasBattery = battery !== null;
+      this.battery = battery;
+      return battery;
+    } catch (e) {
+      console.error(`[ElgatoLights] Failed to parse battery info from ${this.name}: ${e.message}`);
+      return null;
+    }
+  }
 
-    if (!putResult.success) {
-      console.error(
-        `[ElgatoLights] Failed to set on state on ${this.name}: ${putResult.error?.message}`,
-      );
+  /**
+   * Updates the power-on behavior and fade settings on the light device.
+   *
+   * Unchanged fields are sent with their current values, fetching the
+   * settings first if they have not been loaded yet.
+   *
+   * @param {Object} changes - Settings fields to change (e.g. powerOnBehavior,
+   *                           powerOnBrightness, powerOnTemperature,
+   *                           switchOnDurationMs, switchOffDurationMs)
+   * @returns {Promise<boolean>} True if successful, false otherwise
+   */
+  async updateSettings(changes) {
+    if (!this.settings && !(await this.fetchSettings())) {
       return false;
     }
 
-    // Update local cache with actual values from device
-    this.on = on;
-    this.brightness = data.lights[0].brightness;
-    this.temperature = data.lights[0].temperature;
+    const settings = buildDeviceSettings(this.settings, changes);
+    const result = await this._sendWithRetry(
+      "PUT",
+      "/elgato/lights/settings",
+      JSON.stringify(settings),
+    );
 
+    if (!result.success) {
+      this._logRequestError(`Failed to update settings on ${this.name}`, result);
+      return false;
+    }
+
+    this.settings = settings;
+    this.energySaving = parseEnergySaving(settings);
     return true;
   }
 
+  /**
+   * Updates every channel with new values in white mode.
+   *
+   * Fades to the new values when a fade duration is set.
+   *
+   * @param {boolean} on - Whether the light should be on
+   * @param {number} brightness - Brightness level (3-100)
+   * @param {number} temperature - Color temperature in API units (143-344)
+   * @returns {Promise<boolean>} True if successful, false otherwise
+   */
+  async setState(on, brightness, temperature) {
+    if (this.fadeDurationMs > 0) {
+      return this.fadeTo({ on, brightness, temperature }, this.fadeDurationMs);
+    }
+    return this._updateAllChannels({ on, brightness, temperature, mode: MODE_WHITE });
+  }
+
+  /**
+   * Updates every channel with new values in color mode.
+   *
+   * Only meaningful for color-capable lights (see supportsColor).
+   *
+   * @param {boolean} on - Whether the light should be on
+   * @param {number} brightness - Brightness level (3-100)
+   * @param {number} hue - Hue in degrees (0-360)
+   * @param {number} saturation - Saturation in percent (0-100)
+   * @returns {Promise<boolean>} True if successful, false otherwise
+   */
+  async setColorState(on, brightness, hue, saturation) {
+    return this._updateAllChannels({ on, brightness, hue, saturation, mode: MODE_COLOR });
+  }
+
+  /**
+   * Sets only the on/off state of every channel without affecting brightness
+   * or color. This preserves the light's current settings.
+   *
+   * Fades when a fade duration is set.
+   *
+   * Note: This method performs a GET followed by a queued PUT to preserve device settings.
+   * There is a small TOCTOU (time-of-check-time-of-use) window where another client
+   * (e.g., Elgato Control Center) could modify settings between these operations.
+   * This trade-off ensures we always use the device's actual current settings rather
+   * than potentially stale cached values.
+   *
+   * @param {boolean} on - Whether to turn the light on or off
+   * @returns {Promise<boolean>} True if successful
+   */
+  async setOn(on) {
+    // A fade still in progress must not overwrite the state fetched below
+    this._cancelFade();
+
+    // Fetch current state to preserve brightness and color from the device
+    if (!(await this.fetchState())) {
+      return false;
+    }
+
+    return this._applyOn(on);
+  }
+
+  /**
+   * Writes the on/off state on top of freshly fetched device state.
+   *
+   * @param {boolean} on - Whether to turn the light on or off
+   * @returns {Promise<boolean>} True if successful
+   * @private
+   */
+  _applyOn(on) {
+    if (this.fadeDurationMs > 0 && on !== this.on) {
+      return this.fadeTo({ on }, this.fadeDurationMs);
+    }
+
+    // Update only the on field; queued after any pending slider writes
+    return this._enqueueWrite((states) => states.map((state) => ({ ...state, on })));
+  }
+
   /**
    * Turns the light on while maintaining current brightness and temperature.
    *
@@ -365,28 +1081,93 @@ export class ElgatoLight {
    * @returns {Promise<boolean>} True if successful, false otherwise
    */
   async toggle() {
-    // Fetch current state first to avoid using stale cache
-    await this.fetchState();
-    return this.setOn(!this.on);
+    this._cancelFade();
+
+    // Fetch current state first to avoid using stale cache; the same state
+    // is kept for the write, so no second request is needed
+    if (!(await this.fetchState())) {
+      return false;
+    }
+
+    return this._applyOn(!this.on);
   }
 
   /**
-   * Sets the brightness level while maintaining current on/off and temperature.
+   * Sets the brightness level of every channel while maintaining on/off, mode and color.
    *
    * @param {number} value - Brightness level (3-100)
    * @returns {Promise<boolean>} True if successful, false otherwise
    */
   async setBrightness(value) {
-    return this.setState(this.on, value, this.temperature);
+    return this._updateAllChannels({ brightness: value });
   }
 
   /**
-   * Sets the color temperature while maintaining current on/off and brightness.
+   * Sets the color temperature of every channel while maintaining on/off and brightness.
+   * Switches the light to white mode.
    *
    * @param {number} value - Color temperature in API units (143-344)
    * @returns {Promise<boolean>} True if successful, false otherwise
    */
   async setTemperature(value) {
-    return this.setState(this.on, this.brightness, value);
+    return this._updateAllChannels({ temperature: value, mode: MODE_WHITE });
+  }
+
+  /**
+   * Sets the hue of every channel while maintaining on/off, brightness and saturation.
+   * Switches the light to color mode.
+   *
+   * @param {number} value - Hue in degrees (0-360)
+   * @returns {Promise<boolean>} True if successful, false otherwise
+   */
+  async setHue(value) {
+    return this._updateAllChannels({ hue: value, mode: MODE_COLOR });
+  }
+
+  /**
+   * Sets the saturation of every channel while maintaining on/off, brightness and hue.
+   * Switches the light to color mode.
+   *
+   * @param {number} value - Saturation in percent (0-100)
+   * @returns {Promise<boolean>} True if successful, false otherwise
+   */
+  async setSaturation(value) {
+    return this._updateAllChannels({ saturation: value, mode: MODE_COLOR });
+  }
+
+  /**
+   * Switches every channel between white and color mode, restoring the last
+   * known temperature or hue/saturation for the target mode.
+   *
+   * @param {string} mode - MODE_WHITE or MODE_COLOR
+   * @returns {Promise<boolean>} True if successful, false otherwise
+   */
+  async setMode(mode) {
+    return this._updateAllChannels({ mode });
+  }
+
+  /**
+   * Aborts all in-flight requests, pending retry delays and queued writes.
+   *
+   * The light must not be used after it has been destroyed.
+   */
+  destroy() {
+    if (this._destroyed) {
+      return;
+    }
+    this._destroyed = true;
+
+    this._cancellable.cancel();
+    this._session.abort();
+
+    for (const [id, resolve] of this._delays) {
+      GLib.source_remove(id);
+      resolve();
+    }
+    this._delays.clear();
+
+    this._cancelFade();
+    this._writeQueue.clear();
+    this._statusListeners.clear();
   }
 }
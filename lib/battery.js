@@ -0,0 +1,102 @@
+/**
+ * Battery utilities for battery-powered Elgato lights (Key Light Mini).
+ *
+ * Handles the payload of the /elgato/battery-info endpoint and the `battery`
+ * section of /elgato/lights/settings, which holds the energy-saving options.
+ *
+ * This module is pure JavaScript with no GI dependencies, making it testable
+ * in a standard Node.js environment.
+ */
+
+/** Power source values reported by /elgato/battery-info. */
+export const PowerSource = {
+  UNKNOWN: 0,
+  MAINS: 1,
+  BATTERY: 2,
+};
+
+/** Battery status values reported by /elgato/battery-info. */
+export const BatteryStatus = {
+  DRAINING: 0,
+  CHARGING: 1,
+  CHECKING_CHARGER: 2,
+};
+
+/** Battery level (percent) at or below which a light is considered low. */
+export const LOW_BATTERY_LEVEL = 15;
+
+/**
+ * Parses the response of GET /elgato/battery-info.
+ *
+ * @param {Object} data - Raw battery info object from the API
+ * @returns {{level: number, charging: boolean, powerSource: number}|null}
+ *          Battery info, or null if the payload has no battery level
+ */
+export function parseBatteryInfo(data) {
+  if (!data || typeof data !== "object" || typeof data.level !== "number") {
+    return null;
+  }
+
+  return {
+    level: Math.max(0, Math.min(100, Math.round(data.level))),
+    charging: data.status === BatteryStatus.CHARGING,
+    powerSource: data.powerSource ?? PowerSource.UNKNOWN,
+  };
+}
+
+/**
+ * Parses the energy-saving options from the `battery` section of the settings.
+ *
+ * @param {Object} settings - Settings object from /elgato/lights/settings
+ * @returns {{enabled: boolean, minimumBatteryLevel: number, disableWifi: boolean,
+ *            adjustBrightness: boolean, brightness: number, bypass: boolean}|null}
+ *          Energy-saving options, or null if the light has no battery settings
+ */
+export function parseEnergySaving(settings) {
+  const battery = settings?.battery;
+  if (!battery || typeof battery !== "object") {
+    return null;
+  }
+
+  const energySaving = battery.energySaving ?? {};
+  const adjustBrightness = energySaving.adjustBrightness ?? {};
+
+  return {
+    enabled: Boolean(energySaving.enable),
+    minimumBatteryLevel: energySaving.minimumBatteryLevel ?? 0,
+    disableWifi: Boolean(energySaving.disableWifi),
+    adjustBrightness: Boolean(adjustBrightness.enable),
+    brightness: adjustBrightness.brightness ?? 0,
+    bypass: Boolean(battery.bypass),
+  };
+}
+
+/**
+ * Determines whether a battery should be reported as low.
+ *
+ * A charging battery is never reported as low.
+ *
+ * @param {Object|null} info - Battery info from parseBatteryInfo()
+ * @param {number} [threshold=LOW_BATTERY_LEVEL] - Low level threshold in percent
+ * @returns {boolean} True if the battery is low and not charging
+ */
+export function isBatteryLow(info, threshold = LOW_BATTERY_LEVEL) {
+  return info !== null && !info.charging && info.level <= threshold;
+}
+
+/**
+ * Gets the symbolic icon name for a battery level.
+ *
+ * @param {Object} info - Battery info from parseBatteryInfo()
+ * @returns {string} Icon name (e.g. "battery-level-80-charging-symbolic")
+ */
+export function getBatteryIconName(info) {
+  const level = Math.round(info.level / 10) * 10;
+  if (!info.charging) {
+    return `battery-level-${level}-symbolic`;
+  }
+  // The icon theme names a full battery on charge "charged" rather than "charging"
+  return level === 100
+    ? "battery-level-100-charged-symbolic"
+    : `battery-level-${level}-charging-symbolic`;
+}
@@ -8,10 +8,22 @@
  * in a standard Node.js environment.
  */
 
+/**
+ * Spacing options for the temperature slider.
+ *
+ * - MIRED: even steps in the device's own unit, matching Control Center
+ * - KELVIN: even steps in Kelvin
+ */
+export const TemperatureScale = {
+  MIRED: "mired",
+  KELVIN: "kelvin",
+};
+
 /**
  * Temperature conversion utilities.
  *
- * The Elgato API uses an inverted scale where:
+ * The Elgato API expresses temperature in mireds (1,000,000 / Kelvin), so the
+ * scale is inverted and non-linear in Kelvin:
  * - 143 = 7000K (cool/blue)
  * - 344 = 2900K (warm/yellow)
  */
@@ -20,18 +32,20 @@ export const Temperature = {
   MAX_API: 344, // 2900K (warm/yellow)
   MIN_K: 2900,
   MAX_K: 7000,
+  K_STEP: 50,
+  DEFAULT_API: 200,
 
   /**
    * Converts API value to Kelvin.
    *
+   * The result is snapped to 50K steps, as shown by Control Center.
+   *
    * @param {number} api - API value (143-344)
    * @returns {number} Temperature in Kelvin (2900-7000)
    */
   apiToKelvin(api) {
-    return Math.round(
-      this.MAX_K -
-        ((api - this.MIN_API) / (this.MAX_API - this.MIN_API)) * (this.MAX_K - this.MIN_K),
-    );
+    const kelvin = Math.round(1000000 / api / this.K_STEP) * this.K_STEP;
+    return Math.max(this.MIN_K, Math.min(this.MAX_K, kelvin));
   },
 
   /**
@@ -41,29 +55,38 @@ export const Temperature = {
    * @returns {number} API value (143-344)
    */
   kelvinToApi(kelvin) {
-    return Math.round(
-      this.MAX_API -
-        ((kelvin - this.MIN_K) / (this.MAX_K - this.MIN_K)) * (this.MAX_API - this.MIN_API),
-    );
+    const api = Math.round(1000000 / kelvin);
+    return Math.max(this.MIN_API, Math.min(this.MAX_API, api));
   },
 
   /**
    * Converts API value to slider position (0.0 - 1.0).
    *
+   * The slider runs from cool (0.0) to warm (1.0) in either scale.
+   *
    * @param {number} api - API value (143-344)
+   * @param {string} [scale=TemperatureScale.MIRED] - Slider spacing (see TemperatureScale)
    * @returns {number} Slider position (0.0 - 1.0)
    */
-  apiToSlider(api) {
-    return (api - this.MIN_API) / (this.MAX_API - this.MIN_API);
+  apiToSlider(api, scale = TemperatureScale.MIRED) {
+    const position =
+      scale === TemperatureScale.KELVIN
+        ? (this.MAX_K - 1000000 / api) / (this.MAX_K - this.MIN_K)
+        : (api - this.MIN_API) / (this.MAX_API - this.MIN_API);
+    return Math.max(0, Math.min(1, position));
   },
 
   /**
    * Converts slider position to API value.
    *
    * @param {number} slider - Slider position (0.0 - 1.0)
+   * @param {string} [scale=TemperatureScale.MIRED] - Slider spacing (see TemperatureScale)
    * @returns {number} API value (143-344)
    */
-  sliderToApi(slider) {
+  sliderToApi(slider, scale = TemperatureScale.MIRED) {
+    if (scale === TemperatureScale.KELVIN) {
+      return this.kelvinToApi(this.MAX_K - slider * (this.MAX_K - this.MIN_K));
+    }
     return Math.round(this.MIN_API + slider * (this.MAX_API - this.MIN_API));
   },
 };
@@ -97,3 +120,63 @@ export const Brightness = {
     return Math.round(this.MIN + slider * (this.MAX - this.MIN));
   },
 };
+
+/**
+ * Hue conversion utilities for color-capable lights.
+ *
+ * Hue is expressed in degrees on the color wheel, from 0 to 360.
+ */
+export const Hue = {
+  MIN: 0,
+  MAX: 360,
+
+  /**
+   * Converts hue value to slider position (0.0 - 1.0).
+   *
+   * @param {number} hue - Hue in degrees (0-360)
+   * @returns {number} Slider position (0.0 - 1.0)
+   */
+  toSlider(hue) {
+    return (hue - this.MIN) / (this.MAX - this.MIN);
+  },
+
+  /**
+   * Converts slider position to hue value.
+   *
+   * @param {number} slider - Slider position (0.0 - 1.0)
+   * @returns {number} Hue in degrees (0-360)
+   */
+  fromSlider(slider) {
+    return Math.round(this.MIN + slider * (this.MAX - this.MIN));
+  },
+};
+
+/**
+ * Saturation conversion utilities for color-capable lights.
+ *
+ * Saturation ranges from 0% (white) to 100% (fully saturated).
+ */
+export const Saturation = {
+  MIN: 0,
+  MAX: 100,
+
+  /**
+   * Converts saturation value to slider position (0.0 - 1.0).
+   *
+   * @param {number} saturation - Saturation in percent (0-100)
+   * @returns {number} Slider position (0.0 - 1.0)
+   */
+  toSlider(saturation) {
+    return (saturation - this.MIN) / (this.MAX - this.MIN);
+  },
+
+  /**
+   * Converts slider position to saturation value.
+   *
+   * @param {number} slider - Slider position (0.0 - 1.0)
+   * @returns {number} Saturation in percent (0-100)
+   */
+  fromSlider(slider) {
+    return Math.round(this.MIN + slider * (this.MAX - this.MIN));
+  },
+};
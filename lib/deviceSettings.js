@@ -0,0 +1,111 @@
+/**
+ * Device settings utilities for Elgato lights.
+ *
+ * Handles the payload of the /elgato/lights/settings endpoint, which controls
+ * what the light does when it regains power and how long it fades when it is
+ * switched on or off.
+ *
+ * This module is pure JavaScript with no GI dependencies, making it testable
+ * in a standard Node.js environment.
+ */
+
+import { Temperature, Brightness } from "./conversions.js";
+
+/** Power-on behavior: restore the state the light had before losing power. */
+export const POWER_ON_RESTORE_LAST = 1;
+
+/** Power-on behavior: use powerOnBrightness and powerOnTemperature. */
+export const POWER_ON_USE_DEFAULTS = 2;
+
+/**
+ * Fade duration conversion utilities.
+ *
+ * Durations are in milliseconds and are snapped to 50ms steps on the slider.
+ */
+export const FadeDuration = {
+  MIN: 0,
+  MAX: 5000,
+  STEP: 50,
+
+  /**
+   * Converts a duration to slider position (0.0 - 1.0).
+   *
+   * @param {number} ms - Duration in milliseconds (0-5000)
+   * @returns {number} Slider position (0.0 - 1.0)
+   */
+  toSlider(ms) {
+    return (Math.max(this.MIN, Math.min(this.MAX, ms)) - this.MIN) / (this.MAX - this.MIN);
+  },
+
+  /**
+   * Converts slider position to a duration.
+   *
+   * @param {number} slider - Slider position (0.0 - 1.0)
+   * @returns {number} Duration in milliseconds, a multiple of STEP
+   */
+  fromSlider(slider) {
+    const ms = this.MIN + slider * (this.MAX - this.MIN);
+    return Math.round(ms / this.STEP) * this.STEP;
+  },
+};
+
+/**
+ * Clamps and rounds a value to the given range.
+ *
+ * @param {number} value - Value to clamp
+ * @param {number} min - Minimum allowed value
+ * @param {number} max - Maximum allowed value
+ * @returns {number} Rounded value within [min, max]
+ */
+function clamp(value, min, max) {
+  return Math.max(min, Math.min(max, Math.round(value)));
+}
+
+/**
+ * Parses the response of GET /elgato/lights/settings.
+ *
+ * Unknown fields are kept so they are sent back unchanged on update.
+ *
+ * @param {Object} data - Raw settings object from the API
+ * @returns {Object|null} Settings object, or null if the payload is not an object
+ */
+export function parseDeviceSettings(data) {
+  if (!data || typeof data !== "object" || Array.isArray(data)) {
+    return null;
+  }
+
+  return {
+    ...data,
+    powerOnBehavior:
+      data.powerOnBehavior === POWER_ON_USE_DEFAULTS
+        ? POWER_ON_USE_DEFAULTS
+        : POWER_ON_RESTORE_LAST,
+    powerOnBrightness: data.powerOnBrightness ?? Brightness.MIN,
+    powerOnTemperature: data.powerOnTemperature ?? Temperature.DEFAULT_API,
+    switchOnDurationMs: data.switchOnDurationMs ?? 0,
+    switchOffDurationMs: data.switchOffDurationMs ?? 0,
+  };
+}
+
+/**
+ * Merges changes into the current settings and clamps them to device ranges.
+ *
+ * @param {Object} current - Current settings (from parseDeviceSettings())
+ * @param {Object} changes - Fields to change
+ * @returns {Object} Settings payload suitable for a PUT to /elgato/lights/settings
+ */
+export function buildDeviceSettings(current, changes) {
+  const merged = { ...current, ...changes };
+
+  return {
+    ...merged,
+    powerOnBehavior:
+      merged.powerOnBehavior === POWER_ON_USE_DEFAULTS
+        ? POWER_ON_USE_DEFAULTS
+        : POWER_ON_RESTORE_LAST,
+    powerOnBrightness: clamp(merged.powerOnBrightness, Brightness.MIN, Brightness.MAX),
+    powerOnTemperature: clamp(merged.powerOnTemperature, Temperature.MIN_API, Temperature.MAX_API),
+    switchOnDurationMs: clamp(merged.switchOnDurationMs, FadeDuration.MIN, FadeDuration.MAX),
+    switchOffDurationMs: clamp(merged.switchOffDurationMs, FadeDuration.MIN, FadeDuration.MAX),
+  };
+}
@@ -0,0 +1,70 @@
+/**
+ * Discovery filter options for Elgato lights.
+ *
+ * Normalizes the interface, protocol and browse domain settings that limit
+ * where Avahi looks for lights, e.g. to keep a laptop on VPN and Wi-Fi from
+ * reporting lights on the tunnel or unreachable IPv6 link-local addresses.
+ *
+ * This module is pure JavaScript with no GI dependencies, making it testable
+ * in a standard Node.js environment.
+ */
+
+/** Address families discovery can be limited to. */
+export const DiscoveryProtocol = {
+  ANY: "any",
+  IPV4: "ipv4",
+  IPV6: "ipv6",
+};
+
+/** The default browse domain, as passed to Avahi (its "local" domain). */
+export const DEFAULT_DOMAIN = "";
+
+/**
+ * Normalizes a browse domain.
+ *
+ * @param {string} domain - Domain entered by the user (e.g. "Office.Example.com.")
+ * @returns {string} Lowercase domain without trailing dot, or DEFAULT_DOMAIN for
+ *          empty input and "local"
+ */
+function normalizeDomain(domain) {
+  const normalized = domain.trim().toLowerCase().replace(/\.$/, "");
+  return normalized === "local" ? DEFAULT_DOMAIN : normalized;
+}
+
+/**
+ * Builds the discovery filter from the settings values.
+ *
+ * Interface names are trimmed, and empty names and duplicates are dropped;
+ * no names means every interface. An unknown protocol means any protocol.
+ * The default domain is always browsed, followed by the extra domains.
+ *
+ * @param {Object} [settings] - Settings values
+ * @param {Array<string>} [settings.interfaces] - Network interface names (e.g. ["wlp2s0"])
+ * @param {string} [settings.protocol] - One of DiscoveryProtocol
+ * @param {Array<string>} [settings.domains] - Extra browse domains for unicast DNS-SD
+ * @returns {{interfaces: Array<string>, protocol: string, domains: Array<string>}}
+ *          Normalized discovery options
+ */
+export function parseDiscoveryOptions(settings = {}) {
+  const interfaces = [];
+  for (const name of settings.interfaces ?? []) {
+    const trimmed = typeof name === "string" ? name.trim() : "";
+    if (trimmed && !interfaces.includes(trimmed)) {
+      interfaces.push(trimmed);
+    }
+  }
+
+  const protocol = Object.values(DiscoveryProtocol).includes(settings.protocol)
+    ? settings.protocol
+    : DiscoveryProtocol.ANY;
+
+  const domains = [DEFAULT_DOMAIN];
+  for (const domain of settings.domains ?? []) {
+    const normalized = typeof domain === "string" ? normalizeDomain(domain) : DEFAULT_DOMAIN;
+    if (!domains.includes(normalized)) {
+      domains.push(normalized);
+    }
+  }
+
+  return { interfaces, protocol, domains };
+}
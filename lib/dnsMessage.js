@@ -0,0 +1,484 @@
+/**
+ * DNS message utilities for the built-in mDNS querier.
+ *
+ * Encodes and decodes the subset of DNS messages (RFC 1035) used by DNS-SD
+ * over multicast DNS (RFC 6762, RFC 6763): questions and PTR, SRV, TXT, A and
+ * AAAA records, including compressed names in responses.
+ *
+ * This module is pure JavaScript with no GI dependencies, making it testable
+ * in a standard Node.js environment.
+ */
+
+/** DNS record types used by DNS-SD. */
+export const RecordType = {
+  A: 1,
+  PTR: 12,
+  TXT: 16,
+  AAAA: 28,
+  SRV: 33,
+  ANY: 255,
+};
+
+/** The Internet class. */
+export const CLASS_IN = 1;
+
+/** Header flag marking a message as a response. */
+export const FLAG_RESPONSE = 0x8000;
+
+/** Header flag marking a response as authoritative. */
+export const FLAG_AUTHORITATIVE = 0x0400;
+
+/** Top bit of the class: "unicast response" in questions, "cache flush" in records. */
+const CLASS_TOP_BIT = 0x8000;
+
+/** Maximum number of compression pointers followed while reading one name. */
+const MAX_POINTERS = 32;
+
+/**
+ * Formats 16 bytes as an IPv6 address, compressing the longest zero run.
+ *
+ * @param {Uint8Array} bytes - Address bytes
+ * @returns {string} IPv6 address (e.g. "fe80::1")
+ */
+function formatIPv6(bytes) {
+  const groups = [];
+  for (let i = 0; i < 16; i += 2) {
+    groups.push(((bytes[i] << 8) | bytes[i + 1]).toString(16));
+  }
+
+  // Find the longest run of two or more zero groups
+  let bestStart = -1;
+  let bestLength = 1;
+  for (let i = 0; i < groups.length; i++) {
+    let length = 0;
+    while (groups[i + length] === "0") {
+      length++;
+    }
+    if (length > bestLength) {
+      bestStart = i;
+      bestLength = length;
+    }
+  }
+
+  if (bestStart === -1) {
+    return groups.join(":");
+  }
+  const head = groups.slice(0, bestStart).join(":");
+  const tail = groups.slice(bestStart + bestLength).join(":");
+  return `${head}::${tail}`;
+}
+
+/**
+ * Parses an IPv6 address into 16 bytes.
+ *
+ * @param {string} address - IPv6 address, optionally with "::"
+ * @returns {Uint8Array} Address bytes
+ * @throws {Error} If the address is invalid
+ */
+function parseIPv6(address) {
+  const [head, tail, extra] = address.split("::");
+  if (extra !== undefined) {
+    throw new Error(`Invalid IPv6 address: ${address}`);
+  }
+
+  const headGroups = head ? head.split(":") : [];
+  const tailGroups = tail ? tail.split(":") : [];
+  const missing = 8 - headGroups.length - tailGroups.length;
+  if (tail === undefined ? missing !== 0 : missing < 1) {
+    throw new Error(`Invalid IPv6 address: ${address}`);
+  }
+
+  const groups = [
+    ...headGroups,
+    ...new Array(tail === undefined ? 0 : missing).fill("0"),
+    ...tailGroups,
+  ];
+  const bytes = new Uint8Array(16);
+  groups.forEach((group, i) => {
+    if (!/^[0-9a-fA-F]{1,4}$/.test(group)) {
+      throw new Error(`Invalid IPv6 address: ${address}`);
+    }
+    const value = parseInt(group, 16);
+    bytes[i * 2] = value >> 8;
+    bytes[i * 2 + 1] = value & 0xff;
+  });
+  return bytes;
+}
+
+/**
+ * Accumulates the bytes of a message being encoded.
+ */
+class Writer {
+  constructor() {
+    this._bytes = [];
+  }
+
+  /**
+   * @param {number} value - Byte to append
+   */
+  uint8(value) {
+    this._bytes.push(value & 0xff);
+  }
+
+  /**
+   * @param {number} value - Big-endian 16-bit value to append
+   */
+  uint16(value) {
+    this.uint8(value >> 8);
+    this.uint8(value);
+  }
+
+  /**
+   * @param {number} value - Big-endian 32-bit value to append
+   */
+  uint32(value) {
+    this.uint16(Math.floor(value / 0x10000));
+    this.uint16(value % 0x10000);
+  }
+
+  /**
+   * @param {Uint8Array|Array<number>} bytes - Bytes to append
+   */
+  bytes(bytes) {
+    for (const byte of bytes) {
+      this.uint8(byte);
+    }
+  }
+
+  /**
+   * Appends a domain name as uncompressed labels.
+   *
+   * @param {string} name - Domain name (e.g. "_elg._tcp.local")
+   * @throws {Error} If a label is longer than 63 bytes
+   */
+  name(name) {
+    const encoder = new TextEncoder();
+    for (const label of name.replace(/\.$/, "").split(".")) {
+      if (label.length === 0) continue;
+      const bytes = encoder.encode(label);
+      if (bytes.length > 63) {
+        throw new Error(`Label too long: ${label}`);
+      }
+      this.uint8(bytes.length);
+      this.bytes(bytes);
+    }
+    this.uint8(0);
+  }
+
+  /**
+   * @returns {Uint8Array} The encoded message
+   */
+  finish() {
+    return Uint8Array.from(this._bytes);
+  }
+}
+
+/**
+ * Encodes the data of a resource record.
+ *
+ * @param {Object} record - Record (see decodeMessage())
+ * @returns {Uint8Array} Record data
+ */
+function encodeRecordData(record) {
+  const writer = new Writer();
+  switch (record.type) {
+    case RecordType.A:
+      writer.bytes(record.data.split(".").map(Number));
+      break;
+    case RecordType.AAAA:
+      writer.bytes(parseIPv6(record.data));
+      break;
+    case RecordType.PTR:
+      writer.name(record.data);
+      break;
+    case RecordType.SRV:
+      writer.uint16(record.data.priority ?? 0);
+      writer.uint16(record.data.weight ?? 0);
+      writer.uint16(record.data.port);
+      writer.name(record.data.target);
+      break;
+    case RecordType.TXT: {
+      const encoder = new TextEncoder();
+      const strings = record.data.length > 0 ? record.data : [new Uint8Array(0)];
+      for (const string of strings) {
+        const bytes = typeof string === "string" ? encoder.encode(string) : string;
+        writer.uint8(bytes.length);
+        writer.bytes(bytes);
+      }
+      break;
+    }
+    default:
+      writer.bytes(record.data);
+  }
+  return writer.finish();
+}
+
+/**
+ * Encodes a DNS message.
+ *
+ * Names are written without compression.
+ *
+ * @param {Object} message - Message to encode
+ * @param {number} [message.id=0] - Message id (0 for multicast DNS)
+ * @param {number} [message.flags=0] - Header flags (e.g. FLAG_RESPONSE)
+ * @param {Array<{name: string, type: number, unicastResponse?: boolean}>} [message.questions]
+ * @param {Array<Object>} [message.answers] - Answer records
+ * @param {Array<Object>} [message.additionals] - Additional records
+ * @returns {Uint8Array} Encoded message
+ */
+export function encodeMessage({
+  id = 0,
+  flags = 0,
+  questions = [],
+  answers = [],
+  additionals = [],
+}) {
+  const writer = new Writer();
+  writer.uint16(id);
+  writer.uint16(flags);
+  writer.uint16(questions.length);
+  writer.uint16(answers.length);
+  writer.uint16(0);
+  writer.uint16(additionals.length);
+
+  for (const question of questions) {
+    writer.name(question.name);
+    writer.uint16(question.type);
+    writer.uint16(CLASS_IN | (question.unicastResponse ? CLASS_TOP_BIT : 0));
+  }
+
+  for (const record of [...answers, ...additionals]) {
+    const data = encodeRecordData(record);
+    writer.name(record.name);
+    writer.uint16(record.type);
+    writer.uint16(CLASS_IN | (record.cacheFlush ? CLASS_TOP_BIT : 0));
+    writer.uint32(record.ttl ?? 120);
+    writer.uint16(data.length);
+    writer.bytes(data);
+  }
+
+  return writer.finish();
+}
+
+/**
+ * Encodes a multicast DNS query.
+ *
+ * @param {Array<{name: string, type: number}>} questions - Names and types to ask for
+ * @returns {Uint8Array} Encoded query
+ */
+export function encodeQuery(questions) {
+  return encodeMessage({ questions });
+}
+
+/**
+ * Reads a DNS message field by field.
+ */
+class Reader {
+  /**
+   * @param {Uint8Array} bytes - Message bytes
+   */
+  constructor(bytes) {
+    this._bytes = bytes;
+    this.offset = 0;
+  }
+
+  /**
+   * Ensures that a number of bytes is available at an offset.
+   *
+   * @param {number} offset - Offset to read at
+   * @param {number} length - Number of bytes needed
+   * @throws {Error} If the message is too short
+   */
+  _check(offset, length) {
+    if (offset + length > this._bytes.length) {
+      throw new Error("Message truncated");
+    }
+  }
+
+  /**
+   * @returns {number} Next byte
+   */
+  uint8() {
+    this._check(this.offset, 1);
+    return this._bytes[this.offset++];
+  }
+
+  /**
+   * @returns {number} Next big-endian 16-bit value
+   */
+  uint16() {
+    return (this.uint8() << 8) | this.uint8();
+  }
+
+  /**
+   * @returns {number} Next big-endian 32-bit value
+   */
+  uint32() {
+    return this.uint16() * 0x10000 + this.uint16();
+  }
+
+  /**
+   * @param {number} length - Number of bytes to read
+   * @returns {Uint8Array} Next bytes
+   */
+  bytes(length) {
+    this._check(this.offset, length);
+    const bytes = this._bytes.slice(this.offset, this.offset + length);
+    this.offset += length;
+    return bytes;
+  }
+
+  /**
+   * Reads a domain name, following compression pointers.
+   *
+   * @returns {string} Domain name without trailing dot
+   * @throws {Error} On truncated names or pointer loops
+   */
+  name() {
+    const decoder = new TextDecoder();
+    const labels = [];
+    let offset = this.offset;
+    let pointers = 0;
+    let end = null;
+
+    for (;;) {
+      this._check(offset, 1);
+      const length = this._bytes[offset];
+
+      if ((length & 0xc0) === 0xc0) {
+        this._check(offset, 2);
+        if (++pointers > MAX_POINTERS) {
+          throw new Error("Too many compression pointers");
+        }
+        end ??= offset + 2;
+        offset = ((length & 0x3f) << 8) | this._bytes[offset + 1];
+        continue;
+      }
+      if (length & 0xc0) {
+        throw new Error("Invalid label type");
+      }
+      if (length === 0) {
+        end ??= offset + 1;
+        break;
+      }
+
+      this._check(offset + 1, length);
+      labels.push(decoder.decode(this._bytes.slice(offset + 1, offset + 1 + length)));
+      offset += 1 + length;
+    }
+
+    this.offset = end;
+    return labels.join(".");
+  }
+}
+
+/**
+ * Decodes the data of a resource record.
+ *
+ * @param {Reader} reader - Reader positioned at the record data
+ * @param {number} type - Record type
+ * @param {number} length - Length of the record data
+ * @returns {*} Decoded data (see decodeMessage())
+ */
+function decodeRecordData(reader, type, length) {
+  const end = reader.offset + length;
+  let data;
+
+  switch (type) {
+    case RecordType.A:
+      if (length !== 4) throw new Error("Invalid A record");
+      data = Array.from(reader.bytes(4)).join(".");
+      break;
+    case RecordType.AAAA:
+      if (length !== 16) throw new Error("Invalid AAAA record");
+      data = formatIPv6(reader.bytes(16));
+      break;
+    case RecordType.PTR:
+      data = reader.name();
+      break;
+    case RecordType.SRV:
+      data = {
+        priority: reader.uint16(),
+        weight: reader.uint16(),
+        port: reader.uint16(),
+        target: reader.name(),
+      };
+      break;
+    case RecordType.TXT:
+      data = [];
+      while (reader.offset < end) {
+        const string = reader.bytes(reader.uint8());
+        if (string.length > 0) {
+          data.push(string);
+        }
+      }
+      break;
+    default:
+      data = reader.bytes(length);
+  }
+
+  if (reader.offset !== end) {
+    throw new Error("Record data length mismatch");
+  }
+  return data;
+}
+
+/**
+ * Decodes a DNS message.
+ *
+ * Record data is decoded by type: A and AAAA records hold the address as a
+ * string, PTR records the target name, SRV records
+ * `{priority, weight, port, target}`, TXT records an array of byte strings
+ * (see parseElgatoTxt()), and other records their raw bytes.
+ *
+ * @param {Uint8Array} bytes - Message bytes
+ * @returns {{id: number, flags: number, isResponse: boolean,
+ *            questions: Array<{name: string, type: number, unicastResponse: boolean}>,
+ *            answers: Array<Object>, authorities: Array<Object>, additionals: Array<Object>}}
+ *          Decoded message; records are `{name, type, cacheFlush, ttl, data}`
+ * @throws {Error} If the message is malformed
+ */
+export function decodeMessage(bytes) {
+  const reader = new Reader(bytes);
+  const id = reader.uint16();
+  const flags = reader.uint16();
+  const counts = [reader.uint16(), reader.uint16(), reader.uint16(), reader.uint16()];
+
+  const questions = [];
+  for (let i = 0; i < counts[0]; i++) {
+    const name = reader.name();
+    const type = reader.uint16();
+    const cls = reader.uint16();
+    questions.push({ name, type, unicastResponse: (cls & CLASS_TOP_BIT) !== 0 });
+  }
+
+  const readRecords = (count) => {
+    const records = [];
+    for (let i = 0; i < count; i++) {
+      const name = reader.name();
+      const type = reader.uint16();
+      const cls = reader.uint16();
+      const ttl = reader.uint32();
+      const length = reader.uint16();
+      const data = decodeRecordData(reader, type, length);
+      if ((cls & ~CLASS_TOP_BIT) === CLASS_IN) {
+        records.push({ name, type, cacheFlush: (cls & CLASS_TOP_BIT) !== 0, ttl, data });
+      }
+    }
+    return records;
+  };
+
+  const answers = readRecords(counts[1]);
+  const authorities = readRecords(counts[2]);
+  const additionals = readRecords(counts[3]);
+
+  return {
+    id,
+    flags,
+    isResponse: (flags & FLAG_RESPONSE) !== 0,
+    questions,
+    answers,
+    authorities,
+    additionals,
+  };
+}
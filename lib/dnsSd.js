@@ -0,0 +1,193 @@
+/**
+ * DNS-SD utilities for the built-in mDNS querier.
+ *
+ * Assembles service instances from the PTR, SRV, TXT and address records
+ * collected from multicast DNS responses (RFC 6763), and works out which
+ * records are still missing for instances that were only partly answered.
+ *
+ * This module is pure JavaScript with no GI dependencies, making it testable
+ * in a standard Node.js environment.
+ */
+
+import { RecordType } from "./dnsMessage.js";
+import { parseElgatoTxt } from "./txt.js";
+import { sortHostsByRank } from "./hosts.js";
+
+/** Fully qualified DNS-SD service name advertised by Elgato lights. */
+export const ELGATO_SERVICE_NAME = "_elg._tcp.local";
+
+/**
+ * Normalizes a domain name for comparison.
+ *
+ * @param {string} name - Domain name
+ * @returns {string} Lowercase name without trailing dot
+ */
+function normalizeName(name) {
+  return name.toLowerCase().replace(/\.$/, "");
+}
+
+/**
+ * Indexes records by type and name, in the order they were received.
+ *
+ * A record with a TTL of 0 is a "goodbye" and removes earlier records with
+ * the same name and type (and, for PTR and address records, the same data).
+ *
+ * @param {Array<Object>} records - Records from decodeMessage()
+ * @returns {{ptr: Map<string, Set<string>>, srv: Map<string, Object>, txt: Map<string, Array>,
+ *            a: Map<string, Set<string>>, aaaa: Map<string, Set<string>>}}
+ *          Records keyed by normalized name
+ */
+function indexRecords(records) {
+  const index = { ptr: new Map(), srv: new Map(), txt: new Map(), a: new Map(), aaaa: new Map() };
+
+  const updateSet = (map, name, value, remove) => {
+    if (!map.has(name)) {
+      map.set(name, new Set());
+    }
+    if (remove) {
+      map.get(name).delete(value);
+    } else {
+      map.get(name).add(value);
+    }
+  };
+
+  for (const record of records) {
+    const name = normalizeName(record.name);
+    const remove = record.ttl === 0;
+
+    switch (record.type) {
+      case RecordType.PTR:
+        updateSet(index.ptr, name, normalizeName(record.data), remove);
+        break;
+      case RecordType.SRV:
+        if (remove) index.srv.delete(name);
+        else index.srv.set(name, record.data);
+        break;
+      case RecordType.TXT:
+        if (remove) index.txt.delete(name);
+        else index.txt.set(name, record.data);
+        break;
+      case RecordType.A:
+        updateSet(index.a, name, record.data, remove);
+        break;
+      case RecordType.AAAA:
+        updateSet(index.aaaa, name, record.data, remove);
+        break;
+    }
+  }
+
+  return index;
+}
+
+/**
+ * Gets the instance label from a service instance name.
+ *
+ * @param {string} instanceName - Instance name (e.g. "Elgato Key Light 7A1B._elg._tcp.local")
+ * @param {string} serviceName - Service name (e.g. "_elg._tcp.local")
+ * @returns {string} Instance label (e.g. "Elgato Key Light 7A1B")
+ */
+function getInstanceLabel(instanceName, serviceName) {
+  const suffix = `.${normalizeName(serviceName)}`;
+  return instanceName.toLowerCase().endsWith(suffix)
+    ? instanceName.slice(0, -suffix.length)
+    : instanceName;
+}
+
+/**
+ * Lists the instance names announced for a service, keeping the case of the
+ * first announcement.
+ *
+ * @param {Array<Object>} records - Records from decodeMessage()
+ * @param {string} serviceName - Service name
+ * @returns {Array<string>} Instance names
+ */
+function getInstanceNames(records, serviceName) {
+  const service = normalizeName(serviceName);
+  const live = indexRecords(records).ptr.get(service) ?? new Set();
+  const names = new Map();
+
+  for (const record of records) {
+    if (record.type !== RecordType.PTR || normalizeName(record.name) !== service) continue;
+    const key = normalizeName(record.data);
+    if (live.has(key) && !names.has(key)) {
+      names.set(key, record.data.replace(/\.$/, ""));
+    }
+  }
+  return [...names.values()];
+}
+
+/**
+ * Builds light objects from the records collected for a DNS-SD service.
+ *
+ * An instance is reported once its SRV record and at least one address of
+ * the SRV target are known. The addresses are ordered with
+ * sortHostsByRank(), so IPv4 wins over IPv6, and the first one is the host.
+ *
+ * @param {Array<Object>} records - Records from decodeMessage(), in the order received
+ * @param {string} [serviceName=ELGATO_SERVICE_NAME] - Service name to collect
+ * @returns {Array<Object>} Light objects shaped like the results of discoverLights()
+ */
+export function collectServiceInstances(records, serviceName = ELGATO_SERVICE_NAME) {
+  const index = indexRecords(records);
+  const lights = [];
+
+  for (const instanceName of getInstanceNames(records, serviceName)) {
+    const key = normalizeName(instanceName);
+    const srv = index.srv.get(key);
+    if (!srv) continue;
+
+    const target = normalizeName(srv.target);
+    const addresses = sortHostsByRank([
+      ...(index.a.get(target) ?? []),
+      ...(index.aaaa.get(target) ?? []),
+    ]);
+    if (addresses.length === 0) continue;
+
+    lights.push({
+      name: getInstanceLabel(instanceName, serviceName),
+      host: addresses[0],
+      addresses,
+      port: srv.port,
+      hostname: srv.target.replace(/\.$/, "") || null,
+      ...parseElgatoTxt(index.txt.get(key) ?? []),
+    });
+  }
+
+  return lights;
+}
+
+/**
+ * Lists the questions needed to complete partly answered instances.
+ *
+ * Responders usually send the SRV, TXT and address records along with the
+ * PTR answer, but may leave some out when the message would get too large.
+ *
+ * @param {Array<Object>} records - Records from decodeMessage(), in the order received
+ * @param {string} [serviceName=ELGATO_SERVICE_NAME] - Service name to collect
+ * @returns {Array<{name: string, type: number}>} Questions for the missing records
+ */
+export function getMissingQuestions(records, serviceName = ELGATO_SERVICE_NAME) {
+  const index = indexRecords(records);
+  const questions = [];
+
+  for (const instanceName of getInstanceNames(records, serviceName)) {
+    const key = normalizeName(instanceName);
+    if (!index.txt.has(key)) {
+      questions.push({ name: instanceName, type: RecordType.TXT });
+    }
+
+    const srv = index.srv.get(key);
+    if (!srv) {
+      questions.push({ name: instanceName, type: RecordType.SRV });
+      continue;
+    }
+
+    const target = normalizeName(srv.target);
+    if (!index.a.get(target)?.size && !index.aaaa.get(target)?.size) {
+      questions.push({ name: srv.target, type: RecordType.A });
+      questions.push({ name: srv.target, type: RecordType.AAAA });
+    }
+  }
+
+  return questions;
+}
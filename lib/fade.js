@@ -0,0 +1,50 @@
+/**
+ * Fade utilities for smooth brightness and temperature transitions.
+ *
+ * A fade is performed as a series of intermediate writes to the light. This
+ * module computes the values for those writes.
+ *
+ * This module is pure JavaScript with no GI dependencies, making it testable
+ * in a standard Node.js environment.
+ */
+
+/** Time between intermediate writes of a fade, in milliseconds. */
+export const FADE_STEP_MS = 100;
+
+/**
+ * Computes the intermediate values of a fade.
+ *
+ * Values are interpolated linearly and rounded to whole device units. The
+ * starting values are not included, steps that would repeat the previous
+ * values are dropped, and the last step always equals the target.
+ *
+ * @param {{brightness: number, temperature: number}} from - Starting values
+ * @param {{brightness: number, temperature: number}} to - Target values
+ * @param {number} durationMs - Total fade duration in milliseconds
+ * @param {number} [stepMs=FADE_STEP_MS] - Time between steps in milliseconds
+ * @returns {Array<{brightness: number, temperature: number}>} Steps to write, in order
+ */
+export function computeFadeSteps(from, to, durationMs, stepMs = FADE_STEP_MS) {
+  const count = Math.max(1, Math.round(durationMs / stepMs));
+  const steps = [];
+
+  for (let i = 1; i <= count; i++) {
+    const t = i / count;
+    const step = {
+      brightness: Math.round(from.brightness + (to.brightness - from.brightness) * t),
+      temperature: Math.round(from.temperature + (to.temperature - from.temperature) * t),
+    };
+
+    // Skip steps that wouldn't change anything on the device, but always
+    // return at least one step
+    const previous = steps[steps.length - 1] ?? from;
+    const unchanged =
+      step.brightness === previous.brightness && step.temperature === previous.temperature;
+    if (unchanged && (i < count || steps.length > 0)) {
+      continue;
+    }
+    steps.push(step);
+  }
+
+  return steps;
+}
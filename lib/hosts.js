@@ -0,0 +1,173 @@
+/**
+ * Host address utilities for Elgato lights.
+ *
+ * Lights are reached by IPv4 address, IPv6 address or hostname. IPv6
+ * literals must be bracketed in URLs, and link-local IPv6 addresses
+ * (fe80::/10) are only usable together with the scope (interface) they were
+ * found on, e.g. "fe80::1%3".
+ *
+ * This module is pure JavaScript with no GI dependencies, making it testable
+ * in a standard Node.js environment.
+ */
+
+/** Address preference ranks, lower is better (see getAddressRank()). */
+export const AddressRank = {
+  IPV4: 0,
+  HOSTNAME: 1,
+  IPV6: 2,
+  IPV6_LINK_LOCAL: 3,
+};
+
+/**
+ * Checks whether a string is a dotted IPv4 address.
+ *
+ * @param {string} host - Host to check
+ * @returns {boolean} True for a valid IPv4 address
+ */
+export function isIPv4(host) {
+  const parts = host.split(".");
+  return parts.length === 4 && parts.every((part) => /^\d{1,3}$/.test(part) && Number(part) <= 255);
+}
+
+/**
+ * Checks whether a string is an IPv6 address, optionally with a zone index.
+ *
+ * @param {string} host - Host to check
+ * @returns {boolean} True for a plausible IPv6 address
+ */
+export function isIPv6(host) {
+  const [address, zone, extra] = host.split("%");
+  if (extra !== undefined || (zone !== undefined && !/^[\w.-]+$/.test(zone))) {
+    return false;
+  }
+  return /^[0-9a-fA-F:.]+$/.test(address) && address.split(":").length >= 3;
+}
+
+/**
+ * Checks whether a string is a DNS hostname such as "key-light.local".
+ *
+ * @param {string} host - Host to check
+ * @returns {boolean} True for a valid hostname
+ */
+export function isHostname(host) {
+  // Names made of digits and dots only must be IPv4 addresses
+  if (/^[\d.]+$/.test(host)) {
+    return false;
+  }
+  return (
+    host.length <= 253 &&
+    host
+      .replace(/\.$/, "")
+      .split(".")
+      .every((label) => /^[A-Za-z0-9]([A-Za-z0-9-]{0,61}[A-Za-z0-9])?$/.test(label))
+  );
+}
+
+/**
+ * Checks whether a host is an IPv4 address, an IPv6 address or a hostname.
+ *
+ * @param {string} host - Host to check
+ * @returns {boolean} True for a host a light can be reached at
+ */
+export function isValidHost(host) {
+  return typeof host === "string" && (isIPv4(host) || isIPv6(host) || isHostname(host));
+}
+
+/**
+ * Checks whether a host is a link-local IPv6 address (fe80::/10).
+ *
+ * @param {string} host - Host to check
+ * @returns {boolean} True for a link-local IPv6 address, with or without scope
+ */
+export function isLinkLocalIPv6(host) {
+  return isIPv6(host) && /^fe[89ab][0-9a-f]:/i.test(host);
+}
+
+/**
+ * Adds the scope to a link-local IPv6 address.
+ *
+ * Other addresses, and addresses that already have a scope, are returned
+ * unchanged.
+ *
+ * @param {string} host - Address as resolved (e.g. "fe80::1")
+ * @param {number|string} scope - Interface index or name the address was found on
+ * @returns {string} Host with scope (e.g. "fe80::1%3")
+ */
+export function withScope(host, scope) {
+  if (!isLinkLocalIPv6(host) || host.includes("%") || scope === null || scope === undefined) {
+    return host;
+  }
+  if (typeof scope === "number" && scope < 0) {
+    return host;
+  }
+  return `${host}%${scope}`;
+}
+
+/**
+ * Formats a host for use in a URL.
+ *
+ * IPv6 literals are bracketed, and the "%" of their scope is escaped as
+ * "%25" (RFC 6874).
+ *
+ * @param {string} host - Host (e.g. "fe80::1%3")
+ * @returns {string} URL host (e.g. "[fe80::1%253]")
+ */
+export function formatUrlHost(host) {
+  return isIPv6(host) ? `[${host.replace("%", "%25")}]` : host;
+}
+
+/**
+ * Formats a host and port for display, bracketing IPv6 literals.
+ *
+ * @param {string} host - Host
+ * @param {number} port - Port
+ * @returns {string} Address (e.g. "192.168.1.50:9123" or "[fe80::1%3]:9123")
+ */
+export function formatAddress(host, port) {
+  return isIPv6(host) ? `[${host}]:${port}` : `${host}:${port}`;
+}
+
+/**
+ * Ranks a host by how likely it is to be reachable, which decides the order
+ * the addresses of a light are tried in (see sortHostsByRank()).
+ *
+ * IPv4 addresses are preferred, as they are what lights are set up with and
+ * work across VPNs and routed networks. Link-local IPv6 addresses come last
+ * because they only work on the interface they were found on.
+ *
+ * @param {string} host - Host to rank
+ * @returns {number} One of AddressRank
+ */
+export function getAddressRank(host) {
+  if (isIPv4(host)) {
+    return AddressRank.IPV4;
+  }
+  if (isLinkLocalIPv6(host)) {
+    return AddressRank.IPV6_LINK_LOCAL;
+  }
+  if (isIPv6(host)) {
+    return AddressRank.IPV6;
+  }
+  return AddressRank.HOSTNAME;
+}
+
+/**
+ * Orders the addresses of the same light from best to worst ranked, without
+ * duplicates. Hosts of equal rank keep their order.
+ *
+ * @param {Array<string>} hosts - Candidate hosts
+ * @returns {Array<string>} Hosts in the order they should be tried
+ */
+export function sortHostsByRank(hosts) {
+  return [...new Set(hosts)].sort((a, b) => getAddressRank(a) - getAddressRank(b));
+}
+
+/**
+ * Picks the preferred host out of several addresses of the same light.
+ *
+ * @param {Array<string>} hosts - Candidate hosts
+ * @returns {string|null} Best ranked host (the first of equals), or null if there are none
+ */
+export function pickPreferredHost(hosts) {
+  return sortHostsByRank(hosts)[0] ?? null;
+}
@@ -0,0 +1,146 @@
+/**
+ * Ignore list for Elgato lights.
+ *
+ * Lights the user hid, such as a neighbour's light on a shared office
+ * network, are remembered by their stable identity (device id and serial
+ * number) so they stay hidden when their address changes. Ignored lights are
+ * left out of discovery results and the menu.
+ *
+ * This module is pure JavaScript with no GI dependencies, making it testable
+ * in a standard Node.js environment.
+ */
+
+/**
+ * Checks whether a value is a valid ignore list entry.
+ *
+ * @param {Object} entry - Entry to check
+ * @returns {boolean} True for an entry with a name and at least one identifier
+ */
+function isValidIgnoreEntry(entry) {
+  if (!entry || typeof entry !== "object" || typeof entry.name !== "string") {
+    return false;
+  }
+  for (const field of ["id", "serialNumber"]) {
+    if (entry[field] !== null && typeof entry[field] !== "string") {
+      return false;
+    }
+  }
+  return Boolean(entry.id || entry.serialNumber);
+}
+
+/**
+ * Parses the JSON string of ignored lights.
+ *
+ * @param {string} json - JSON array of ignore entries
+ * @returns {Array<{name: string, id: string|null, serialNumber: string|null}>} Valid entries
+ */
+export function parseIgnoredLights(json) {
+  if (!json || typeof json !== "string") {
+    return [];
+  }
+
+  try {
+    const parsed = JSON.parse(json);
+    if (!Array.isArray(parsed)) {
+      return [];
+    }
+    return parsed
+      .map((entry) => ({
+        ...entry,
+        id: entry?.id ?? null,
+        serialNumber: entry?.serialNumber ?? null,
+      }))
+      .filter(isValidIgnoreEntry);
+  } catch {
+    return [];
+  }
+}
+
+/**
+ * Determines whether an ignore entry describes a light.
+ *
+ * Lights are compared by device id, then by serial number. Unlike
+ * isSameLight(), the address is never compared, as it may be handed out to
+ * another device.
+ *
+ * @param {Object} entry - Ignore entry
+ * @param {Object} light - Light configuration
+ * @returns {boolean} True if the entry describes the light
+ */
+function matchesEntry(entry, light) {
+  if (entry.id && light.id) {
+    return entry.id.toUpperCase() === light.id.toUpperCase();
+  }
+  if (entry.serialNumber && light.serialNumber) {
+    return entry.serialNumber === light.serialNumber;
+  }
+  return false;
+}
+
+/**
+ * Checks whether a light is on the ignore list.
+ *
+ * @param {Object} light - Light configuration
+ * @param {Array<Object>} ignored - Ignore entries
+ * @returns {boolean} True if the light is ignored
+ */
+export function isIgnoredLight(light, ignored) {
+  return ignored.some((entry) => matchesEntry(entry, light));
+}
+
+/**
+ * Removes ignored lights from a list of light configurations.
+ *
+ * @param {Array<Object>} lights - Light configurations
+ * @param {Array<Object>} ignored - Ignore entries
+ * @returns {Array<Object>} Lights that are not ignored
+ */
+export function filterIgnoredLights(lights, ignored) {
+  return lights.filter((light) => !isIgnoredLight(light, ignored));
+}
+
+/**
+ * Adds a light to the ignore list.
+ *
+ * An entry already describing the light is updated with the identifiers and
+ * name of the light instead.
+ *
+ * @param {Array<Object>} ignored - Ignore entries
+ * @param {Object} light - Light configuration
+ * @param {string} name - Name shown in the preferences
+ * @returns {Array<Object>|null} New ignore list, or null if the light has
+ *          neither a device id nor a serial number
+ */
+export function addIgnoredLight(ignored, light, name) {
+  if (!light.id && !light.serialNumber) {
+    return null;
+  }
+
+  const entry = { name, id: light.id ?? null, serialNumber: light.serialNumber ?? null };
+  const index = ignored.findIndex((e) => matchesEntry(e, light));
+  if (index === -1) {
+    return [...ignored, entry];
+  }
+
+  const existing = ignored[index];
+  return ignored.map((e, i) =>
+    i === index
+      ? {
+          name,
+          id: entry.id ?? existing.id,
+          serialNumber: entry.serialNumber ?? existing.serialNumber,
+        }
+      : e,
+  );
+}
+
+/**
+ * Removes a light from the ignore list.
+ *
+ * @param {Array<Object>} ignored - Ignore entries
+ * @param {Object} light - Light configuration or ignore entry
+ * @returns {Array<Object>} New ignore list without the entries describing the light
+ */
+export function removeIgnoredLight(ignored, light) {
+  return ignored.filter((entry) => !matchesEntry(entry, light));
+}
@@ -0,0 +1,134 @@
+/**
+ * Light state utilities for Elgato lights.
+ *
+ * Converts between the entries of the `lights` array returned by the
+ * /elgato/lights endpoint and the normalized state used by the extension.
+ * White-only lights (Key Light, Key Light Air) report a color temperature,
+ * while color-capable lights (Light Strip) can also report hue and saturation.
+ * Some accessories expose more than one light channel in the `lights` array.
+ *
+ * This module is pure JavaScript with no GI dependencies, making it testable
+ * in a standard Node.js environment.
+ */
+
+import { Temperature, Brightness, Hue, Saturation } from "./conversions.js";
+
+/** Light is showing white light at a color temperature. */
+export const MODE_WHITE = "white";
+
+/** Light is showing a hue/saturation color. */
+export const MODE_COLOR = "color";
+
+/**
+ * Clamps and rounds a value to the given range.
+ *
+ * @param {number} value - Value to clamp
+ * @param {number} min - Minimum allowed value
+ * @param {number} max - Maximum allowed value
+ * @returns {number} Rounded value within [min, max]
+ */
+function clamp(value, min, max) {
+  return Math.max(min, Math.min(max, Math.round(value)));
+}
+
+/**
+ * Creates the state assumed for a channel before it has been fetched.
+ *
+ * @returns {{on: boolean, brightness: number, temperature: number,
+ *            hue: null, saturation: null, mode: string}} Default channel state
+ */
+export function createDefaultState() {
+  return {
+    on: false,
+    brightness: 50,
+    temperature: Temperature.DEFAULT_API,
+    hue: null,
+    saturation: null,
+    mode: MODE_WHITE,
+  };
+}
+
+/**
+ * Parses a single entry of the API `lights` array.
+ *
+ * The light is considered to be in color mode when it reports a hue but no
+ * color temperature.
+ *
+ * @param {Object} entry - Raw light entry from the API
+ * @returns {{on: boolean, brightness: number, temperature: number|null,
+ *            hue: number|null, saturation: number|null, mode: string}} Normalized state
+ */
+export function parseLightEntry(entry) {
+  const hasTemperature = typeof entry.temperature === "number";
+  const hasHue = typeof entry.hue === "number";
+
+  return {
+    on: entry.on === 1,
+    brightness: entry.brightness,
+    temperature: hasTemperature ? entry.temperature : null,
+    hue: hasHue ? entry.hue : null,
+    saturation: typeof entry.saturation === "number" ? entry.saturation : null,
+    mode: hasHue && !hasTemperature ? MODE_COLOR : MODE_WHITE,
+  };
+}
+
+/**
+ * Builds an API `lights` entry from a normalized state.
+ *
+ * Values are clamped to the ranges accepted by the device. In white mode the
+ * entry carries a color temperature, in color mode a hue and saturation.
+ *
+ * @param {Object} state - Normalized light state
+ * @param {boolean} state.on - Whether the light is on
+ * @param {number} state.brightness - Brightness level (3-100)
+ * @param {number} [state.temperature] - Color temperature in API units (143-344)
+ * @param {number} [state.hue] - Hue in degrees (0-360)
+ * @param {number} [state.saturation] - Saturation in percent (0-100)
+ * @param {string} [state.mode] - MODE_WHITE or MODE_COLOR (default: MODE_WHITE)
+ * @returns {Object} Entry suitable for a PUT to /elgato/lights
+ */
+export function buildLightEntry(state) {
+  const entry = {
+    on: state.on ? 1 : 0,
+    brightness: clamp(state.brightness, Brightness.MIN, Brightness.MAX),
+  };
+
+  if (state.mode === MODE_COLOR) {
+    entry.hue = clamp(state.hue ?? Hue.MIN, Hue.MIN, Hue.MAX);
+    entry.saturation = clamp(state.saturation ?? Saturation.MAX, Saturation.MIN, Saturation.MAX);
+  } else {
+    entry.temperature = clamp(
+      state.temperature ?? Temperature.DEFAULT_API,
+      Temperature.MIN_API,
+      Temperature.MAX_API,
+    );
+  }
+
+  return entry;
+}
+
+/**
+ * Parses the response of GET /elgato/lights into one state per channel.
+ *
+ * @param {Object} data - Raw response object from the API
+ * @returns {Array<Object>} Normalized states (see parseLightEntry()), empty if none
+ */
+export function parseLightsPayload(data) {
+  if (!data || !Array.isArray(data.lights)) {
+    return [];
+  }
+  return data.lights.filter((entry) => entry && typeof entry === "object").map(parseLightEntry);
+}
+
+/**
+ * Builds the body of a PUT to /elgato/lights carrying every channel.
+ *
+ * @param {Array<Object>} states - Normalized states, one per channel
+ * @returns {{numberOfLights: number, lights: Array<Object>}} Request payload
+ */
+export function buildLightsPayload(states) {
+  return {
+    numberOfLights: states.length,
+    lights: states.map(buildLightEntry),
+  };
+}
@@ -6,13 +6,25 @@
  * in a standard Node.js environment.
  */
 
+import { isIPv4, isIPv6, isHostname, isValidHost, isLinkLocalIPv6 } from "./hosts.js";
+import { isIgnoredLight, filterIgnoredLights } from "./ignoreList.js";
+
 /**
  * Validates a light configuration object.
  *
  * @param {Object} light - Light configuration to validate
  * @param {string} light.name - Display name of the light
- * @param {string} light.host - IP address or hostname
+ * @param {string} light.host - IPv4 address, IPv6 address (scoped if link-local, e.g.
+ *        "fe80::1%3") or hostname
  * @param {number} light.port - Port number
+ * @param {Array<string>} [light.addresses] - Every address the light was found on, best first
+ * @param {string|null} [light.id] - Device id from the mDNS TXT record
+ * @param {string|null} [light.serialNumber] - Serial number from the accessory info
+ * @param {string|null} [light.firmwareVersion] - Firmware version from the accessory info
+ * @param {string|null} [light.alias] - Local name shown instead of the light's own name
+ * @param {boolean} [light.pinned] - Whether the light was added manually
+ * @param {number} [light.missedDiscoveries] - Discoveries in a row that missed the light
+ * @param {number|null} [light.lastSeen] - When the light last answered, in ms since the epoch
  * @returns {boolean} True if valid, false otherwise
  */
 export function isValidLightConfig(light) {
@@ -24,7 +36,7 @@ export function isValidLightConfig(light) {
     return false;
   }
 
-  if (typeof light.host !== "string" || light.host.length === 0) {
+  if (!isValidHost(light.host)) {
     return false;
   }
 
@@ -32,14 +44,49 @@ export function isValidLightConfig(light) {
     return false;
   }
 
+  if (
+    light.addresses !== undefined &&
+    (!Array.isArray(light.addresses) || !light.addresses.every(isValidHost))
+  ) {
+    return false;
+  }
+
+  for (const field of ["id", "serialNumber", "firmwareVersion", "alias"]) {
+    if (light[field] !== undefined && light[field] !== null && typeof light[field] !== "string") {
+      return false;
+    }
+  }
+
+  if (light.pinned !== undefined && typeof light.pinned !== "boolean") {
+    return false;
+  }
+
+  if (
+    light.missedDiscoveries !== undefined &&
+    (!Number.isInteger(light.missedDiscoveries) || light.missedDiscoveries < 0)
+  ) {
+    return false;
+  }
+
+  if (
+    light.lastSeen !== undefined &&
+    light.lastSeen !== null &&
+    (typeof light.lastSeen !== "number" || !Number.isFinite(light.lastSeen) || light.lastSeen < 0)
+  ) {
+    return false;
+  }
+
   return true;
 }
 
 /**
  * Parses a JSON string of cached lights.
  *
+ * Invalid entries are logged and dropped.
+ *
  * @param {string} json - JSON string containing array of light configs
- * @returns {Array<{name: string, host: string, port: number}>} Valid light configs
+ * @returns {Array<{name: string, host: string, port: number, id?: string|null,
+ *          serialNumber?: string|null}>} Valid light configs
  */
 export function parseCachedLights(json) {
   if (!json || typeof json !== "string") {
@@ -51,8 +98,314 @@ export function parseCachedLights(json) {
     if (!Array.isArray(parsed)) {
       return [];
     }
-    return parsed.filter(isValidLightConfig);
+    return parsed.filter((light) => {
+      if (isValidLightConfig(light)) {
+        return true;
+      }
+      console.error(`[ElgatoLights] Dropping invalid cached light: ${JSON.stringify(light)}`);
+      return false;
+    });
   } catch {
     return [];
   }
 }
+
+/**
+ * Normalizes a user-entered display name for a light.
+ *
+ * @param {string} name - Name entered by the user
+ * @returns {string|null} Trimmed name, or null if it is empty or not a string
+ */
+export function normalizeDisplayName(name) {
+  if (typeof name !== "string") {
+    return null;
+  }
+
+  const trimmed = name.trim();
+  return trimmed.length > 0 ? trimmed : null;
+}
+
+/**
+ * Gets the stable identifier of a light, which survives address changes.
+ *
+ * The device id from the mDNS TXT record is preferred, with the serial number
+ * from the accessory info as a fallback.
+ *
+ * @param {Object} light - Light configuration
+ * @returns {string|null} Identifier, or null if the light has neither
+ */
+export function getLightId(light) {
+  if (light.id) {
+    return `id:${light.id.toUpperCase()}`;
+  }
+  if (light.serialNumber) {
+    return `serial:${light.serialNumber}`;
+  }
+  return null;
+}
+
+/**
+ * Determines whether two light configurations describe the same device.
+ *
+ * Lights are compared by device id, then by serial number, and only by
+ * address when neither identifier is known for both of them.
+ *
+ * @param {Object} a - Light configuration
+ * @param {Object} b - Light configuration
+ * @returns {boolean} True if both describe the same device
+ */
+export function isSameLight(a, b) {
+  if (a.id && b.id) {
+    return a.id.toUpperCase() === b.id.toUpperCase();
+  }
+  if (a.serialNumber && b.serialNumber) {
+    return a.serialNumber === b.serialNumber;
+  }
+  return a.host === b.host && a.port === b.port;
+}
+
+/**
+ * Merges a rediscovered light into an existing configuration.
+ *
+ * The address is taken from the update, while identifiers and other fields
+ * the update doesn't know about are kept from the existing configuration.
+ *
+ * @param {Object} existing - Existing light configuration
+ * @param {Object} update - Newly discovered light configuration
+ * @returns {Object} Merged light configuration
+ */
+export function mergeLightConfig(existing, update) {
+  const merged = { ...existing };
+  for (const [key, value] of Object.entries(update)) {
+    if (value !== null && value !== undefined) {
+      merged[key] = value;
+    }
+  }
+  return merged;
+}
+
+/**
+ * Reconciles a fresh discovery result with the known lights.
+ *
+ * Each discovered light that matches a known light (see isSameLight()) is
+ * merged into it, so a light that changed address keeps its entry. Several
+ * discovered entries for the same device collapse into the first one.
+ * Pinned lights are kept even when they were not discovered.
+ *
+ * @param {Array<Object>} known - Known light configurations
+ * @param {Array<Object>} discovered - Discovered light configurations
+ * @returns {Array<Object>} One configuration per discovered device, followed
+ *          by the pinned lights that were not discovered
+ */
+export function reconcileLights(known, discovered) {
+  const result = [];
+  for (const light of discovered) {
+    const index = result.findIndex((l) => isSameLight(l, light));
+    if (index !== -1) {
+      result[index] = mergeLightConfig(light, result[index]);
+      continue;
+    }
+
+    const existing = known.find((l) => isSameLight(l, light));
+    result.push(existing ? mergeLightConfig(existing, light) : light);
+  }
+
+  for (const light of known) {
+    if (light.pinned && !result.some((l) => isSameLight(l, light))) {
+      result.push(light);
+    }
+  }
+  return result;
+}
+
+/**
+ * Applies changes to the configuration of one light in a list.
+ *
+ * @param {Array<Object>} lights - Light configurations
+ * @param {Object} light - Configuration of the light to change (see isSameLight())
+ * @param {Object} changes - Fields to set
+ * @returns {Array<Object>} New list, with the matching light changed
+ */
+export function updateLightConfig(lights, light, changes) {
+  return lights.map((l) => (isSameLight(l, light) ? { ...l, ...changes } : l));
+}
+
+/**
+ * Removes a light from a list of configurations.
+ *
+ * @param {Array<Object>} lights - Light configurations
+ * @param {Object} light - Configuration of the light to remove (see isSameLight())
+ * @returns {Array<Object>} New list without the light
+ */
+export function removeLightConfig(lights, light) {
+  return lights.filter((l) => !isSameLight(l, light));
+}
+
+/**
+ * Merges lights another process stored into the lights held in memory.
+ *
+ * The extension and the preferences window both rewrite the whole list.
+ * Compared with the list both last agreed on, fields the other process
+ * changed (such as an alias) are taken from the stored list, and every
+ * other field (such as lastSeen) from the current one. Lights the other
+ * process added or forgot are added or dropped; lights added in memory
+ * but not stored yet are kept.
+ *
+ * @param {Array<Object>} base - Light configurations last saved or applied
+ * @param {Array<Object>} stored - Light configurations now stored
+ * @param {Array<Object>} current - Light configurations held in memory
+ * @returns {Array<Object>} Merged light configurations
+ */
+export function mergeStoredLights(base, stored, current) {
+  const result = [];
+
+  for (const light of current) {
+    const storedLight = stored.find((l) => isSameLight(l, light));
+    const baseLight = base.find((l) => isSameLight(l, light));
+    if (!storedLight) {
+      if (!baseLight) {
+        result.push(light);
+      }
+      continue;
+    }
+
+    const merged = { ...light };
+    for (const key of new Set([...Object.keys(storedLight), ...Object.keys(baseLight ?? {})])) {
+      if (!baseLight || JSON.stringify(storedLight[key]) !== JSON.stringify(baseLight[key])) {
+        merged[key] = storedLight[key];
+      }
+    }
+    result.push(merged);
+  }
+
+  for (const light of stored) {
+    if (
+      !result.some((l) => isSameLight(l, light)) &&
+      !base.some((l) => isSameLight(l, light)) &&
+      !current.some((l) => isSameLight(l, light))
+    ) {
+      result.push(light);
+    }
+  }
+  return result;
+}
+
+/** Default number of discoveries in a row a cached light may be missed by and still be kept. */
+export const DEFAULT_MAX_MISSED_DISCOVERIES = 3;
+
+/**
+ * Merges a rediscovery result into the known lights.
+ *
+ * Discovered lights are reconciled with the known ones (see
+ * reconcileLights()) and confirmed by resetting their missedDiscoveries
+ * count. Known lights that were not discovered are kept as unconfirmed,
+ * with their count raised by one, as long as they have been missed by at
+ * most maxMissed discoveries in a row. Pinned lights are always kept as they are.
+ *
+ * Ignored lights are left out of the merge: they are kept as they are, so
+ * unhiding them restores their alias and pinned state, and discovered
+ * lights on the ignore list are not added.
+ *
+ * @param {Array<Object>} known - Known light configurations
+ * @param {Array<Object>} discovered - Discovered light configurations
+ * @param {number} [maxMissed=DEFAULT_MAX_MISSED_DISCOVERIES] - Discoveries in a row
+ *        a light may be missed by and still be kept (0 drops it on the first miss)
+ * @param {Array<Object>} [ignored=[]] - Ignore entries (see parseIgnoredLights())
+ * @returns {Array<Object>} Discovered lights, followed by the known lights
+ *          that were not discovered but are kept, and the ignored lights
+ */
+export function mergeDiscoveredLights(
+  known,
+  discovered,
+  maxMissed = DEFAULT_MAX_MISSED_DISCOVERIES,
+  ignored = [],
+) {
+  const visible = filterIgnoredLights(known, ignored);
+  const found = filterIgnoredLights(discovered, ignored);
+  const result = reconcileLights(visible, found).map((light) =>
+    found.some((l) => isSameLight(l, light)) ? { ...light, missedDiscoveries: 0 } : light,
+  );
+
+  for (const light of visible) {
+    if (light.pinned || result.some((l) => isSameLight(l, light))) {
+      continue;
+    }
+    const missedDiscoveries = (light.missedDiscoveries ?? 0) + 1;
+    if (missedDiscoveries <= maxMissed) {
+      result.push({ ...light, missedDiscoveries });
+    }
+  }
+  return [...result, ...known.filter((light) => isIgnoredLight(light, ignored))];
+}
+
+/** Default port of the Elgato light API. */
+export const DEFAULT_PORT = 9123;
+
+/** Reasons parseManualAddress() rejects an address. */
+export const ManualAddressError = {
+  INVALID: "invalid",
+  LINK_LOCAL_WITHOUT_ZONE: "link-local-without-zone",
+};
+
+/**
+ * Parses an address entered by the user to add a light manually.
+ *
+ * Accepts an IPv4 address, an IPv6 address (bracketed when followed by a
+ * port) or a hostname, each optionally followed by ":port". Link-local IPv6
+ * addresses need a zone (e.g. "[fe80::1%wlp2s0]:9123"), which may be written
+ * with the URL escape "%25", bracketed or not. A leading "http://" and
+ * trailing "/" are ignored.
+ *
+ * @param {string} text - Address entered by the user
+ * @param {number} [defaultPort=DEFAULT_PORT] - Port used when none is given
+ * @returns {{host: string, port: number}|{error: string}} Host and port, or
+ *          the reason the address was rejected (see ManualAddressError)
+ */
+export function parseManualAddress(text, defaultPort = DEFAULT_PORT) {
+  const invalid = { error: ManualAddressError.INVALID };
+  if (typeof text !== "string") {
+    return invalid;
+  }
+
+  const address = text
+    .trim()
+    .replace(/^http:\/\//i, "")
+    .replace(/\/$/, "");
+  let host = address;
+  let portText = null;
+
+  const bracketed = address.match(/^\[([^\]]+)\](?::(\d+))?$/);
+  if (bracketed) {
+    [, host, portText = null] = bracketed;
+  } else if (address.split(":").length === 2) {
+    [host, portText] = address.split(":");
+  }
+
+  // Zone ids are escaped as "%25" in URLs (RFC 6874). Only a single
+  // separator is decoded; a host with a second "%" is left to be rejected.
+  host = host.replace(/^([^%]+)%25(?=[^%]+$)/, "$1%");
+  if (bracketed && !isIPv6(host)) {
+    return invalid;
+  }
+
+  let port = defaultPort;
+  if (portText !== null) {
+    if (!/^\d+$/.test(portText)) {
+      return invalid;
+    }
+    port = Number(portText);
+    if (port < 1 || port > 65535) {
+      return invalid;
+    }
+  }
+
+  if (!isIPv4(host) && !isIPv6(host) && !isHostname(host)) {
+    return invalid;
+  }
+
+  if (isLinkLocalIPv6(host) && !host.includes("%")) {
+    return { error: ManualAddressError.LINK_LOCAL_WITHOUT_ZONE };
+  }
+
+  return { host, port };
+}
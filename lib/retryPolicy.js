@@ -0,0 +1,183 @@
+/**
+ * Retry policy and circuit breaker for requests to Elgato lights.
+ *
+ * The retry policy decides how many times a request is attempted and how long
+ * to wait between attempts (exponential backoff with jitter). The circuit
+ * breaker tracks repeated failures per light and fails fast while a light is
+ * unreachable, probing it again after a cooldown.
+ *
+ * This module is pure JavaScript with no GI dependencies, making it testable
+ * in a standard Node.js environment.
+ */
+
+/**
+ * Default retry policy values, matching the GSettings schema defaults.
+ */
+export const DEFAULT_RETRY_POLICY = {
+  maxAttempts: 3,
+  baseDelayMs: 500,
+  maxDelayMs: 8000,
+  jitter: 0.5,
+  failureThreshold: 3,
+  cooldownMs: 30000,
+};
+
+/**
+ * Returns a number within [min, max], or the fallback if it isn't a finite number.
+ *
+ * @param {*} value - Value to check
+ * @param {number} min - Minimum allowed value
+ * @param {number} max - Maximum allowed value
+ * @param {number} fallback - Value used when value is not a finite number
+ * @returns {number} Value within [min, max]
+ */
+function clampNumber(value, min, max, fallback) {
+  if (typeof value !== "number" || !Number.isFinite(value)) {
+    return fallback;
+  }
+  return Math.max(min, Math.min(max, value));
+}
+
+/**
+ * Creates a retry policy, filling in defaults and clamping invalid values.
+ *
+ * @param {Object} [options] - Policy values to override
+ * @param {number} [options.maxAttempts] - Total attempts per request (1-10)
+ * @param {number} [options.baseDelayMs] - Delay before the first retry
+ * @param {number} [options.maxDelayMs] - Upper bound for any retry delay
+ * @param {number} [options.jitter] - Fraction of each delay that is randomized (0-1)
+ * @param {number} [options.failureThreshold] - Consecutive failed requests before
+ *                                              the circuit opens (0 disables the breaker)
+ * @param {number} [options.cooldownMs] - Time the circuit stays open before probing again
+ * @returns {Object} Complete retry policy
+ */
+export function createRetryPolicy(options = {}) {
+  const d = DEFAULT_RETRY_POLICY;
+  const baseDelayMs = clampNumber(options.baseDelayMs, 0, 60000, d.baseDelayMs);
+
+  return {
+    maxAttempts: Math.round(clampNumber(options.maxAttempts, 1, 10, d.maxAttempts)),
+    baseDelayMs,
+    maxDelayMs: clampNumber(
+      options.maxDelayMs,
+      baseDelayMs,
+      300000,
+      Math.max(baseDelayMs, d.maxDelayMs),
+    ),
+    jitter: clampNumber(options.jitter, 0, 1, d.jitter),
+    failureThreshold: Math.round(clampNumber(options.failureThreshold, 0, 100, d.failureThreshold)),
+    cooldownMs: clampNumber(options.cooldownMs, 0, 3600000, d.cooldownMs),
+  };
+}
+
+/**
+ * Computes the delay before the next attempt.
+ *
+ * The delay doubles with each retry (base, 2x base, 4x base, ...) up to
+ * maxDelayMs. The jitter fraction of the delay is randomized so several
+ * lights failing at once don't retry in lockstep.
+ *
+ * @param {Object} policy - Retry policy from createRetryPolicy()
+ * @param {number} retry - Zero-based retry number (0 = delay before the first retry)
+ * @param {Function} [random=Math.random] - Random source returning [0, 1)
+ * @returns {number} Delay in milliseconds
+ */
+export function getRetryDelay(policy, retry, random = Math.random) {
+  const exponential = Math.min(policy.maxDelayMs, policy.baseDelayMs * 2 ** retry);
+  const fixed = exponential * (1 - policy.jitter);
+  return Math.round(fixed + random() * exponential * policy.jitter);
+}
+
+/** Circuit breaker states. */
+export const CircuitState = {
+  CLOSED: "closed",
+  OPEN: "open",
+  HALF_OPEN: "half-open",
+};
+
+/**
+ * Per-light circuit breaker.
+ *
+ * Closed: requests go through. After failureThreshold consecutive failures
+ * the circuit opens and requests fail fast. Once cooldownMs has passed a
+ * single probe request is let through (half-open); its outcome closes or
+ * re-opens the circuit.
+ */
+export class CircuitBreaker {
+  /**
+   * Creates a new CircuitBreaker.
+   *
+   * @param {Object} policy - Retry policy providing failureThreshold and cooldownMs
+   * @param {Function} [now=Date.now] - Clock returning the current time in milliseconds
+   */
+  constructor(policy, now = Date.now) {
+    this._now = now;
+    this.state = CircuitState.CLOSED;
+    this._failures = 0;
+    this._openedAt = 0;
+    this.configure(policy);
+  }
+
+  /**
+   * Updates the thresholds without resetting the current state.
+   *
+   * @param {Object} policy - Retry policy providing failureThreshold and cooldownMs
+   */
+  configure(policy) {
+    this._failureThreshold = policy.failureThreshold;
+    this._cooldownMs = policy.cooldownMs;
+  }
+
+  /**
+   * Checks whether a request may be sent now.
+   *
+   * Moves an open circuit to half-open once the cooldown has passed; only
+   * the caller that triggers this transition gets to send the probe.
+   *
+   * @returns {boolean} True if the request may be sent
+   */
+  canRequest() {
+    if (this._failureThreshold === 0 || this.state === CircuitState.CLOSED) {
+      return true;
+    }
+
+    if (this.state === CircuitState.OPEN && this._now() - this._openedAt >= this._cooldownMs) {
+      this.state = CircuitState.HALF_OPEN;
+      return true;
+    }
+
+    return false;
+  }
+
+  /**
+   * Closes the circuit and clears the failure count, e.g. when the user asks
+   * to retry an unreachable light right away.
+   */
+  reset() {
+    this._failures = 0;
+    this.state = CircuitState.CLOSED;
+  }
+
+  /**
+   * Records a request that reached the device.
+   */
+  recordSuccess() {
+    this._failures = 0;
+    this.state = CircuitState.CLOSED;
+  }
+
+  /**
+   * Records a request that failed to reach the device.
+   */
+  recordFailure() {
+    this._failures++;
+
+    if (
+      this._failureThreshold > 0 &&
+      (this.state === CircuitState.HALF_OPEN || this._failures >= this._failureThreshold)
+    ) {
+      this.state = CircuitState.OPEN;
+      this._openedAt = this._now();
+    }
+  }
+}
@@ -0,0 +1,184 @@
+/**
+ * Subnet utilities for the network scan fallback.
+ *
+ * Works out which IPv4 hosts to probe from the output of `ip -j -4 addr`
+ * and turns accessory-info responses into light objects shaped like the
+ * results of discoverLights().
+ *
+ * This module is pure JavaScript with no GI dependencies, making it testable
+ * in a standard Node.js environment.
+ */
+
+/** Subnets larger than this prefix length are narrowed to the /24 around the address. */
+export const MIN_SCAN_PREFIX_LENGTH = 24;
+
+/**
+ * Converts a dotted IPv4 address to an unsigned 32-bit integer.
+ *
+ * @param {string} address - IPv4 address
+ * @returns {number|null} Integer value, or null if the address is invalid
+ */
+function ipv4ToInt(address) {
+  const parts = typeof address === "string" ? address.split(".") : [];
+  if (parts.length !== 4 || !parts.every((part) => /^\d{1,3}$/.test(part) && Number(part) <= 255)) {
+    return null;
+  }
+  return parts.reduce((value, part) => value * 256 + Number(part), 0);
+}
+
+/**
+ * Converts an unsigned 32-bit integer to a dotted IPv4 address.
+ *
+ * @param {number} value - Integer value
+ * @returns {string} IPv4 address
+ */
+function intToIpv4(value) {
+  return [24, 16, 8, 0].map((shift) => Math.floor(value / 2 ** shift) % 256).join(".");
+}
+
+/**
+ * Parses the JSON output of `ip -j -4 addr` into the addresses worth scanning.
+ *
+ * Loopback and down interfaces are skipped, as are addresses that are not
+ * globally scoped (such as 169.254.0.0/16 link-local addresses).
+ *
+ * @param {string} json - Output of `ip -j -4 addr`
+ * @returns {Array<{iface: string, address: string, prefixLength: number}>}
+ *          Interface addresses, empty if the output can't be parsed
+ */
+export function parseInterfaceAddresses(json) {
+  let interfaces;
+  try {
+    interfaces = JSON.parse(json);
+  } catch {
+    return [];
+  }
+  if (!Array.isArray(interfaces)) {
+    return [];
+  }
+
+  const result = [];
+  for (const iface of interfaces) {
+    const flags = Array.isArray(iface?.flags) ? iface.flags : [];
+    if (flags.includes("LOOPBACK") || !flags.includes("UP")) {
+      continue;
+    }
+
+    for (const info of Array.isArray(iface.addr_info) ? iface.addr_info : []) {
+      if (
+        info?.family === "inet" &&
+        info.scope === "global" &&
+        ipv4ToInt(info.local) !== null &&
+        Number.isInteger(info.prefixlen)
+      ) {
+        result.push({ iface: iface.ifname, address: info.local, prefixLength: info.prefixlen });
+      }
+    }
+  }
+  return result;
+}
+
+/**
+ * Lists the hosts of the subnet an address belongs to.
+ *
+ * The network and broadcast addresses and the address itself are left out.
+ * Subnets larger than minPrefixLength are narrowed to the block of that size
+ * around the address, so a /16 doesn't turn into 65,000 probes.
+ *
+ * @param {string} address - IPv4 address of the local interface
+ * @param {number} prefixLength - Prefix length of the subnet (0-32)
+ * @param {number} [minPrefixLength=MIN_SCAN_PREFIX_LENGTH] - Smallest prefix length to scan
+ * @returns {Array<string>} Host addresses, empty for /31 and /32 or an invalid address
+ */
+export function getSubnetHosts(address, prefixLength, minPrefixLength = MIN_SCAN_PREFIX_LENGTH) {
+  const value = ipv4ToInt(address);
+  const prefix = Math.max(prefixLength, minPrefixLength);
+  if (value === null || prefix >= 31) {
+    return [];
+  }
+
+  const size = 2 ** (32 - prefix);
+  const network = Math.floor(value / size) * size;
+  const hosts = [];
+  for (let host = network + 1; host < network + size - 1; host++) {
+    if (host !== value) {
+      hosts.push(intToIpv4(host));
+    }
+  }
+  return hosts;
+}
+
+/**
+ * Lists the hosts to probe for a set of interface addresses, without duplicates.
+ *
+ * @param {Array<{address: string, prefixLength: number}>} addresses - From parseInterfaceAddresses()
+ * @returns {Array<string>} Host addresses
+ */
+export function getScanTargets(addresses) {
+  const ownAddresses = new Set(addresses.map((a) => a.address));
+  const targets = new Set();
+  for (const { address, prefixLength } of addresses) {
+    for (const host of getSubnetHosts(address, prefixLength)) {
+      if (!ownAddresses.has(host)) {
+        targets.add(host);
+      }
+    }
+  }
+  return [...targets];
+}
+
+/**
+ * Builds a light object from the accessory-info response of a probed host.
+ *
+ * @param {string} host - Probed IPv4 address
+ * @param {number} port - Probed port
+ * @param {Object} info - Parsed /elgato/accessory-info response
+ * @returns {Object|null} Light object shaped like the results of
+ *          discoverLights(), or null if the response is not from an Elgato light
+ */
+export function lightFromAccessoryInfo(host, port, info) {
+  if (!info || typeof info !== "object" || typeof info.productName !== "string") {
+    return null;
+  }
+
+  return {
+    name: info.displayName || info.productName,
+    host,
+    addresses: [host],
+    port,
+    hostname: null,
+    id: null,
+    model: info.productName,
+    protocolVersion: null,
+    deviceType: null,
+    manufacturer: null,
+    serialNumber: typeof info.serialNumber === "string" ? info.serialNumber : null,
+  };
+}
+
+/**
+ * Maps items through an async worker with at most `limit` calls in flight.
+ *
+ * @param {Array} items - Items to process
+ * @param {number} limit - Maximum number of concurrent calls
+ * @param {Function} worker - Async function called with each item
+ * @returns {Promise<Array>} Results in the order of the items
+ */
+export async function mapWithConcurrency(items, limit, worker) {
+  const results = new Array(items.length);
+  let next = 0;
+
+  const run = async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await worker(items[index]);
+    }
+  };
+
+  const runners = [];
+  for (let i = 0; i < Math.min(Math.max(1, limit), items.length); i++) {
+    runners.push(run());
+  }
+  await Promise.all(runners);
+  return results;
+}
@@ -0,0 +1,71 @@
+/**
+ * mDNS TXT record utilities for Elgato lights.
+ *
+ * Elgato lights advertise a few key/value pairs in the TXT record of their
+ * _elg._tcp service, such as `id` (the device MAC address), `md` (model),
+ * `pv` (protocol version), `dt` (device type) and `mf` (manufacturer).
+ * These are available before the first HTTP request to the light.
+ *
+ * This module is pure JavaScript with no GI dependencies, making it testable
+ * in a standard Node.js environment.
+ */
+
+/**
+ * Decodes TXT record strings into a key/value map.
+ *
+ * Keys are matched case-insensitively and only the first occurrence of a key
+ * is kept, as required by RFC 6763. A key without "=" gets an empty value.
+ *
+ * @param {Array<Uint8Array|Array<number>|string>} records - TXT strings as
+ *        byte arrays (as reported by Avahi) or strings
+ * @returns {Object<string, string>} Values keyed by lowercase key
+ */
+export function decodeTxtRecords(records) {
+  const result = {};
+  if (!Array.isArray(records)) {
+    return result;
+  }
+
+  const decoder = new TextDecoder();
+  for (const record of records) {
+    let text;
+    if (typeof record === "string") {
+      text = record;
+    } else if (record instanceof Uint8Array || Array.isArray(record)) {
+      text = decoder.decode(Uint8Array.from(record));
+    } else {
+      continue;
+    }
+
+    const separator = text.indexOf("=");
+    const key = (separator === -1 ? text : text.slice(0, separator)).toLowerCase();
+    if (key.length === 0 || key in result) {
+      continue;
+    }
+    result[key] = separator === -1 ? "" : text.slice(separator + 1);
+  }
+
+  return result;
+}
+
+/**
+ * Extracts the Elgato fields from a TXT record.
+ *
+ * @param {Array} records - TXT strings (see decodeTxtRecords())
+ * @returns {{id: string|null, model: string|null, protocolVersion: string|null,
+ *            deviceType: number|null, manufacturer: string|null}} Parsed fields,
+ *          null where missing
+ */
+export function parseElgatoTxt(records) {
+  const txt = decodeTxtRecords(records);
+  const value = (key) => (txt[key] ? txt[key] : null);
+  const deviceType = Number.parseInt(txt.dt, 10);
+
+  return {
+    id: value("id"),
+    model: value("md"),
+    protocolVersion: value("pv"),
+    deviceType: Number.isNaN(deviceType) ? null : deviceType,
+    manufacturer: value("mf"),
+  };
+}
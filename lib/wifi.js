@@ -0,0 +1,81 @@
+/**
+ * Wi-Fi utilities for Elgato lights.
+ *
+ * Handles the Wi-Fi details reported in /elgato/accessory-info and maps the
+ * signal strength (RSSI) to the levels used by the symbolic network icons.
+ *
+ * This module is pure JavaScript with no GI dependencies, making it testable
+ * in a standard Node.js environment.
+ */
+
+/**
+ * Signal levels from strongest to weakest, with the minimum RSSI (dBm)
+ * needed to reach each level.
+ */
+export const SIGNAL_LEVELS = [
+  { name: "excellent", minRssi: -50 },
+  { name: "good", minRssi: -60 },
+  { name: "ok", minRssi: -70 },
+  { name: "weak", minRssi: -80 },
+];
+
+/**
+ * Parses the Wi-Fi details from an accessory-info response.
+ *
+ * @param {Object} data - Raw accessory-info object from the API
+ * @returns {{ssid: string|null, rssi: number|null, frequencyMHz: number|null,
+ *            macAddress: string|null}|null} Wi-Fi info, or null if none was reported
+ */
+export function parseWifiInfo(data) {
+  if (!data || typeof data !== "object") {
+    return null;
+  }
+
+  const wifi = data["wifi-info"];
+  const macAddress = typeof data.macAddress === "string" ? data.macAddress : null;
+
+  if ((!wifi || typeof wifi !== "object") && macAddress === null) {
+    return null;
+  }
+
+  return {
+    ssid: typeof wifi?.ssid === "string" ? wifi.ssid : null,
+    rssi: typeof wifi?.rssi === "number" ? wifi.rssi : null,
+    frequencyMHz: typeof wifi?.frequencyMHz === "number" ? wifi.frequencyMHz : null,
+    macAddress,
+  };
+}
+
+/**
+ * Maps an RSSI value to a signal level name.
+ *
+ * @param {number|null} rssi - Signal strength in dBm
+ * @returns {string} One of "excellent", "good", "ok", "weak" or "none"
+ */
+export function getSignalLevel(rssi) {
+  if (typeof rssi !== "number") {
+    return "none";
+  }
+
+  const level = SIGNAL_LEVELS.find((l) => rssi >= l.minRssi);
+  return level ? level.name : "none";
+}
+
+/**
+ * Formats a Wi-Fi frequency as a band label.
+ *
+ * @param {number|null} frequencyMHz - Frequency in MHz
+ * @returns {string|null} Band label (e.g. "2.4 GHz"), or null if unknown
+ */
+export function formatWifiBand(frequencyMHz) {
+  if (typeof frequencyMHz !== "number" || frequencyMHz <= 0) {
+    return null;
+  }
+  if (frequencyMHz < 3000) {
+    return "2.4 GHz";
+  }
+  if (frequencyMHz < 5925) {
+    return "5 GHz";
+  }
+  return "6 GHz";
+}
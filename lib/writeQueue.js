@@ -0,0 +1,99 @@
+/**
+ * Coalescing write queue.
+ *
+ * Runs one write at a time and merges every write submitted while another is
+ * in flight into a single pending write. This keeps writes to a device in
+ * submission order and guarantees the latest submitted value is the last one
+ * sent, no matter how long an individual write (including its retries) takes.
+ *
+ * This module is pure JavaScript with no GI dependencies, making it testable
+ * in a standard Node.js environment.
+ */
+
+export class WriteQueue {
+  /**
+   * Creates a new WriteQueue.
+   *
+   * @param {Function} executor - Async function performing a write; receives the
+   *                              (merged) item and resolves with the write result
+   * @param {Function} merge - Merges a newly pushed item into the pending one;
+   *                           called as merge(pendingItem, newItem) and returns the merged item
+   */
+  constructor(executor, merge) {
+    this._executor = executor;
+    this._merge = merge;
+    this._running = false;
+    this._pending = null;
+  }
+
+  /**
+   * Whether no write is running or waiting.
+   *
+   * @returns {boolean}
+   */
+  get idle() {
+    return !this._running && this._pending === null;
+  }
+
+  /**
+   * Submits a write.
+   *
+   * If a write is already waiting, the item is merged into it and both callers
+   * share the result of the merged write.
+   *
+   * @param {*} item - The write to perform
+   * @returns {Promise<*>} Result of the write this item ended up in
+   */
+  push(item) {
+    if (this._pending) {
+      this._pending.item = this._merge(this._pending.item, item);
+      return this._pending.promise;
+    }
+
+    const batch = { item };
+    batch.promise = new Promise((resolve, reject) => {
+      batch.resolve = resolve;
+      batch.reject = reject;
+    });
+    this._pending = batch;
+
+    if (!this._running) {
+      this._drain();
+    }
+
+    return batch.promise;
+  }
+
+  /**
+   * Drops the waiting write, if any, resolving its callers with the given result.
+   * A write that is already running is not affected.
+   *
+   * @param {*} [result=false] - Result handed to the callers of the dropped write
+   */
+  clear(result = false) {
+    const batch = this._pending;
+    this._pending = null;
+    batch?.resolve(result);
+  }
+
+  /**
+   * Runs waiting writes one at a time until none are left.
+   * @private
+   */
+  async _drain() {
+    this._running = true;
+
+    while (this._pending) {
+      const batch = this._pending;
+      this._pending = null;
+
+      try {
+        batch.resolve(await this._executor(batch.item));
+      } catch (e) {
+        batch.reject(e);
+      }
+    }
+
+    this._running = false;
+  }
+}
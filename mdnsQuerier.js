@@ -0,0 +1,187 @@
+/**
+ * Built-in mDNS discovery backend for Elgato Key Light devices.
+ *
+ * Fallback for systems without avahi-daemon: sends DNS-SD PTR queries for
+ * _elg._tcp.local to the mDNS multicast group with a Gio.Socket and parses
+ * the SRV, TXT, A and AAAA records of the answers.
+ *
+ * Queries are sent from an ephemeral port ("legacy unicast", RFC 6762
+ * section 6.7), so responders answer directly and port 5353 does not need
+ * to be free.
+ */
+
+import Gio from "gi://Gio";
+import GLib from "gi://GLib";
+
+import { RecordType, decodeMessage, encodeQuery } from "./lib/dnsMessage.js";
+import { ELGATO_SERVICE_NAME, collectServiceInstances, getMissingQuestions } from "./lib/dnsSd.js";
+import { createTimeout, removeTimeout } from "./discovery.js";
+
+export const MDNS_ADDRESS = "224.0.0.251";
+export const MDNS_PORT = 5353;
+
+/** Time to collect answers before resolving, in milliseconds. */
+export const QUERY_TIMEOUT_MS = 3000;
+
+/** Interval for asking again for anything still missing, in milliseconds. */
+export const QUERY_RETRY_MS = 1000;
+
+/** Largest mDNS message accepted (RFC 6762 section 17). */
+const MAX_MESSAGE_SIZE = 9000;
+
+/**
+ * Opens a UDP socket for sending mDNS queries and receiving the answers.
+ * Exported for testing - can be mocked to inject a stand-in responder.
+ *
+ * @param {Function} onMessage - Called with the bytes (Uint8Array) of each received datagram
+ * @returns {{send: Function, close: Function}} Socket handle; send() takes the bytes of a
+ *          query and sends it to the mDNS group, close() stops receiving
+ * @throws {Error} If the socket can't be created
+ */
+export function openSocket(onMessage) {
+  const socket = Gio.Socket.new(
+    Gio.SocketFamily.IPV4,
+    Gio.SocketType.DATAGRAM,
+    Gio.SocketProtocol.UDP,
+  );
+  socket.set_blocking(false);
+  socket.set_multicast_ttl(255);
+  socket.bind(Gio.InetSocketAddress.new_from_string("0.0.0.0", 0), false);
+
+  const source = socket.create_source(GLib.IOCondition.IN, null);
+  source.set_callback(() => {
+    try {
+      const [bytes] = socket.receive_bytes_from(MAX_MESSAGE_SIZE, -1, null);
+      onMessage(bytes.toArray());
+    } catch (e) {
+      if (!e.matches?.(Gio.IOErrorEnum, Gio.IOErrorEnum.WOULD_BLOCK)) {
+        console.error(`[ElgatoLights] Failed to receive mDNS message: ${e.message}`);
+      }
+    }
+    return GLib.SOURCE_CONTINUE;
+  });
+  source.attach(null);
+
+  const destination = Gio.InetSocketAddress.new_from_string(MDNS_ADDRESS, MDNS_PORT);
+
+  return {
+    send(bytes) {
+      socket.send_to(destination, bytes, null);
+    },
+    close() {
+      source.destroy();
+      socket.close();
+    },
+  };
+}
+
+/**
+ * Default implementations of platform dependencies.
+ * These can be overridden in tests.
+ */
+export const platformDefaults = {
+  openSocket,
+  createTimeout,
+  removeTimeout,
+};
+
+/**
+ * Discovers Elgato lights by querying multicast DNS directly.
+ *
+ * Sends a PTR query for _elg._tcp.local and collects every answer for
+ * QUERY_TIMEOUT_MS. Every QUERY_RETRY_MS, the PTR query is repeated if
+ * nothing was heard yet, or the SRV, TXT and address records that were
+ * left out of the answers so far are asked for.
+ *
+ * @param {Object} [platform=platformDefaults] - Platform dependencies (for testing)
+ * @returns {Promise<Array<Object>>} Lights found, shaped like the results of discoverLights()
+ * @throws {Error} If the socket can't be opened or the query can't be sent
+ */
+export function queryLights(platform = platformDefaults) {
+  return new Promise((resolve, reject) => {
+    const records = [];
+    const ptrQuestion = { name: ELGATO_SERVICE_NAME, type: RecordType.PTR };
+    let socket = null;
+    let retryId = null;
+    let timeoutId = null;
+    let completed = false;
+
+    /**
+     * Completes the query with the lights collected so far.
+     *
+     * @param {Error|null} error - Error if the query failed
+     */
+    const complete = (error = null) => {
+      if (completed) return;
+      completed = true;
+
+      if (retryId) {
+        platform.removeTimeout(retryId);
+        retryId = null;
+      }
+      if (timeoutId) {
+        platform.removeTimeout(timeoutId);
+        timeoutId = null;
+      }
+      socket?.close();
+
+      if (error) {
+        reject(error);
+      } else {
+        resolve(collectServiceInstances(records));
+      }
+    };
+
+    /**
+     * Handles a received datagram, keeping the records of valid responses.
+     *
+     * @param {Uint8Array} bytes - Datagram contents
+     */
+    const handleMessage = (bytes) => {
+      if (completed) return;
+
+      let message;
+      try {
+        message = decodeMessage(bytes);
+      } catch {
+        // Other hosts' malformed packets are not our problem
+        return;
+      }
+      if (message.isResponse) {
+        records.push(...message.answers, ...message.additionals);
+      }
+    };
+
+    try {
+      socket = platform.openSocket(handleMessage);
+    } catch (e) {
+      reject(new Error(`Failed to open mDNS socket: ${e.message}`));
+      return;
+    }
+
+    try {
+      socket.send(encodeQuery([ptrQuestion]));
+    } catch (e) {
+      complete(new Error(`Failed to send mDNS query: ${e.message}`));
+      return;
+    }
+
+    retryId = platform.createTimeout(QUERY_RETRY_MS, () => {
+      const questions = records.length === 0 ? [ptrQuestion] : getMissingQuestions(records);
+      if (questions.length > 0) {
+        try {
+          socket.send(encodeQuery(questions));
+        } catch (e) {
+          console.error(`[ElgatoLights] Failed to send mDNS query: ${e.message}`);
+        }
+      }
+      return true; // GLib.SOURCE_CONTINUE - removed in complete()
+    });
+
+    timeoutId = platform.createTimeout(QUERY_TIMEOUT_MS, () => {
+      timeoutId = null;
+      complete();
+      return false; // GLib.SOURCE_REMOVE
+    });
+  });
+}
@@ -0,0 +1,584 @@
+/**
+ * Preferences window for the Elgato Lights extension.
+ *
+ * Lists the lights remembered in the cached-lights setting with their
+ * address, model, firmware and last-seen time, and lets the user give them a
+ * local alias, hide them, forget them, add lights manually and run discovery.
+ * Hidden lights are listed from the ignored-lights setting and can be
+ * unhidden. Every change is written back to these settings, which the Quick
+ * Settings toggle applies live.
+ */
+
+import Adw from "gi://Adw";
+import GLib from "gi://GLib";
+import GObject from "gi://GObject";
+import Gtk from "gi://Gtk";
+
+import {
+  ExtensionPreferences,
+  gettext as _,
+  ngettext,
+} from "resource:///org/gnome/Shell/Extensions/js/extensions/prefs.js";
+
+import { ElgatoLight, formatAddress } from "./elgatoApi.js";
+import {
+  discoverLights,
+  isAvahiAvailable,
+  platformDefaults as avahiPlatform,
+} from "./discovery.js";
+import { queryLights } from "./mdnsQuerier.js";
+import {
+  parseCachedLights,
+  parseManualAddress,
+  ManualAddressError,
+  normalizeDisplayName,
+  isSameLight,
+  mergeDiscoveredLights,
+  updateLightConfig,
+  removeLightConfig,
+} from "./lib/parser.js";
+import {
+  parseIgnoredLights,
+  filterIgnoredLights,
+  addIgnoredLight,
+  removeIgnoredLight,
+} from "./lib/ignoreList.js";
+
+/** GSettings key for cached light configurations. */
+const CACHED_LIGHTS_KEY = "cached-lights";
+
+/** GSettings key for the lights the user hid. */
+const IGNORED_LIGHTS_KEY = "ignored-lights";
+
+/** GSettings key for the number of discoveries a cached light may be missed by. */
+const MAX_MISSED_DISCOVERIES_KEY = "max-missed-discoveries";
+
+/**
+ * Reads the discovery filters from GSettings.
+ *
+ * @param {Gio.Settings} settings - Extension settings
+ * @returns {Object} Discovery options (see discoverLights())
+ */
+function getDiscoveryOptions(settings) {
+  return {
+    interfaces: settings.get_strv("discovery-interfaces"),
+    protocol: settings.get_string("discovery-protocol"),
+    domains: settings.get_strv("discovery-domains"),
+  };
+}
+
+/**
+ * Formats the time a light last answered.
+ *
+ * @param {number|null} lastSeen - Time in ms since the epoch
+ * @returns {string} Local date and time, or "Never"
+ */
+function formatLastSeen(lastSeen) {
+  if (!lastSeen) {
+    return _("Never");
+  }
+  return GLib.DateTime.new_from_unix_local(Math.floor(lastSeen / 1000)).format("%c");
+}
+
+/**
+ * Preferences page listing the known lights.
+ */
+const LightsPage = GObject.registerClass(
+  class LightsPage extends Adw.PreferencesPage {
+    /**
+     * Creates the lights page.
+     *
+     * @param {Gio.Settings} settings - Extension settings
+     * @param {Adw.PreferencesWindow} window - Window showing toasts
+     */
+    _init(settings, window) {
+      super._init({
+        title: _("Lights"),
+        icon_name: "display-brightness-symbolic",
+      });
+
+      this._settings = settings;
+      this._window = window;
+      this._lightRows = [];
+      this._ignoredRows = [];
+
+      // Discovery or a manual add is running
+      this._busy = false;
+
+      // Flag to track destroyed state for async operation safety
+      this._destroyed = false;
+
+      // Known lights, with a discovery button in the header
+      this._lightsGroup = new Adw.PreferencesGroup({
+        title: _("Known Lights"),
+        description: _("Lights found by discovery or added manually"),
+      });
+      this._discoverButton = new Gtk.Button({
+        icon_name: "view-refresh-symbolic",
+        tooltip_text: _("Discover lights"),
+        valign: Gtk.Align.CENTER,
+        css_classes: ["flat"],
+      });
+      this._discoverButton.connect("clicked", () => this._onDiscoverClicked());
+      this._lightsGroup.set_header_suffix(this._discoverButton);
+      this._emptyRow = new Adw.ActionRow({
+        title: _("No lights found"),
+        subtitle: _("Discover lights or add one below"),
+      });
+      this._lightsGroup.add(this._emptyRow);
+      this.add(this._lightsGroup);
+
+      // Manual add for lights that mDNS can't reach
+      const addGroup = new Adw.PreferencesGroup({
+        title: _("Add Light"),
+        description: _(
+          "Add a light that discovery can't reach, e.g. on another VLAN. Manually added lights are kept across rediscovery.",
+        ),
+      });
+      this._addressRow = new Adw.EntryRow({
+        title: _("IP address or hostname[:port]"),
+        show_apply_button: true,
+      });
+      this._addressRow.connect("apply", () => this._onAddApplied());
+      addGroup.add(this._addressRow);
+      this.add(addGroup);
+
+      // Hidden lights, shown only when there are any
+      this._ignoredGroup = new Adw.PreferencesGroup({
+        title: _("Hidden Lights"),
+        description: _("Lights left out of discovery and the menu"),
+      });
+      this.add(this._ignoredGroup);
+
+      // Update the lists when the extension rediscovers, polls or hides
+      // lights; changes written by this page are already shown
+      this._savedLightsJson = null;
+      this._settingsSignalIds = [
+        this._settings.connect(`changed::${CACHED_LIGHTS_KEY}`, () => {
+          if (this._settings.get_string(CACHED_LIGHTS_KEY) !== this._savedLightsJson) {
+            this._fillLights();
+          }
+        }),
+        this._settings.connect(`changed::${IGNORED_LIGHTS_KEY}`, () => {
+          this._fillLights();
+          this._fillIgnoredLights();
+        }),
+      ];
+
+      this._fillLights();
+      this._fillIgnoredLights();
+    }
+
+    /**
+     * Disconnects from the settings once the window is closed.
+     */
+    disconnectSettings() {
+      this._destroyed = true;
+      for (const id of this._settingsSignalIds) {
+        this._settings.disconnect(id);
+      }
+      this._settingsSignalIds = [];
+    }
+
+    /**
+     * Reads the known lights from GSettings.
+     *
+     * @returns {Array<Object>} Light configurations
+     * @private
+     */
+    _loadLights() {
+      return parseCachedLights(this._settings.get_string(CACHED_LIGHTS_KEY));
+    }
+
+    /**
+     * Writes the known lights to GSettings, where the extension picks them up.
+     *
+     * @param {Array<Object>} lights - Light configurations
+     * @private
+     */
+    _saveLights(lights) {
+      this._savedLightsJson = JSON.stringify(lights);
+      this._settings.set_string(CACHED_LIGHTS_KEY, this._savedLightsJson);
+    }
+
+    /**
+     * Reads the hidden lights from GSettings.
+     *
+     * @returns {Array<Object>} Ignore entries
+     * @private
+     */
+    _loadIgnoredLights() {
+      return parseIgnoredLights(this._settings.get_string(IGNORED_LIGHTS_KEY));
+    }
+
+    /**
+     * Writes the hidden lights to GSettings, where the extension picks them up.
+     *
+     * @param {Array<Object>} ignored - Ignore entries
+     * @private
+     */
+    _saveIgnoredLights(ignored) {
+      this._settings.set_string(IGNORED_LIGHTS_KEY, JSON.stringify(ignored));
+    }
+
+    /**
+     * Shows a short message at the bottom of the window.
+     *
+     * @param {string} title - Message to show
+     * @private
+     */
+    _showToast(title) {
+      this._window.add_toast(new Adw.Toast({ title, use_markup: false }));
+    }
+
+    /**
+     * Disables discovery and manual add while one of them is running.
+     *
+     * @param {boolean} busy - Whether an operation is running
+     * @private
+     */
+    _setBusy(busy) {
+      this._busy = busy;
+      this._discoverButton.sensitive = !busy;
+      this._addressRow.sensitive = !busy;
+    }
+
+    /**
+     * Syncs the list of known lights with GSettings.
+     *
+     * Rows of lights that are still known are updated in place, so expanded
+     * rows stay expanded and an alias being typed is kept. Hidden lights are
+     * listed under Hidden Lights instead.
+     * @private
+     */
+    _fillLights() {
+      const lights = filterIgnoredLights(this._loadLights(), this._loadIgnoredLights());
+      const lightRows = lights.map((light) => {
+        const lightRow = this._lightRows.find((r) => isSameLight(r.light, light));
+        if (lightRow) {
+          this._updateLightRow(lightRow, light);
+          return lightRow;
+        }
+        return this._createLightRow(light);
+      });
+
+      for (const lightRow of this._lightRows) {
+        if (!lightRows.includes(lightRow)) {
+          this._lightsGroup.remove(lightRow.row);
+        }
+      }
+
+      // New rows are appended; rows are only re-added when the order changed
+      const kept = this._lightRows.filter((r) => lightRows.includes(r));
+      const reordered = kept.some((r, i) => lightRows[i] !== r);
+      for (const lightRow of lightRows) {
+        if (reordered && kept.includes(lightRow)) {
+          this._lightsGroup.remove(lightRow.row);
+        }
+        if (reordered || !kept.includes(lightRow)) {
+          this._lightsGroup.add(lightRow.row);
+        }
+      }
+
+      this._lightRows = lightRows;
+      this._emptyRow.visible = lightRows.length === 0;
+    }
+
+    /**
+     * Rebuilds the list of hidden lights.
+     * @private
+     */
+    _fillIgnoredLights() {
+      for (const row of this._ignoredRows) {
+        this._ignoredGroup.remove(row);
+      }
+      this._ignoredRows = [];
+
+      for (const entry of this._loadIgnoredLights()) {
+        const row = new Adw.ActionRow({
+          title: entry.name,
+          subtitle: entry.serialNumber
+            ? _("Serial %s").format(entry.serialNumber)
+            : _("Device ID %s").format(entry.id),
+          use_markup: false,
+        });
+        const unhideButton = new Gtk.Button({
+          label: _("Unhide"),
+          valign: Gtk.Align.CENTER,
+        });
+        unhideButton.connect("clicked", () => {
+          this._saveIgnoredLights(removeIgnoredLight(this._loadIgnoredLights(), entry));
+        });
+        row.add_suffix(unhideButton);
+        this._ignoredRows.push(row);
+        this._ignoredGroup.add(row);
+      }
+
+      this._ignoredGroup.visible = this._ignoredRows.length > 0;
+    }
+
+    /**
+     * Creates a read-only row showing a detail of a light.
+     *
+     * @param {string} title - Row title
+     * @param {string} value - Value shown as subtitle
+     * @returns {Adw.ActionRow} The row
+     * @private
+     */
+    _createInfoRow(title, value) {
+      return new Adw.ActionRow({
+        title,
+        subtitle: value,
+        subtitle_selectable: true,
+        use_markup: false,
+        css_classes: ["property"],
+      });
+    }
+
+    /**
+     * Creates the expandable row of a light with its details and actions.
+     *
+     * @param {Object} light - Light configuration
+     * @returns {Object} The row and its widgets, kept up to date by _updateLightRow()
+     * @private
+     */
+    _createLightRow(light) {
+      const lightRow = {
+        light,
+        row: new Adw.ExpanderRow({ use_markup: false }),
+        nameRow: this._createInfoRow(_("Name on Light"), ""),
+        modelRow: this._createInfoRow(_("Model"), ""),
+        firmwareRow: this._createInfoRow(_("Firmware"), ""),
+        lastSeenRow: this._createInfoRow(_("Last Seen"), ""),
+        // Local alias, shown in the menu instead of the name stored on the light
+        aliasRow: new Adw.EntryRow({
+          title: _("Alias"),
+          text: light.alias ?? "",
+          show_apply_button: true,
+        }),
+        // Hiding needs an identity that survives address changes
+        hideRow: new Adw.ActionRow({ title: _("Hide Light") }),
+        hideButton: new Gtk.Button({ label: _("Hide"), valign: Gtk.Align.CENTER }),
+        removeRow: new Adw.ActionRow({ title: _("Forget Light") }),
+      };
+      const { row, aliasRow, hideRow, hideButton, removeRow } = lightRow;
+
+      row.add_row(lightRow.nameRow);
+      row.add_row(lightRow.modelRow);
+      row.add_row(lightRow.firmwareRow);
+      row.add_row(lightRow.lastSeenRow);
+
+      aliasRow.connect("apply", () => {
+        const alias = normalizeDisplayName(aliasRow.text);
+        this._updateLight(lightRow.light, { alias });
+        row.title = alias || lightRow.light.name;
+      });
+      row.add_row(aliasRow);
+
+      hideButton.connect("clicked", () => this._hideLight(lightRow.light));
+      hideRow.add_suffix(hideButton);
+      row.add_row(hideRow);
+
+      const removeButton = new Gtk.Button({
+        label: _("Forget"),
+        valign: Gtk.Align.CENTER,
+        css_classes: ["destructive-action"],
+      });
+      removeButton.connect("clicked", () => this._removeLight(lightRow.light));
+      removeRow.add_suffix(removeButton);
+      row.add_row(removeRow);
+
+      this._updateLightRow(lightRow, light);
+      return lightRow;
+    }
+
+    /**
+     * Shows a light's configuration in its row.
+     *
+     * The alias entry is only updated while it still shows the stored alias,
+     * so an alias being typed is not overwritten.
+     *
+     * @param {Object} lightRow - Row from _createLightRow()
+     * @param {Object} light - Light configuration
+     * @private
+     */
+    _updateLightRow(lightRow, light) {
+      const previous = lightRow.light;
+      lightRow.light = light;
+
+      lightRow.row.title = light.alias || light.name;
+      lightRow.row.subtitle = formatAddress(light.host, light.port);
+      lightRow.nameRow.subtitle = light.name;
+      lightRow.modelRow.subtitle = light.model || _("Unknown");
+      lightRow.firmwareRow.subtitle = light.firmwareVersion || _("Unknown");
+      lightRow.lastSeenRow.subtitle = formatLastSeen(light.lastSeen);
+
+      if (lightRow.aliasRow.text === (previous.alias ?? "")) {
+        lightRow.aliasRow.text = light.alias ?? "";
+      }
+
+      const canHide = Boolean(light.id || light.serialNumber);
+      lightRow.hideRow.subtitle = canHide
+        ? _("Leave the light out of discovery and the menu")
+        : _("Lights can be hidden once their serial number is known");
+      lightRow.hideButton.sensitive = canHide;
+      lightRow.removeRow.subtitle = light.pinned
+        ? _("Remove this manually added light")
+        : _("Remove this light until discovery finds it again");
+    }
+
+    /**
+     * Changes the stored configuration of a light.
+     *
+     * @param {Object} light - Light configuration (see isSameLight())
+     * @param {Object} changes - Fields to set
+     * @private
+     */
+    _updateLight(light, changes) {
+      this._saveLights(updateLightConfig(this._loadLights(), light, changes));
+      Object.assign(light, changes);
+    }
+
+    /**
+     * Hides a light by adding it to the ignore list. Its configuration is
+     * kept, so unhiding restores its alias and pinned state.
+     *
+     * @param {Object} light - Light configuration
+     * @private
+     */
+    _hideLight(light) {
+      const ignored = addIgnoredLight(this._loadIgnoredLights(), light, light.alias || light.name);
+      if (!ignored) {
+        return;
+      }
+      this._saveIgnoredLights(ignored);
+      this._fillLights();
+    }
+
+    /**
+     * Forgets a light.
+     *
+     * @param {Object} light - Light configuration (see isSameLight())
+     * @private
+     */
+    _removeLight(light) {
+      this._saveLights(removeLightConfig(this._loadLights(), light));
+      this._fillLights();
+      this._showToast(_("%s removed").format(light.alias || light.name));
+    }
+
+    /**
+     * Handles the discovery button - runs discovery and merges the result
+     * into the known lights, like the refresh button in the menu.
+     * @private
+     */
+    async _onDiscoverClicked() {
+      if (this._busy) {
+        return;
+      }
+      this._setBusy(true);
+
+      try {
+        const discovered = (await isAvahiAvailable())
+          ? await discoverLights(avahiPlatform, getDiscoveryOptions(this._settings))
+          : await queryLights();
+        if (this._destroyed) return;
+
+        const ignored = this._loadIgnoredLights();
+        const found = filterIgnoredLights(discovered, ignored);
+        const maxMissed = this._settings.get_int(MAX_MISSED_DISCOVERIES_KEY);
+        this._saveLights(mergeDiscoveredLights(this._loadLights(), found, maxMissed, ignored));
+        this._fillLights();
+        this._showToast(
+          ngettext("Found %d light", "Found %d lights", found.length).format(found.length),
+        );
+      } catch (e) {
+        if (!this._destroyed) {
+          console.error(`[ElgatoLights] Discovery failed: ${e.message}`);
+          this._showToast(_("Discovery failed"));
+        }
+      } finally {
+        if (!this._destroyed) {
+          this._setBusy(false);
+        }
+      }
+    }
+
+    /**
+     * Handles the address entry - checks the address with fetchInfo() and
+     * stores the light as pinned. A light that is already known is pinned
+     * and moved to the address instead, and a hidden light is unhidden.
+     * @private
+     */
+    async _onAddApplied() {
+      if (this._busy) {
+        return;
+      }
+
+      const address = parseManualAddress(this._addressRow.text);
+      if (address.error === ManualAddressError.LINK_LOCAL_WITHOUT_ZONE) {
+        this._showToast(
+          _("Add the network interface to link-local addresses, e.g. [fe80::1%wlp2s0]"),
+        );
+        return;
+      }
+      if (address.error) {
+        this._showToast(_("Enter an IP address or hostname, optionally followed by :port"));
+        return;
+      }
+
+      this._setBusy(true);
+      const light = new ElgatoLight(address.host, address.host, address.port);
+
+      try {
+        const info = await light.fetchInfo();
+        if (this._destroyed) return;
+        if (!info) {
+          this._showToast(_("No Elgato light found at %s").format(address.host));
+          return;
+        }
+
+        const config = {
+          ...light.toConfig(),
+          name: info.displayName || info.productName || address.host,
+          pinned: true,
+        };
+        const ignored = this._loadIgnoredLights();
+        const unhidden = removeIgnoredLight(ignored, config);
+        if (unhidden.length !== ignored.length) {
+          this._saveIgnoredLights(unhidden);
+        }
+
+        const lights = this._loadLights();
+        this._saveLights(
+          lights.some((l) => isSameLight(l, config))
+            ? updateLightConfig(lights, config, { ...address, pinned: true })
+            : [...lights, config],
+        );
+        this._addressRow.text = "";
+        this._fillLights();
+      } finally {
+        light.destroy();
+        if (!this._destroyed) {
+          this._setBusy(false);
+        }
+      }
+    }
+  },
+);
+
+/**
+ * Preferences entry point of the extension.
+ */
+export default class ElgatoLightsPreferences extends ExtensionPreferences {
+  /**
+   * Fills the preferences window with the lights page.
+   *
+   * @param {Adw.PreferencesWindow} window - The preferences window
+   */
+  fillPreferencesWindow(window) {
+    const page = new LightsPage(this.getSettings(), window);
+    window.add(page);
+    window.connect("close-request", () => page.disconnectSettings());
+  }
+}
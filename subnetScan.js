@@ -0,0 +1,159 @@
+/**
+ * Subnet scan discovery backend for Elgato Key Light devices.
+ *
+ * Fallback for systems where mDNS discovery is not available: probes every
+ * host of the local IPv4 subnets for the Elgato API with a short
+ * /elgato/accessory-info request. Runs only when the user asks for it.
+ */
+
+import Gio from "gi://Gio";
+import GLib from "gi://GLib";
+import Soup from "gi://Soup?version=3.0";
+
+import {
+  parseInterfaceAddresses,
+  getScanTargets,
+  lightFromAccessoryInfo,
+  mapWithConcurrency,
+} from "./lib/subnet.js";
+import { DEFAULT_PORT } from "./lib/parser.js";
+
+/** Timeout for a single probe, in seconds. */
+export const PROBE_TIMEOUT_SECONDS = 1;
+
+/** Maximum number of hosts probed at the same time. */
+export const PROBE_CONCURRENCY = 32;
+
+/**
+ * Lists the IPv4 addresses of the local interfaces.
+ * Exported for testing - can be mocked.
+ *
+ * Requires the `ip` command from iproute2.
+ *
+ * @returns {Promise<string>} JSON output of `ip -j -4 addr`
+ * @throws {Error} If `ip` is not installed, can't be run or fails
+ */
+export function getInterfaceAddresses() {
+  if (!GLib.find_program_in_path("ip")) {
+    return Promise.reject(
+      new Error("the `ip` command was not found, install iproute2 to scan the network"),
+    );
+  }
+
+  const proc = Gio.Subprocess.new(
+    ["ip", "-j", "-4", "addr", "show"],
+    Gio.SubprocessFlags.STDOUT_PIPE | Gio.SubprocessFlags.STDERR_SILENCE,
+  );
+
+  return new Promise((resolve, reject) => {
+    proc.communicate_utf8_async(null, null, (_proc, result) => {
+      try {
+        const [, stdout] = proc.communicate_utf8_finish(result);
+        if (!proc.get_successful()) {
+          reject(new Error(`ip exited with status ${proc.get_exit_status()}`));
+          return;
+        }
+        resolve(stdout);
+      } catch (e) {
+        reject(e);
+      }
+    });
+  });
+}
+
+/**
+ * Creates the HTTP session used for the probes of one scan.
+ * Exported for testing - can be mocked.
+ *
+ * Soup only opens 10 connections at a time by default, which would queue
+ * most of the concurrent probes, so the limits are raised to match.
+ *
+ * @returns {Soup.Session} Session with the probe timeout and connection limits
+ */
+export function createSession() {
+  return new Soup.Session({
+    timeout: PROBE_TIMEOUT_SECONDS,
+    max_conns: PROBE_CONCURRENCY,
+    max_conns_per_host: PROBE_CONCURRENCY,
+  });
+}
+
+/**
+ * Requests /elgato/accessory-info from a host.
+ * Exported for testing - can be mocked.
+ *
+ * @param {Soup.Session} session - Session from createSession()
+ * @param {string} host - IPv4 address to probe
+ * @param {number} port - Port to probe
+ * @returns {Promise<Object|null>} Parsed response, or null if the host didn't answer with JSON
+ */
+export function probeAccessoryInfo(session, host, port) {
+  const message = Soup.Message.new("GET", `http://${host}:${port}/elgato/accessory-info`);
+
+  return new Promise((resolve) => {
+    session.send_and_read_async(message, GLib.PRIORITY_DEFAULT, null, (_session, result) => {
+      try {
+        const bytes = session.send_and_read_finish(result);
+        if (message.get_status() !== Soup.Status.OK) {
+          resolve(null);
+          return;
+        }
+        resolve(JSON.parse(new TextDecoder("utf-8").decode(bytes.get_data())));
+      } catch {
+        // Closed ports, timeouts and non-JSON answers all mean "not a light"
+        resolve(null);
+      }
+    });
+  });
+}
+
+/**
+ * Default implementations of platform dependencies.
+ * These can be overridden in tests.
+ */
+export const platformDefaults = {
+  getInterfaceAddresses,
+  createSession,
+  probeAccessoryInfo,
+};
+
+/**
+ * Scans the local IPv4 subnets for Elgato lights.
+ *
+ * Subnets larger than a /24 are narrowed to the /24 around the local
+ * address. Results have the same shape as those of discoverLights(), with
+ * the serial number from the accessory info in place of the mDNS device id.
+ *
+ * @param {Object} [platform=platformDefaults] - Platform dependencies (for testing)
+ * @param {Object} [options] - Scan options
+ * @param {number} [options.port=DEFAULT_PORT] - Port to probe
+ * @param {number} [options.concurrency=PROBE_CONCURRENCY] - Maximum probes in flight
+ * @returns {Promise<Array<Object>>} Lights found (see discoverLights())
+ * @throws {Error} If the local addresses can't be listed
+ */
+export async function scanSubnets(platform = platformDefaults, options = {}) {
+  const port = options.port ?? DEFAULT_PORT;
+  const concurrency = options.concurrency ?? PROBE_CONCURRENCY;
+
+  let output;
+  try {
+    output = await platform.getInterfaceAddresses();
+  } catch (e) {
+    throw new Error(`Failed to list network interfaces: ${e.message}`);
+  }
+
+  const targets = getScanTargets(parseInterfaceAddresses(output));
+  if (targets.length === 0) {
+    return [];
+  }
+
+  const session = platform.createSession();
+  try {
+    const results = await mapWithConcurrency(targets, concurrency, async (host) =>
+      lightFromAccessoryInfo(host, port, await platform.probeAccessoryInfo(session, host, port)),
+    );
+    return results.filter((light) => light !== null);
+  } finally {
+    session.abort();
+  }
+}
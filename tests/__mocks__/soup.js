@@ -0,0 +1,19 @@
+/**
+ * Mock Soup module for testing.
+ */
+
+export default {
+  Session: class Session {
+    constructor() {
+      throw new Error("Use platform.createSession() instead");
+    }
+  },
+  Message: {
+    new: () => {
+      throw new Error("Use platform.probeAccessoryInfo() instead");
+    },
+  },
+  Status: {
+    OK: 200,
+  },
+};
@@ -0,0 +1,125 @@
+/**
+ * Unit tests for battery utilities.
+ */
+
+import { describe, it, expect } from "vitest";
+import {
+  parseBatteryInfo,
+  parseEnergySaving,
+  isBatteryLow,
+  getBatteryIconName,
+  PowerSource,
+  BatteryStatus,
+  LOW_BATTERY_LEVEL,
+} from "../lib/battery.js";
+
+describe("parseBatteryInfo", () => {
+  it("returns null for payloads without a level", () => {
+    expect(parseBatteryInfo(null)).toBeNull();
+    expect(parseBatteryInfo({})).toBeNull();
+    expect(parseBatteryInfo({ level: "50" })).toBeNull();
+  });
+
+  it("parses a draining battery", () => {
+    expect(
+      parseBatteryInfo({
+        powerSource: PowerSource.BATTERY,
+        level: 87.5,
+        status: BatteryStatus.DRAINING,
+        currentBatteryVoltage: 3950,
+      }),
+    ).toEqual({ level: 88, charging: false, powerSource: PowerSource.BATTERY });
+  });
+
+  it("parses a charging battery", () => {
+    const info = parseBatteryInfo({
+      powerSource: PowerSource.MAINS,
+      level: 40,
+      status: BatteryStatus.CHARGING,
+    });
+    expect(info.charging).toBe(true);
+    expect(info.powerSource).toBe(PowerSource.MAINS);
+  });
+
+  it("clamps the level to 0-100", () => {
+    expect(parseBatteryInfo({ level: 104 }).level).toBe(100);
+    expect(parseBatteryInfo({ level: -3 }).level).toBe(0);
+  });
+});
+
+describe("parseEnergySaving", () => {
+  it("returns null when the light has no battery settings", () => {
+    expect(parseEnergySaving(null)).toBeNull();
+    expect(parseEnergySaving({ powerOnBehavior: 1 })).toBeNull();
+  });
+
+  it("parses energy-saving options", () => {
+    expect(
+      parseEnergySaving({
+        battery: {
+          energySaving: {
+            enable: 1,
+            minimumBatteryLevel: 15,
+            disableWifi: 0,
+            adjustBrightness: { enable: 1, brightness: 10 },
+          },
+          bypass: 0,
+        },
+      }),
+    ).toEqual({
+      enabled: true,
+      minimumBatteryLevel: 15,
+      disableWifi: false,
+      adjustBrightness: true,
+      brightness: 10,
+      bypass: false,
+    });
+  });
+
+  it("fills in defaults for a partial battery section", () => {
+    expect(parseEnergySaving({ battery: { bypass: 1 } })).toEqual({
+      enabled: false,
+      minimumBatteryLevel: 0,
+      disableWifi: false,
+      adjustBrightness: false,
+      brightness: 0,
+      bypass: true,
+    });
+  });
+});
+
+describe("isBatteryLow", () => {
+  it("returns false without battery info", () => {
+    expect(isBatteryLow(null)).toBe(false);
+  });
+
+  it("returns true at or below the threshold while draining", () => {
+    expect(isBatteryLow({ level: LOW_BATTERY_LEVEL, charging: false })).toBe(true);
+    expect(isBatteryLow({ level: LOW_BATTERY_LEVEL + 1, charging: false })).toBe(false);
+  });
+
+  it("returns false while charging", () => {
+    expect(isBatteryLow({ level: 5, charging: true })).toBe(false);
+  });
+
+  it("accepts a custom threshold", () => {
+    expect(isBatteryLow({ level: 25, charging: false }, 30)).toBe(true);
+  });
+});
+
+describe("getBatteryIconName", () => {
+  it("rounds the level to the nearest 10", () => {
+    expect(getBatteryIconName({ level: 84, charging: false })).toBe("battery-level-80-symbolic");
+    expect(getBatteryIconName({ level: 5, charging: false })).toBe("battery-level-10-symbolic");
+    expect(getBatteryIconName({ level: 4, charging: false })).toBe("battery-level-0-symbolic");
+  });
+
+  it("uses charging icons while charging", () => {
+    expect(getBatteryIconName({ level: 47, charging: true })).toBe(
+      "battery-level-50-charging-symbolic",
+    );
+    expect(getBatteryIconName({ level: 100, charging: true })).toBe(
+      "battery-level-100-charged-symbolic",
+    );
+  });
+});
@@ -3,7 +3,7 @@
  */
 
 import { describe, it, expect } from "vitest";
-import { Temperature, Brightness } from "../lib/conversions.js";
+import { Temperature, TemperatureScale, Brightness, Hue, Saturation } from "../lib/conversions.js";
 
 describe("Temperature", () => {
   describe("apiToKelvin", () => {
@@ -15,12 +15,27 @@ describe("Temperature", () => {
       expect(Temperature.apiToKelvin(344)).toBe(2900);
     });
 
-    it("converts middle API value to approximately middle Kelvin", () => {
+    it("converts middle API value using the reciprocal (mired) relationship", () => {
       const middleApi = Math.round((143 + 344) / 2);
-      const result = Temperature.apiToKelvin(middleApi);
-      // Should be around 4950K (middle of 2900-7000)
-      expect(result).toBeGreaterThan(4800);
-      expect(result).toBeLessThan(5100);
+      // 1,000,000 / 244 = 4098K, not the linear midpoint of 4950K
+      expect(Temperature.apiToKelvin(middleApi)).toBe(4100);
+    });
+
+    it("converts API values as mireds", () => {
+      expect(Temperature.apiToKelvin(200)).toBe(5000);
+      expect(Temperature.apiToKelvin(250)).toBe(4000);
+      expect(Temperature.apiToKelvin(300)).toBe(3350);
+    });
+
+    it("snaps to 50K steps", () => {
+      for (let api = 143; api <= 344; api++) {
+        expect(Temperature.apiToKelvin(api) % 50).toBe(0);
+      }
+    });
+
+    it("clamps out-of-range API values", () => {
+      expect(Temperature.apiToKelvin(100)).toBe(7000);
+      expect(Temperature.apiToKelvin(400)).toBe(2900);
     });
   });
 
@@ -33,6 +48,16 @@ describe("Temperature", () => {
       expect(Temperature.kelvinToApi(2900)).toBe(344);
     });
 
+    it("converts Kelvin as mireds", () => {
+      expect(Temperature.kelvinToApi(5000)).toBe(200);
+      expect(Temperature.kelvinToApi(4000)).toBe(250);
+    });
+
+    it("clamps out-of-range Kelvin values", () => {
+      expect(Temperature.kelvinToApi(10000)).toBe(143);
+      expect(Temperature.kelvinToApi(2000)).toBe(344);
+    });
+
     it("is inverse of apiToKelvin", () => {
       const testValues = [143, 200, 250, 300, 344];
       for (const api of testValues) {
@@ -78,6 +103,39 @@ describe("Temperature", () => {
       }
     });
   });
+
+  describe("Kelvin slider scale", () => {
+    it("maps the ends of the range to the ends of the slider", () => {
+      expect(Temperature.apiToSlider(143, TemperatureScale.KELVIN)).toBeCloseTo(0.0, 2);
+      expect(Temperature.apiToSlider(344, TemperatureScale.KELVIN)).toBeCloseTo(1.0, 2);
+      expect(Temperature.sliderToApi(0.0, TemperatureScale.KELVIN)).toBe(143);
+      expect(Temperature.sliderToApi(1.0, TemperatureScale.KELVIN)).toBe(344);
+    });
+
+    it("spaces the slider evenly in Kelvin", () => {
+      // 4950K is the midpoint of 2900-7000K
+      expect(Temperature.sliderToApi(0.5, TemperatureScale.KELVIN)).toBe(202);
+      expect(Temperature.apiToSlider(202, TemperatureScale.KELVIN)).toBeCloseTo(0.5, 2);
+    });
+
+    it("keeps slider positions within 0.0 - 1.0", () => {
+      expect(Temperature.apiToSlider(100, TemperatureScale.KELVIN)).toBe(0);
+      expect(Temperature.apiToSlider(400, TemperatureScale.KELVIN)).toBe(1);
+    });
+
+    it("is inverse of apiToSlider", () => {
+      for (const slider of [0.0, 0.25, 0.5, 0.75, 1.0]) {
+        const api = Temperature.sliderToApi(slider, TemperatureScale.KELVIN);
+        expect(Temperature.apiToSlider(api, TemperatureScale.KELVIN)).toBeCloseTo(slider, 1);
+      }
+    });
+
+    it("defaults to the mired scale", () => {
+      expect(Temperature.sliderToApi(0.5)).toBe(
+        Temperature.sliderToApi(0.5, TemperatureScale.MIRED),
+      );
+    });
+  });
 });
 
 describe("Brightness", () => {
@@ -130,3 +188,30 @@ describe("Brightness", () => {
     });
   });
 });
+
+describe("Hue", () => {
+  it("converts hue range to slider range", () => {
+    expect(Hue.toSlider(0)).toBeCloseTo(0.0, 5);
+    expect(Hue.toSlider(180)).toBeCloseTo(0.5, 5);
+    expect(Hue.toSlider(360)).toBeCloseTo(1.0, 5);
+  });
+
+  it("is inverse of toSlider", () => {
+    for (const hue of [0, 45, 180, 270, 360]) {
+      expect(Hue.fromSlider(Hue.toSlider(hue))).toBe(hue);
+    }
+  });
+});
+
+describe("Saturation", () => {
+  it("converts saturation range to slider range", () => {
+    expect(Saturation.toSlider(0)).toBeCloseTo(0.0, 5);
+    expect(Saturation.toSlider(100)).toBeCloseTo(1.0, 5);
+  });
+
+  it("is inverse of toSlider", () => {
+    for (const saturation of [0, 25, 50, 75, 100]) {
+      expect(Saturation.fromSlider(Saturation.toSlider(saturation))).toBe(saturation);
+    }
+  });
+});
@@ -0,0 +1,85 @@
+/**
+ * Unit tests for device settings utilities.
+ */
+
+import { describe, it, expect } from "vitest";
+import {
+  parseDeviceSettings,
+  buildDeviceSettings,
+  FadeDuration,
+  POWER_ON_RESTORE_LAST,
+  POWER_ON_USE_DEFAULTS,
+} from "../lib/deviceSettings.js";
+
+const SAMPLE = {
+  powerOnBehavior: 1,
+  powerOnBrightness: 20,
+  powerOnTemperature: 213,
+  switchOnDurationMs: 100,
+  switchOffDurationMs: 300,
+  colorChangeDurationMs: 100,
+};
+
+describe("parseDeviceSettings", () => {
+  it("returns null for non-object payloads", () => {
+    expect(parseDeviceSettings(null)).toBeNull();
+    expect(parseDeviceSettings("string")).toBeNull();
+    expect(parseDeviceSettings([])).toBeNull();
+  });
+
+  it("parses a full settings payload and keeps unknown fields", () => {
+    expect(parseDeviceSettings(SAMPLE)).toEqual(SAMPLE);
+  });
+
+  it("fills in defaults for missing fields", () => {
+    expect(parseDeviceSettings({})).toEqual({
+      powerOnBehavior: POWER_ON_RESTORE_LAST,
+      powerOnBrightness: 3,
+      powerOnTemperature: 200,
+      switchOnDurationMs: 0,
+      switchOffDurationMs: 0,
+    });
+  });
+
+  it("treats unknown behavior values as restore last state", () => {
+    expect(parseDeviceSettings({ powerOnBehavior: 7 }).powerOnBehavior).toBe(POWER_ON_RESTORE_LAST);
+  });
+});
+
+describe("buildDeviceSettings", () => {
+  it("merges changes with current settings", () => {
+    const current = parseDeviceSettings(SAMPLE);
+    expect(buildDeviceSettings(current, { powerOnBehavior: POWER_ON_USE_DEFAULTS })).toEqual({
+      ...SAMPLE,
+      powerOnBehavior: POWER_ON_USE_DEFAULTS,
+    });
+  });
+
+  it("clamps values to device ranges", () => {
+    const current = parseDeviceSettings(SAMPLE);
+    const result = buildDeviceSettings(current, {
+      powerOnBrightness: 150,
+      powerOnTemperature: 10,
+      switchOnDurationMs: -20,
+      switchOffDurationMs: 99999,
+    });
+    expect(result.powerOnBrightness).toBe(100);
+    expect(result.powerOnTemperature).toBe(143);
+    expect(result.switchOnDurationMs).toBe(0);
+    expect(result.switchOffDurationMs).toBe(5000);
+  });
+});
+
+describe("FadeDuration", () => {
+  it("converts duration range to slider range", () => {
+    expect(FadeDuration.toSlider(0)).toBeCloseTo(0.0, 5);
+    expect(FadeDuration.toSlider(5000)).toBeCloseTo(1.0, 5);
+    expect(FadeDuration.toSlider(9000)).toBeCloseTo(1.0, 5);
+  });
+
+  it("snaps slider values to 50ms steps", () => {
+    expect(FadeDuration.fromSlider(0.5)).toBe(2500);
+    expect(FadeDuration.fromSlider(0.011)).toBe(50);
+    expect(FadeDuration.fromSlider(0.004)).toBe(0);
+  });
+});
@@ -10,6 +10,7 @@
 import { describe, it, expect, vi } from "vitest";
 import {
   discoverLights,
+  watchLights,
   isAvahiAvailable,
   AVAHI_BUS_NAME,
   AVAHI_SERVICE_BROWSER_IFACE,
@@ -17,6 +18,8 @@ import {
   ELGATO_SERVICE_TYPE,
   AVAHI_IF_UNSPEC,
   AVAHI_PROTO_UNSPEC,
+  AVAHI_PROTO_INET,
+  AVAHI_PROTO_INET6,
 } from "../discovery.js";
 
 /**
@@ -45,17 +48,20 @@ function createMockBus(options = {}) {
   const signalHandlers = new Map();
   let signalIdCounter = 1;
   let resolverCounter = 1;
+  let browserCounter = 1;
 
   const bus = {
     _signalHandlers: signalHandlers,
     _options: options,
     _resolverPaths: [],
+    _browserPaths: [],
 
     call: vi.fn(
       (busName, path, iface, method, args, replyType, flags, timeout, cancellable, callback) => {
         // Handle different method calls
         if (method === "ServiceBrowserNew") {
-          const browserPath = options.browserPath || "/test/browser/1";
+          const browserPath = options.browserPath || `/test/browser/${browserCounter++}`;
+          bus._browserPaths.push(browserPath);
           if (options.browserError) {
             setImmediate(() => {
               const mockResult = {
@@ -76,6 +82,19 @@ function createMockBus(options = {}) {
           setImmediate(() => {
             callback(bus, createMockVariant([resolverPath]));
           });
+        } else if (method === "GetNetworkInterfaceIndexByName") {
+          const index = options.interfaces?.[args.value[0]];
+          setImmediate(() => {
+            if (index === undefined) {
+              callback(bus, {
+                call_finish: () => {
+                  throw new Error("Interface not found");
+                },
+              });
+            } else {
+              callback(bus, createMockVariant([index]));
+            }
+          });
         } else if (method === "GetVersionString") {
           if (options.avahiUnavailable) {
             setImmediate(() => {
@@ -278,7 +297,69 @@ describe("discoverLights", () => {
     expect(result[0]).toEqual({
       name: "Elgato Key Light ABC1",
       host: "192.168.1.100",
+      addresses: ["192.168.1.100"],
       port: 9123,
+      hostname: "elgato.local",
+      id: null,
+      model: null,
+      protocolVersion: null,
+      deviceType: null,
+      manufacturer: null,
+    });
+  });
+
+  it("includes the hostname and parsed TXT fields", async () => {
+    const platform = createMockPlatform();
+    const promise = discoverLights(platform);
+    await wait();
+
+    const browserPath = "/test/browser/1";
+    platform.bus._emitSignal(AVAHI_SERVICE_BROWSER_IFACE, "ItemNew", browserPath, [
+      1,
+      0,
+      "Elgato Key Light ABC1",
+      ELGATO_SERVICE_TYPE,
+      "local",
+      0,
+    ]);
+    await wait();
+
+    const encoder = new TextEncoder();
+    platform.bus._emitSignal(
+      AVAHI_SERVICE_RESOLVER_IFACE,
+      "Found",
+      platform.bus._getLastResolverPath(),
+      [
+        1,
+        0,
+        "Elgato Key Light ABC1",
+        ELGATO_SERVICE_TYPE,
+        "local",
+        "elgato-key-light-abc1.local",
+        0,
+        "192.168.1.100",
+        9123,
+        [
+          "mf=Elgato",
+          "dt=53",
+          "id=3C:6A:9D:12:34:56",
+          "md=Elgato Key Light 20GAK9901",
+          "pv=1.0",
+        ].map((text) => encoder.encode(text)),
+        0,
+      ],
+    );
+    platform.bus._emitSignal(AVAHI_SERVICE_BROWSER_IFACE, "AllForNow", browserPath, []);
+
+    const result = await promise;
+    expect(result[0]).toMatchObject({
+      host: "192.168.1.100",
+      hostname: "elgato-key-light-abc1.local",
+      id: "3C:6A:9D:12:34:56",
+      model: "Elgato Key Light 20GAK9901",
+      protocolVersion: "1.0",
+      deviceType: 53,
+      manufacturer: "Elgato",
     });
   });
 
@@ -433,6 +514,76 @@ describe("discoverLights", () => {
     expect(result).toHaveLength(1);
   });
 
+  it("deduplicates lights by device id across addresses", async () => {
+    const platform = createMockPlatform();
+    const promise = discoverLights(platform);
+    await wait();
+
+    const browserPath = "/test/browser/1";
+    const txt = [new TextEncoder().encode("id=3C:6A:9D:12:34:56")];
+    for (const [iface, address] of [
+      [1, "192.168.1.100"],
+      [2, "fe80::1"],
+    ]) {
+      platform.bus._emitSignal(AVAHI_SERVICE_BROWSER_IFACE, "ItemNew", browserPath, [
+        iface,
+        0,
+        "Light 1",
+        ELGATO_SERVICE_TYPE,
+        "local",
+        0,
+      ]);
+      await wait();
+      platform.bus._emitSignal(
+        AVAHI_SERVICE_RESOLVER_IFACE,
+        "Found",
+        platform.bus._getLastResolverPath(),
+        [iface, 0, "Light 1", ELGATO_SERVICE_TYPE, "local", "host.local", 0, address, 9123, txt, 0],
+      );
+    }
+    platform.bus._emitSignal(AVAHI_SERVICE_BROWSER_IFACE, "AllForNow", browserPath, []);
+
+    const result = await promise;
+    expect(result).toHaveLength(1);
+    expect(result[0].host).toBe("192.168.1.100");
+  });
+
+  it("prefers IPv4 and keeps the scope of link-local addresses", async () => {
+    const platform = createMockPlatform();
+    const promise = discoverLights(platform);
+    await wait();
+
+    const browserPath = "/test/browser/1";
+    const txt = [new TextEncoder().encode("id=3C:6A:9D:12:34:56")];
+    const otherTxt = [new TextEncoder().encode("id=3C:6A:9D:AB:CD:EF")];
+    for (const [iface, name, address, record] of [
+      [3, "Light 1", "fe80::1", txt],
+      [1, "Light 1", "192.168.1.100", txt],
+      [3, "Light 2", "fe80::2", otherTxt],
+    ]) {
+      platform.bus._emitSignal(AVAHI_SERVICE_BROWSER_IFACE, "ItemNew", browserPath, [
+        iface,
+        0,
+        name,
+        ELGATO_SERVICE_TYPE,
+        "local",
+        0,
+      ]);
+      await wait();
+      platform.bus._emitSignal(
+        AVAHI_SERVICE_RESOLVER_IFACE,
+        "Found",
+        platform.bus._getLastResolverPath(),
+        [iface, 0, name, ELGATO_SERVICE_TYPE, "local", "host.local", 0, address, 9123, record, 0],
+      );
+    }
+    platform.bus._emitSignal(AVAHI_SERVICE_BROWSER_IFACE, "AllForNow", browserPath, []);
+
+    const result = await promise;
+    expect(result.map((light) => light.host)).toEqual(["192.168.1.100", "fe80::2%3"]);
+    expect(result[0].addresses).toEqual(["192.168.1.100", "fe80::1%3"]);
+  });
+
   it("rejects when D-Bus connection fails", async () => {
     const platform = createMockPlatform({ busError: "Connection refused" });
 
@@ -974,6 +1125,468 @@ describe("discoverLights", () => {
   });
 });
 
+describe("watchLights", () => {
+  const browserPath = "/test/browser/1";
+
+  /**
+   * Builds ItemNew/ItemRemove signal parameters.
+   *
+   * @param {string} name - Service name
+   * @param {number} [iface=1] - Interface index
+   * @returns {Array} Signal parameters
+   */
+  const itemParams = (name, iface = 1) => [iface, 0, name, ELGATO_SERVICE_TYPE, "local", 0];
+
+  /**
+   * Builds resolver Found signal parameters.
+   *
+   * @param {string} name - Service name
+   * @param {string} address - Resolved address
+   * @param {number} [iface=1] - Interface index
+   * @returns {Array} Signal parameters
+   */
+  const foundParams = (name, address, iface = 1) => [
+    iface,
+    0,
+    name,
+    ELGATO_SERVICE_TYPE,
+    "local",
+    "host.local",
+    0,
+    address,
+    9123,
+    [],
+    0,
+  ];
+
+  /**
+   * Announces a service and resolves it.
+   *
+   * @param {Object} platform - Mock platform
+   * @param {string} name - Service name
+   * @param {string} address - Resolved address
+   * @param {number} [iface=1] - Interface index
+   */
+  const announce = async (platform, name, address, iface = 1) => {
+    platform.bus._emitSignal(
+      AVAHI_SERVICE_BROWSER_IFACE,
+      "ItemNew",
+      browserPath,
+      itemParams(name, iface),
+    );
+    await wait();
+    platform.bus._emitSignal(
+      AVAHI_SERVICE_RESOLVER_IFACE,
+      "Found",
+      platform.bus._getLastResolverPath(),
+      foundParams(name, address, iface),
+    );
+  };
+
+  /**
+   * Starts a watcher with mock callbacks.
+   *
+   * @param {Object} platform - Mock platform
+   * @returns {Object} Watcher handle with the mock callbacks attached
+   */
+  const startWatcher = (platform) => {
+    const callbacks = { onAdded: vi.fn(), onRemoved: vi.fn(), onError: vi.fn() };
+    const watcher = watchLights(callbacks, platform);
+    return { watcher, ...callbacks };
+  };
+
+  it("reports lights as they appear", async () => {
+    const platform = createMockPlatform();
+    const { watcher, onAdded } = startWatcher(platform);
+    await wait();
+
+    await announce(platform, "Light 1", "192.168.1.100");
+    expect(onAdded).toHaveBeenCalledWith(
+      expect.objectContaining({ name: "Light 1", host: "192.168.1.100", port: 9123 }),
+    );
+
+    // Lights appearing after the initial browse are reported too
+    platform.bus._emitSignal(AVAHI_SERVICE_BROWSER_IFACE, "AllForNow", browserPath, []);
+    await announce(platform, "Light 2", "192.168.1.101");
+    expect(onAdded).toHaveBeenCalledTimes(2);
+    expect(onAdded.mock.calls[1][0].host).toBe("192.168.1.101");
+
+    watcher.stop();
+  });
+
+  it("reports lights when they disappear", async () => {
+    const platform = createMockPlatform();
+    const { watcher, onAdded, onRemoved } = startWatcher(platform);
+    await wait();
+
+    await announce(platform, "Light 1", "192.168.1.100");
+    platform.bus._emitSignal(
+      AVAHI_SERVICE_BROWSER_IFACE,
+      "ItemRemove",
+      browserPath,
+      itemParams("Light 1"),
+    );
+
+    expect(onRemoved).toHaveBeenCalledTimes(1);
+    expect(onRemoved).toHaveBeenCalledWith(onAdded.mock.calls[0][0]);
+
+    watcher.stop();
+  });
+
+  it("reports a light seen on several interfaces once", async () => {
+    const platform = createMockPlatform();
+    const { watcher, onAdded, onRemoved } = startWatcher(platform);
+    await wait();
+
+    await announce(platform, "Light 1", "192.168.1.100", 1);
+    await announce(platform, "Light 1", "192.168.1.100", 2);
+    expect(onAdded).toHaveBeenCalledTimes(1);
+
+    // Still announced on interface 2
+    platform.bus._emitSignal(
+      AVAHI_SERVICE_BROWSER_IFACE,
+      "ItemRemove",
+      browserPath,
+      itemParams("Light 1", 1),
+    );
+    expect(onRemoved).not.toHaveBeenCalled();
+
+    platform.bus._emitSignal(
+      AVAHI_SERVICE_BROWSER_IFACE,
+      "ItemRemove",
+      browserPath,
+      itemParams("Light 1", 2),
+    );
+    expect(onRemoved).toHaveBeenCalledTimes(1);
+
+    watcher.stop();
+  });
+
+  it("reports a better address of a known light as an update", async () => {
+    const platform = createMockPlatform();
+    const callbacks = { onAdded: vi.fn(), onUpdated: vi.fn(), onRemoved: vi.fn() };
+    const watcher = watchLights(callbacks, platform);
+    await wait();
+
+    const txt = [new TextEncoder().encode("id=3C:6A:9D:12:34:56")];
+    const resolve = async (address, iface) => {
+      platform.bus._emitSignal(
+        AVAHI_SERVICE_BROWSER_IFACE,
+        "ItemNew",
+        browserPath,
+        itemParams("Light 1", iface),
+      );
+      await wait();
+      const params = foundParams("Light 1", address, iface);
+      params[9] = txt;
+      platform.bus._emitSignal(
+        AVAHI_SERVICE_RESOLVER_IFACE,
+        "Found",
+        platform.bus._getLastResolverPath(),
+        params,
+      );
+    };
+
+    await resolve("fe80::1", 3);
+    expect(callbacks.onAdded).toHaveBeenCalledWith(expect.objectContaining({ host: "fe80::1%3" }));
+
+    await resolve("192.168.1.100", 1);
+    expect(callbacks.onUpdated).toHaveBeenCalledTimes(1);
+    expect(callbacks.onUpdated.mock.calls[0][0].host).toBe("192.168.1.100");
+    expect(callbacks.onUpdated.mock.calls[0][0].addresses).toEqual(["192.168.1.100", "fe80::1%3"]);
+
+    // Falls back to the link-local address once the IPv4 service goes away
+    platform.bus._emitSignal(
+      AVAHI_SERVICE_BROWSER_IFACE,
+      "ItemRemove",
+      browserPath,
+      itemParams("Light 1", 1),
+    );
+    expect(callbacks.onUpdated).toHaveBeenCalledTimes(2);
+    expect(callbacks.onUpdated.mock.calls[1][0].host).toBe("fe80::1%3");
+    expect(callbacks.onRemoved).not.toHaveBeenCalled();
+
+    watcher.stop();
+  });
+
+  it("ignores services removed before they resolve", async () => {
+    const platform = createMockPlatform();
+    const { watcher, onAdded } = startWatcher(platform);
+    await wait();
+
+    platform.bus._emitSignal(
+      AVAHI_SERVICE_BROWSER_IFACE,
+      "ItemNew",
+      browserPath,
+      itemParams("Light 1"),
+    );
+    await wait();
+    platform.bus._emitSignal(
+      AVAHI_SERVICE_BROWSER_IFACE,
+      "ItemRemove",
+      browserPath,
+      itemParams("Light 1"),
+    );
+    platform.bus._emitSignal(
+      AVAHI_SERVICE_RESOLVER_IFACE,
+      "Found",
+      platform.bus._getLastResolverPath(),
+      foundParams("Light 1", "192.168.1.100"),
+    );
+
+    expect(onAdded).not.toHaveBeenCalled();
+
+    watcher.stop();
+  });
+
+  it("keeps the browser open after AllForNow and has no timeout", async () => {
+    const platform = createMockPlatform();
+    const { watcher } = startWatcher(platform);
+    await wait();
+
+    platform.bus._emitSignal(AVAHI_SERVICE_BROWSER_IFACE, "AllForNow", browserPath, []);
+    await wait();
+
+    expect(platform.createTimeout).not.toHaveBeenCalled();
+    expect(platform.bus.signal_unsubscribe).not.toHaveBeenCalled();
+
+    watcher.stop();
+  });
+
+  it("unsubscribes and frees the browser on stop", async () => {
+    const platform = createMockPlatform();
+    const { watcher, onAdded } = startWatcher(platform);
+    await wait();
+
+    watcher.stop();
+
+    expect(platform.bus.signal_unsubscribe).toHaveBeenCalled();
+    expect(platform.bus._signalHandlers.size).toBe(0);
+    const freeCalls = platform.bus.call.mock.calls.filter(
+      (call) => call[3] === "Free" && call[1] === browserPath,
+    );
+    expect(freeCalls).toHaveLength(1);
+
+    // Signals after stop are ignored
+    await announce(platform, "Light 1", "192.168.1.100");
+    expect(onAdded).not.toHaveBeenCalled();
+  });
+
+  it("frees a browser created after stop", async () => {
+    const platform = createMockPlatform();
+    const { watcher } = startWatcher(platform);
+
+    // Stop before the ServiceBrowserNew reply arrives
+    watcher.stop();
+    await wait();
+
+    const freeCalls = platform.bus.call.mock.calls.filter(
+      (call) => call[3] === "Free" && call[1] === browserPath,
+    );
+    expect(freeCalls).toHaveLength(1);
+  });
+
+  it("reports browser failures and stops", async () => {
+    const platform = createMockPlatform();
+    const { onError } = startWatcher(platform);
+    await wait();
+
+    platform.bus._emitSignal(AVAHI_SERVICE_BROWSER_IFACE, "Failure", browserPath, [
+      "Network unreachable",
+    ]);
+
+    expect(onError).toHaveBeenCalledTimes(1);
+    expect(onError.mock.calls[0][0].message).toBe("Service browser failed: Network unreachable");
+    expect(platform.bus._signalHandlers.size).toBe(0);
+  });
+
+  it("reports browser creation failures", async () => {
+    const platform = createMockPlatform({ browserError: "Permission denied" });
+    const { onError } = startWatcher(platform);
+    await wait();
+
+    expect(onError).toHaveBeenCalledTimes(1);
+    expect(onError.mock.calls[0][0].message).toContain("Failed to create service browser");
+  });
+
+  it("throws when D-Bus connection fails", () => {
+    const platform = createMockPlatform({ busError: "Connection refused" });
+
+    expect(() => watchLights({ onAdded: vi.fn(), onRemoved: vi.fn() }, platform)).toThrow(
+      "Failed to connect to system D-Bus",
+    );
+  });
+});
+
+describe("discovery options", () => {
+  /**
+   * Gets the arguments of every call to an Avahi server method.
+   *
+   * @param {Object} platform - Mock platform
+   * @param {string} method - Method name
+   * @returns {Array<Array>} Unpacked call arguments
+   */
+  const callArgs = (platform, method) =>
+    platform.bus.call.mock.calls.filter((call) => call[3] === method).map((call) => call[4].value);
+
+  it("browses every interface and domain with the chosen protocol", async () => {
+    const platform = createMockPlatform({ interfaces: { wlp2s0: 3, enp0s31f6: 2 } });
+
+    const promise = discoverLights(platform, {
+      interfaces: ["wlp2s0", "enp0s31f6"],
+      protocol: "ipv4",
+      domains: ["office.example.com"],
+    });
+    await wait();
+
+    expect(callArgs(platform, "GetNetworkInterfaceIndexByName")).toEqual([
+      ["wlp2s0"],
+      ["enp0s31f6"],
+    ]);
+    expect(callArgs(platform, "ServiceBrowserNew")).toEqual([
+      [3, AVAHI_PROTO_INET, ELGATO_SERVICE_TYPE, "", 0],
+      [3, AVAHI_PROTO_INET, ELGATO_SERVICE_TYPE, "office.example.com", 0],
+      [2, AVAHI_PROTO_INET, ELGATO_SERVICE_TYPE, "", 0],
+      [2, AVAHI_PROTO_INET, ELGATO_SERVICE_TYPE, "office.example.com", 0],
+    ]);
+
+    platform._triggerAllTimeouts();
+    await promise;
+  });
+
+  it("resolves addresses of the chosen protocol only", async () => {
+    const platform = createMockPlatform();
+
+    const promise = discoverLights(platform, { protocol: "ipv6" });
+    await wait();
+    platform.bus._emitSignal(AVAHI_SERVICE_BROWSER_IFACE, "ItemNew", "/test/browser/1", [
+      2,
+      AVAHI_PROTO_INET6,
+      "Light",
+      ELGATO_SERVICE_TYPE,
+      "local",
+      0,
+    ]);
+    await wait();
+
+    expect(callArgs(platform, "ServiceResolverNew")).toEqual([
+      [2, AVAHI_PROTO_INET6, "Light", ELGATO_SERVICE_TYPE, "local", AVAHI_PROTO_INET6, 0],
+    ]);
+
+    platform._triggerAllTimeouts();
+    await promise;
+  });
+
+  it("completes once every browser has reported AllForNow", async () => {
+    const platform = createMockPlatform();
+    let completed = false;
+
+    const promise = discoverLights(platform, { domains: ["example.com"] }).then((result) => {
+      completed = true;
+      return result;
+    });
+    await wait();
+
+    platform.bus._emitSignal(AVAHI_SERVICE_BROWSER_IFACE, "AllForNow", "/test/browser/1", []);
+    await wait();
+    expect(completed).toBe(false);
+
+    platform.bus._emitSignal(AVAHI_SERVICE_BROWSER_IFACE, "AllForNow", "/test/browser/2", []);
+    expect(await promise).toEqual([]);
+  });
+
+  it("keeps discovering when one of several browsers fails", async () => {
+    const platform = createMockPlatform();
+    const consoleSpy = vi.spyOn(console, "error").mockImplementation(() => {});
+
+    const promise = discoverLights(platform, { domains: ["example.com"] });
+    await wait();
+
+    platform.bus._emitSignal(AVAHI_SERVICE_BROWSER_IFACE, "Failure", "/test/browser/2", [
+      "No DNS server",
+    ]);
+    platform.bus._emitSignal(AVAHI_SERVICE_BROWSER_IFACE, "AllForNow", "/test/browser/1", []);
+
+    expect(await promise).toEqual([]);
+    expect(consoleSpy).toHaveBeenCalledWith(expect.stringContaining("example.com"));
+    consoleSpy.mockRestore();
+  });
+
+  it("skips unknown interfaces", async () => {
+    const platform = createMockPlatform({ interfaces: { wlp2s0: 3 } });
+    const consoleSpy = vi.spyOn(console, "error").mockImplementation(() => {});
+
+    const promise = discoverLights(platform, { interfaces: ["tun0", "wlp2s0"] });
+    await wait();
+
+    expect(callArgs(platform, "ServiceBrowserNew")).toEqual([
+      [3, AVAHI_PROTO_UNSPEC, ELGATO_SERVICE_TYPE, "", 0],
+    ]);
+    expect(consoleSpy).toHaveBeenCalledWith(expect.stringContaining("tun0"));
+
+    platform._triggerAllTimeouts();
+    await promise;
+    consoleSpy.mockRestore();
+  });
+
+  it("fails when none of the interfaces exist", async () => {
+    const platform = createMockPlatform();
+    const consoleSpy = vi.spyOn(console, "error").mockImplementation(() => {});
+
+    await expect(discoverLights(platform, { interfaces: ["tun0"] })).rejects.toThrow(
+      "None of the network interfaces exist: tun0",
+    );
+    expect(callArgs(platform, "ServiceBrowserNew")).toEqual([]);
+    consoleSpy.mockRestore();
+  });
+
+  it("fails when the interfaces can't be looked up", async () => {
+    const platform = createMockPlatform({ interfaces: { wlp2s0: 3 } });
+    platform.createVariant.mockImplementation((signature, values) => {
+      if (signature === "(s)") {
+        throw new Error("Invalid interface name");
+      }
+      return createMockVariant(values);
+    });
+    const consoleSpy = vi.spyOn(console, "error").mockImplementation(() => {});
+
+    await expect(discoverLights(platform, { interfaces: ["wlp2s0"] })).rejects.toThrow(
+      "Invalid interface name",
+    );
+    expect(consoleSpy).toHaveBeenCalledWith(
+      expect.stringContaining("[ElgatoLights] Failed to open service browsers"),
+    );
+    consoleSpy.mockRestore();
+  });
+
+  it("applies the options to live discovery", async () => {
+    const platform = createMockPlatform({ interfaces: { wlp2s0: 3 } });
+
+    const watcher = watchLights({ onAdded: vi.fn(), onRemoved: vi.fn() }, platform, {
+      interfaces: ["wlp2s0"],
+      protocol: "ipv4",
+    });
+    await wait();
+
+    expect(callArgs(platform, "ServiceBrowserNew")).toEqual([
+      [3, AVAHI_PROTO_INET, ELGATO_SERVICE_TYPE, "", 0],
+    ]);
+    watcher.stop();
+  });
+
+  it("frees no browsers when stopped before the interfaces are looked up", async () => {
+    const platform = createMockPlatform({ interfaces: { wlp2s0: 3 } });
+
+    const watcher = watchLights({ onAdded: vi.fn(), onRemoved: vi.fn() }, platform, {
+      interfaces: ["wlp2s0"],
+    });
+    watcher.stop();
+    await wait();
+
+    expect(callArgs(platform, "ServiceBrowserNew")).toEqual([]);
+  });
+});
+
 describe("isAvahiAvailable", () => {
   it("returns true when Avahi responds", async () => {
     const platform = createMockPlatform();
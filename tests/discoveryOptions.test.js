@@ -0,0 +1,40 @@
+/**
+ * Unit tests for discovery filter options.
+ */
+
+import { describe, it, expect } from "vitest";
+import {
+  DiscoveryProtocol,
+  DEFAULT_DOMAIN,
+  parseDiscoveryOptions,
+} from "../lib/discoveryOptions.js";
+
+describe("parseDiscoveryOptions", () => {
+  it("defaults to every interface, any protocol and the default domain", () => {
+    expect(parseDiscoveryOptions()).toEqual({
+      interfaces: [],
+      protocol: DiscoveryProtocol.ANY,
+      domains: [DEFAULT_DOMAIN],
+    });
+  });
+
+  it("trims interface names and drops empty names and duplicates", () => {
+    expect(
+      parseDiscoveryOptions({ interfaces: [" wlp2s0 ", "", "wlp2s0", "eth0"] }).interfaces,
+    ).toEqual(["wlp2s0", "eth0"]);
+  });
+
+  it("accepts known protocols and falls back to any", () => {
+    expect(parseDiscoveryOptions({ protocol: "ipv4" }).protocol).toBe(DiscoveryProtocol.IPV4);
+    expect(parseDiscoveryOptions({ protocol: "ipv6" }).protocol).toBe(DiscoveryProtocol.IPV6);
+    expect(parseDiscoveryOptions({ protocol: "ipx" }).protocol).toBe(DiscoveryProtocol.ANY);
+  });
+
+  it("normalizes extra domains after the default domain", () => {
+    expect(
+      parseDiscoveryOptions({
+        domains: ["Office.Example.com.", "office.example.com", "local", " "],
+      }).domains,
+    ).toEqual([DEFAULT_DOMAIN, "office.example.com"]);
+  });
+});
@@ -0,0 +1,167 @@
+/**
+ * Unit tests for DNS message utilities.
+ */
+
+import { describe, it, expect } from "vitest";
+import {
+  RecordType,
+  FLAG_RESPONSE,
+  FLAG_AUTHORITATIVE,
+  encodeMessage,
+  encodeQuery,
+  decodeMessage,
+} from "../lib/dnsMessage.js";
+
+describe("encodeQuery", () => {
+  it("encodes a PTR question with a zero id and no flags", () => {
+    const bytes = encodeQuery([{ name: "_elg._tcp.local", type: RecordType.PTR }]);
+
+    expect(Array.from(bytes.slice(0, 12))).toEqual([0, 0, 0, 0, 0, 1, 0, 0, 0, 0, 0, 0]);
+    expect(Array.from(bytes.slice(12))).toEqual([
+      4, 95, 101, 108, 103, 4, 95, 116, 99, 112, 5, 108, 111, 99, 97, 108, 0, 0, 12, 0, 1,
+    ]);
+  });
+
+  it("ignores a trailing dot in names", () => {
+    expect(encodeQuery([{ name: "light.local.", type: RecordType.A }])).toEqual(
+      encodeQuery([{ name: "light.local", type: RecordType.A }]),
+    );
+  });
+
+  it("rejects labels longer than 63 bytes", () => {
+    expect(() => encodeQuery([{ name: `${"a".repeat(64)}.local`, type: RecordType.A }])).toThrow(
+      "Label too long",
+    );
+  });
+});
+
+describe("decodeMessage", () => {
+  it("round-trips questions", () => {
+    const message = decodeMessage(
+      encodeMessage({
+        questions: [{ name: "_elg._tcp.local", type: RecordType.PTR, unicastResponse: true }],
+      }),
+    );
+
+    expect(message.isResponse).toBe(false);
+    expect(message.questions).toEqual([
+      { name: "_elg._tcp.local", type: RecordType.PTR, unicastResponse: true },
+    ]);
+  });
+
+  it("round-trips every supported record type", () => {
+    const answers = [
+      { name: "_elg._tcp.local", type: RecordType.PTR, ttl: 4500, data: "Light._elg._tcp.local" },
+      {
+        name: "Light._elg._tcp.local",
+        type: RecordType.SRV,
+        cacheFlush: true,
+        ttl: 120,
+        data: { priority: 0, weight: 0, port: 9123, target: "elgato-key-light.local" },
+      },
+    ];
+    const additionals = [
+      { name: "Light._elg._tcp.local", type: RecordType.TXT, ttl: 4500, data: ["md=Key Light"] },
+      { name: "elgato-key-light.local", type: RecordType.A, ttl: 120, data: "192.168.1.50" },
+      { name: "elgato-key-light.local", type: RecordType.AAAA, ttl: 120, data: "fe80::1" },
+    ];
+
+    const message = decodeMessage(
+      encodeMessage({
+        id: 7,
+        flags: FLAG_RESPONSE | FLAG_AUTHORITATIVE,
+        answers,
+        additionals,
+      }),
+    );
+
+    expect(message.id).toBe(7);
+    expect(message.isResponse).toBe(true);
+    expect(message.answers).toEqual([{ ...answers[0], cacheFlush: false }, answers[1]]);
+    expect(message.additionals).toEqual([
+      {
+        ...additionals[0],
+        cacheFlush: false,
+        data: [new TextEncoder().encode("md=Key Light")],
+      },
+      { ...additionals[1], cacheFlush: false },
+      { ...additionals[2], cacheFlush: false },
+    ]);
+  });
+
+  it("follows name compression pointers", () => {
+    const header = [0, 0, 0x84, 0, 0, 0, 0, 1, 0, 0, 0, 0];
+    // PTR record: name "_elg._tcp.local" at offset 12, data "Light" + pointer to offset 12
+    const record = [
+      4, 95, 101, 108, 103, 4, 95, 116, 99, 112, 5, 108, 111, 99, 97, 108, 0, 0, 12, 0, 1, 0, 0,
+      0x11, 0x94, 0, 8, 5, 76, 105, 103, 104, 116, 0xc0, 12,
+    ];
+
+    const message = decodeMessage(Uint8Array.from([...header, ...record]));
+
+    expect(message.answers).toEqual([
+      {
+        name: "_elg._tcp.local",
+        type: RecordType.PTR,
+        cacheFlush: false,
+        ttl: 4500,
+        data: "Light._elg._tcp.local",
+      },
+    ]);
+  });
+
+  it("compresses the longest run of zeros in IPv6 addresses", () => {
+    const message = decodeMessage(
+      encodeMessage({
+        flags: FLAG_RESPONSE,
+        answers: [
+          { name: "a.local", type: RecordType.AAAA, data: "2001:db8:0:0:1:0:0:1" },
+          { name: "b.local", type: RecordType.AAAA, data: "fd00:1:2:3:4:5:6:7" },
+          { name: "c.local", type: RecordType.AAAA, data: "::" },
+        ],
+      }),
+    );
+
+    expect(message.answers.map((record) => record.data)).toEqual([
+      "2001:db8::1:0:0:1",
+      "fd00:1:2:3:4:5:6:7",
+      "::",
+    ]);
+  });
+
+  it("keeps unknown record types as raw bytes", () => {
+    const message = decodeMessage(
+      encodeMessage({
+        flags: FLAG_RESPONSE,
+        answers: [{ name: "a.local", type: 47, data: [1, 2, 3] }],
+      }),
+    );
+
+    expect(message.answers[0].data).toEqual(Uint8Array.from([1, 2, 3]));
+  });
+
+  it("rejects compression pointer loops", () => {
+    const header = [0, 0, 0x84, 0, 0, 1, 0, 0, 0, 0, 0, 0];
+    const bytes = Uint8Array.from([...header, 0xc0, 12, 0, 12, 0, 1]);
+
+    expect(() => decodeMessage(bytes)).toThrow("Too many compression pointers");
+  });
+
+  it("rejects truncated messages", () => {
+    const bytes = encodeQuery([{ name: "_elg._tcp.local", type: RecordType.PTR }]);
+
+    expect(() => decodeMessage(bytes.slice(0, 20))).toThrow("Message truncated");
+    expect(() => decodeMessage(bytes.slice(0, 6))).toThrow("Message truncated");
+  });
+
+  it("rejects records whose data length doesn't match their type", () => {
+    const bytes = encodeMessage({
+      flags: FLAG_RESPONSE,
+      answers: [{ name: "a.local", type: 47, data: [1, 2, 3] }],
+    });
+    // Turn the record into an A record with three bytes of data
+    bytes[22] = RecordType.A;
+
+    expect(() => decodeMessage(bytes)).toThrow("Invalid A record");
+  });
+});
@@ -0,0 +1,169 @@
+/**
+ * Unit tests for DNS-SD utilities.
+ */
+
+import { describe, it, expect } from "vitest";
+import { RecordType } from "../lib/dnsMessage.js";
+import { collectServiceInstances, getMissingQuestions } from "../lib/dnsSd.js";
+
+const INSTANCE = "Elgato Key Light 7A1B._elg._tcp.local";
+const TARGET = "elgato-key-light-7a1b.local";
+
+/**
+ * Builds the records a light sends in answer to a PTR query.
+ *
+ * @param {Object} [overrides] - Values to change
+ * @returns {Array<Object>} Records as returned by decodeMessage()
+ */
+function lightRecords(overrides = {}) {
+  const instance = overrides.instance ?? INSTANCE;
+  const target = overrides.target ?? TARGET;
+  return [
+    { name: "_elg._tcp.local", type: RecordType.PTR, ttl: 4500, data: instance },
+    {
+      name: instance,
+      type: RecordType.SRV,
+      ttl: 120,
+      data: { priority: 0, weight: 0, port: overrides.port ?? 9123, target },
+    },
+    {
+      name: instance,
+      type: RecordType.TXT,
+      ttl: 4500,
+      data: [new TextEncoder().encode("id=3C:6A:9D:12:34:56"), new TextEncoder().encode("dt=53")],
+    },
+    { name: target, type: RecordType.A, ttl: 120, data: overrides.address ?? "192.168.1.50" },
+  ];
+}
+
+describe("collectServiceInstances", () => {
+  it("builds a light from PTR, SRV, TXT and A records", () => {
+    expect(collectServiceInstances(lightRecords())).toEqual([
+      {
+        name: "Elgato Key Light 7A1B",
+        host: "192.168.1.50",
+        addresses: ["192.168.1.50"],
+        port: 9123,
+        hostname: TARGET,
+        id: "3C:6A:9D:12:34:56",
+        model: null,
+        protocolVersion: null,
+        deviceType: 53,
+        manufacturer: null,
+      },
+    ]);
+  });
+
+  it("matches names case-insensitively", () => {
+    const records = lightRecords();
+    records[1].name = INSTANCE.toUpperCase();
+    records[3].name = TARGET.toUpperCase();
+
+    expect(collectServiceInstances(records)).toHaveLength(1);
+  });
+
+  it("prefers IPv4 over IPv6 addresses", () => {
+    const records = [
+      { name: TARGET, type: RecordType.AAAA, ttl: 120, data: "fe80::1" },
+      ...lightRecords(),
+    ];
+
+    expect(collectServiceInstances(records)[0].host).toBe("192.168.1.50");
+  });
+
+  it("falls back to an IPv6 address", () => {
+    const records = lightRecords().slice(0, 3);
+    records.push({ name: TARGET, type: RecordType.AAAA, ttl: 120, data: "fd00::50" });
+
+    expect(collectServiceInstances(records)[0].host).toBe("fd00::50");
+  });
+
+  it("prefers routable IPv6 addresses over link-local ones", () => {
+    const records = lightRecords().slice(0, 3);
+    records.push({ name: TARGET, type: RecordType.AAAA, ttl: 120, data: "fe80::50" });
+    records.push({ name: TARGET, type: RecordType.AAAA, ttl: 120, data: "fd00::50" });
+
+    expect(collectServiceInstances(records)[0].host).toBe("fd00::50");
+  });
+
+  it("keeps the other addresses to fall back to", () => {
+    const records = [
+      ...lightRecords(),
+      { name: TARGET, type: RecordType.AAAA, ttl: 120, data: "fe80::50" },
+      { name: TARGET, type: RecordType.AAAA, ttl: 120, data: "fd00::50" },
+    ];
+
+    expect(collectServiceInstances(records)[0].addresses).toEqual([
+      "192.168.1.50",
+      "fd00::50",
+      "fe80::50",
+    ]);
+  });
+
+  it("skips instances without an SRV record or address", () => {
+    expect(
+      collectServiceInstances(lightRecords().filter((r) => r.type !== RecordType.SRV)),
+    ).toEqual([]);
+    expect(collectServiceInstances(lightRecords().filter((r) => r.type !== RecordType.A))).toEqual(
+      [],
+    );
+  });
+
+  it("reports each instance once across repeated answers", () => {
+    const records = [...lightRecords(), ...lightRecords()];
+
+    expect(collectServiceInstances(records)).toHaveLength(1);
+  });
+
+  it("collects several instances", () => {
+    const records = [
+      ...lightRecords(),
+      ...lightRecords({
+        instance: "Desk._elg._tcp.local",
+        target: "desk.local",
+        address: "10.0.0.2",
+      }),
+    ];
+
+    expect(collectServiceInstances(records).map((light) => light.name)).toEqual([
+      "Elgato Key Light 7A1B",
+      "Desk",
+    ]);
+  });
+
+  it("drops instances withdrawn with a goodbye", () => {
+    const records = [
+      ...lightRecords(),
+      { name: "_elg._tcp.local", type: RecordType.PTR, ttl: 0, data: INSTANCE },
+    ];
+
+    expect(collectServiceInstances(records)).toEqual([]);
+  });
+
+  it("ignores other services", () => {
+    const records = lightRecords();
+    records[0].name = "_http._tcp.local";
+
+    expect(collectServiceInstances(records)).toEqual([]);
+  });
+});
+
+describe("getMissingQuestions", () => {
+  it("asks for nothing when every instance is complete", () => {
+    expect(getMissingQuestions(lightRecords())).toEqual([]);
+  });
+
+  it("asks for the SRV and TXT records of a bare PTR answer", () => {
+    expect(getMissingQuestions(lightRecords().slice(0, 1))).toEqual([
+      { name: INSTANCE, type: RecordType.TXT },
+      { name: INSTANCE, type: RecordType.SRV },
+    ]);
+  });
+
+  it("asks for the addresses of an SRV target", () => {
+    expect(getMissingQuestions(lightRecords().slice(0, 3))).toEqual([
+      { name: TARGET, type: RecordType.A },
+      { name: TARGET, type: RecordType.AAAA },
+    ]);
+  });
+});
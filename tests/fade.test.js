@@ -0,0 +1,76 @@
+/**
+ * Unit tests for fade utilities.
+ */
+
+import { describe, it, expect } from "vitest";
+import { computeFadeSteps, FADE_STEP_MS } from "../lib/fade.js";
+
+describe("computeFadeSteps", () => {
+  it("interpolates linearly and ends at the target", () => {
+    const steps = computeFadeSteps(
+      { brightness: 10, temperature: 200 },
+      { brightness: 50, temperature: 300 },
+      400,
+      100,
+    );
+    expect(steps).toEqual([
+      { brightness: 20, temperature: 225 },
+      { brightness: 30, temperature: 250 },
+      { brightness: 40, temperature: 275 },
+      { brightness: 50, temperature: 300 },
+    ]);
+  });
+
+  it("fades down as well as up", () => {
+    const steps = computeFadeSteps(
+      { brightness: 100, temperature: 200 },
+      { brightness: 3, temperature: 200 },
+      200,
+      100,
+    );
+    expect(steps[steps.length - 1]).toEqual({ brightness: 3, temperature: 200 });
+    expect(steps[0].brightness).toBeLessThan(100);
+  });
+
+  it("returns a single step for durations shorter than a step", () => {
+    expect(
+      computeFadeSteps(
+        { brightness: 10, temperature: 200 },
+        { brightness: 20, temperature: 210 },
+        0,
+      ),
+    ).toEqual([{ brightness: 20, temperature: 210 }]);
+  });
+
+  it("uses FADE_STEP_MS by default", () => {
+    const steps = computeFadeSteps(
+      { brightness: 3, temperature: 143 },
+      { brightness: 100, temperature: 344 },
+      FADE_STEP_MS * 5,
+    );
+    expect(steps).toHaveLength(5);
+  });
+
+  it("skips steps that don't change the values", () => {
+    const steps = computeFadeSteps(
+      { brightness: 10, temperature: 200 },
+      { brightness: 12, temperature: 200 },
+      1000,
+      100,
+    );
+    expect(steps).toEqual([
+      { brightness: 11, temperature: 200 },
+      { brightness: 12, temperature: 200 },
+    ]);
+  });
+
+  it("always includes the final step even when unchanged", () => {
+    expect(
+      computeFadeSteps(
+        { brightness: 10, temperature: 200 },
+        { brightness: 10, temperature: 200 },
+        500,
+      ),
+    ).toEqual([{ brightness: 10, temperature: 200 }]);
+  });
+});
@@ -0,0 +1,112 @@
+/**
+ * Unit tests for host address utilities.
+ */
+
+import { describe, it, expect } from "vitest";
+import {
+  AddressRank,
+  isIPv4,
+  isIPv6,
+  isHostname,
+  isValidHost,
+  isLinkLocalIPv6,
+  withScope,
+  formatUrlHost,
+  formatAddress,
+  getAddressRank,
+  sortHostsByRank,
+  pickPreferredHost,
+} from "../lib/hosts.js";
+
+describe("host checks", () => {
+  it("recognizes IPv4 addresses", () => {
+    expect(isIPv4("192.168.1.50")).toBe(true);
+    expect(isIPv4("256.1.1.1")).toBe(false);
+    expect(isIPv4("192.168.1")).toBe(false);
+  });
+
+  it("recognizes IPv6 addresses with an optional zone", () => {
+    expect(isIPv6("fd00::1")).toBe(true);
+    expect(isIPv6("fe80::1%3")).toBe(true);
+    expect(isIPv6("fe80::1%wlp2s0")).toBe(true);
+    expect(isIPv6("fe80::1%3%4")).toBe(false);
+    expect(isIPv6("fe80::1%")).toBe(false);
+    expect(isIPv6("key-light.local")).toBe(false);
+  });
+
+  it("recognizes hostnames", () => {
+    expect(isHostname("key-light.local")).toBe(true);
+    expect(isHostname("keylight")).toBe(true);
+    expect(isHostname("192.168.1")).toBe(false);
+    expect(isHostname("-bad.local")).toBe(false);
+  });
+
+  it("accepts any kind of host", () => {
+    expect(isValidHost("192.168.1.50")).toBe(true);
+    expect(isValidHost("fe80::1%3")).toBe(true);
+    expect(isValidHost("key-light.local")).toBe(true);
+    expect(isValidHost("")).toBe(false);
+    expect(isValidHost(null)).toBe(false);
+  });
+
+  it("recognizes link-local IPv6 addresses", () => {
+    expect(isLinkLocalIPv6("fe80::1")).toBe(true);
+    expect(isLinkLocalIPv6("FEBF::1%3")).toBe(true);
+    expect(isLinkLocalIPv6("fec0::1")).toBe(false);
+    expect(isLinkLocalIPv6("fd00::1")).toBe(false);
+    expect(isLinkLocalIPv6("192.168.1.50")).toBe(false);
+  });
+});
+
+describe("withScope", () => {
+  it("adds the scope to link-local addresses only", () => {
+    expect(withScope("fe80::1", 3)).toBe("fe80::1%3");
+    expect(withScope("fe80::1", "wlp2s0")).toBe("fe80::1%wlp2s0");
+    expect(withScope("fd00::1", 3)).toBe("fd00::1");
+    expect(withScope("192.168.1.50", 3)).toBe("192.168.1.50");
+  });
+
+  it("keeps an existing scope and ignores unknown scopes", () => {
+    expect(withScope("fe80::1%2", 3)).toBe("fe80::1%2");
+    expect(withScope("fe80::1", -1)).toBe("fe80::1");
+    expect(withScope("fe80::1", null)).toBe("fe80::1");
+  });
+});
+
+describe("formatting", () => {
+  it("brackets IPv6 hosts in URLs and escapes the zone", () => {
+    expect(formatUrlHost("192.168.1.50")).toBe("192.168.1.50");
+    expect(formatUrlHost("key-light.local")).toBe("key-light.local");
+    expect(formatUrlHost("fd00::1")).toBe("[fd00::1]");
+    expect(formatUrlHost("fe80::1%3")).toBe("[fe80::1%253]");
+  });
+
+  it("brackets IPv6 hosts in addresses", () => {
+    expect(formatAddress("192.168.1.50", 9123)).toBe("192.168.1.50:9123");
+    expect(formatAddress("fe80::1%3", 9123)).toBe("[fe80::1%3]:9123");
+  });
+});
+
+describe("address preference", () => {
+  it("ranks IPv4 first and link-local IPv6 last", () => {
+    expect(getAddressRank("192.168.1.50")).toBe(AddressRank.IPV4);
+    expect(getAddressRank("key-light.local")).toBe(AddressRank.HOSTNAME);
+    expect(getAddressRank("fd00::1")).toBe(AddressRank.IPV6);
+    expect(getAddressRank("fe80::1%3")).toBe(AddressRank.IPV6_LINK_LOCAL);
+  });
+
+  it("picks the best ranked host, keeping the first of equals", () => {
+    expect(pickPreferredHost(["fe80::1%3", "fd00::1", "192.168.1.50"])).toBe("192.168.1.50");
+    expect(pickPreferredHost(["fd00::2", "fe80::1%3", "fd00::1"])).toBe("fd00::2");
+    expect(pickPreferredHost([])).toBeNull();
+  });
+
+  it("orders hosts in the order they should be tried, without duplicates", () => {
+    expect(sortHostsByRank(["fe80::1%3", "fd00::1", "192.168.1.50", "fd00::1"])).toEqual([
+      "192.168.1.50",
+      "fd00::1",
+      "fe80::1%3",
+    ]);
+    expect(sortHostsByRank([])).toEqual([]);
+  });
+});
@@ -0,0 +1,103 @@
+/**
+ * Unit tests for the ignore list.
+ */
+
+import { describe, it, expect } from "vitest";
+import {
+  parseIgnoredLights,
+  isIgnoredLight,
+  filterIgnoredLights,
+  addIgnoredLight,
+  removeIgnoredLight,
+} from "../lib/ignoreList.js";
+
+const neighbour = {
+  name: "Neighbour",
+  host: "192.168.1.120",
+  port: 9123,
+  id: "3C:6A:9D:12:34:56",
+  serialNumber: "CW12345",
+};
+const ours = { name: "Desk", host: "192.168.1.100", port: 9123, id: "3C:6A:9D:AB:CD:EF" };
+
+describe("parseIgnoredLights", () => {
+  it("parses entries and fills in missing identifiers", () => {
+    expect(parseIgnoredLights('[{"name":"Neighbour","serialNumber":"CW12345"}]')).toEqual([
+      { name: "Neighbour", id: null, serialNumber: "CW12345" },
+    ]);
+  });
+
+  it("drops entries without a name or identifier", () => {
+    const json = JSON.stringify([
+      { name: "No identity" },
+      { id: "3C:6A:9D:12:34:56" },
+      { name: "Bad id", id: 42 },
+      null,
+      { name: "Neighbour", id: "3C:6A:9D:12:34:56" },
+    ]);
+
+    expect(parseIgnoredLights(json)).toEqual([
+      { name: "Neighbour", id: "3C:6A:9D:12:34:56", serialNumber: null },
+    ]);
+  });
+
+  it("returns an empty list for invalid input", () => {
+    expect(parseIgnoredLights("")).toEqual([]);
+    expect(parseIgnoredLights("not json")).toEqual([]);
+    expect(parseIgnoredLights('{"name":"Neighbour"}')).toEqual([]);
+    expect(parseIgnoredLights(null)).toEqual([]);
+  });
+});
+
+describe("isIgnoredLight", () => {
+  const ignored = [{ name: "Neighbour", id: "3C:6A:9D:12:34:56", serialNumber: "CW12345" }];
+
+  it("matches by device id, whatever the address", () => {
+    expect(isIgnoredLight({ ...neighbour, host: "192.168.1.200" }, ignored)).toBe(true);
+    expect(isIgnoredLight({ id: "3c:6a:9d:12:34:56" }, ignored)).toBe(true);
+    expect(isIgnoredLight(ours, ignored)).toBe(false);
+  });
+
+  it("matches by serial number for lights found without a device id", () => {
+    expect(isIgnoredLight({ host: "192.168.1.120", serialNumber: "CW12345" }, ignored)).toBe(true);
+  });
+
+  it("never matches by address alone", () => {
+    expect(isIgnoredLight({ host: neighbour.host, port: neighbour.port }, ignored)).toBe(false);
+  });
+
+  it("filters ignored lights out of a list", () => {
+    expect(filterIgnoredLights([neighbour, ours], ignored)).toEqual([ours]);
+  });
+});
+
+describe("addIgnoredLight", () => {
+  it("adds an entry with the identifiers of the light", () => {
+    expect(addIgnoredLight([], neighbour, "Neighbour")).toEqual([
+      { name: "Neighbour", id: "3C:6A:9D:12:34:56", serialNumber: "CW12345" },
+    ]);
+  });
+
+  it("updates an entry that already describes the light", () => {
+    const ignored = [{ name: "Old", id: null, serialNumber: "CW12345" }];
+
+    expect(addIgnoredLight(ignored, neighbour, "Neighbour")).toEqual([
+      { name: "Neighbour", id: "3C:6A:9D:12:34:56", serialNumber: "CW12345" },
+    ]);
+  });
+
+  it("refuses lights without a stable identity", () => {
+    expect(addIgnoredLight([], { host: "192.168.1.120", port: 9123 }, "Unknown")).toBeNull();
+  });
+});
+
+describe("removeIgnoredLight", () => {
+  it("removes the entry describing the light", () => {
+    const ignored = addIgnoredLight(addIgnoredLight([], neighbour, "Neighbour"), ours, "Desk");
+
+    expect(removeIgnoredLight(ignored, ignored[0])).toEqual([
+      { name: "Desk", id: ours.id, serialNumber: null },
+    ]);
+    expect(removeIgnoredLight(ignored, { serialNumber: "OTHER" })).toEqual(ignored);
+  });
+});
@@ -0,0 +1,161 @@
+/**
+ * Unit tests for light state utilities.
+ */
+
+import { describe, it, expect } from "vitest";
+import {
+  createDefaultState,
+  parseLightEntry,
+  buildLightEntry,
+  parseLightsPayload,
+  buildLightsPayload,
+  MODE_WHITE,
+  MODE_COLOR,
+} from "../lib/lightState.js";
+
+describe("parseLightEntry", () => {
+  it("parses a white-mode entry", () => {
+    expect(parseLightEntry({ on: 1, brightness: 40, temperature: 213 })).toEqual({
+      on: true,
+      brightness: 40,
+      temperature: 213,
+      hue: null,
+      saturation: null,
+      mode: MODE_WHITE,
+    });
+  });
+
+  it("parses a color-mode entry", () => {
+    expect(parseLightEntry({ on: 0, brightness: 60, hue: 120.5, saturation: 80 })).toEqual({
+      on: false,
+      brightness: 60,
+      temperature: null,
+      hue: 120.5,
+      saturation: 80,
+      mode: MODE_COLOR,
+    });
+  });
+
+  it("treats an entry with both temperature and hue as white mode", () => {
+    const state = parseLightEntry({
+      on: 1,
+      brightness: 50,
+      temperature: 200,
+      hue: 10,
+      saturation: 20,
+    });
+    expect(state.mode).toBe(MODE_WHITE);
+    expect(state.hue).toBe(10);
+    expect(state.temperature).toBe(200);
+  });
+});
+
+describe("buildLightEntry", () => {
+  it("builds a white-mode entry", () => {
+    expect(buildLightEntry({ on: true, brightness: 50, temperature: 200 })).toEqual({
+      on: 1,
+      brightness: 50,
+      temperature: 200,
+    });
+  });
+
+  it("builds a color-mode entry without temperature", () => {
+    expect(
+      buildLightEntry({ on: false, brightness: 50, hue: 240, saturation: 75, mode: MODE_COLOR }),
+    ).toEqual({
+      on: 0,
+      brightness: 50,
+      hue: 240,
+      saturation: 75,
+    });
+  });
+
+  it("clamps and rounds values to device ranges", () => {
+    expect(buildLightEntry({ on: true, brightness: 120.4, temperature: 100 })).toEqual({
+      on: 1,
+      brightness: 100,
+      temperature: 143,
+    });
+    expect(
+      buildLightEntry({ on: true, brightness: 1, hue: 400, saturation: -5, mode: MODE_COLOR }),
+    ).toEqual({
+      on: 1,
+      brightness: 3,
+      hue: 360,
+      saturation: 0,
+    });
+  });
+
+  it("fills in defaults for missing color values", () => {
+    expect(buildLightEntry({ on: true, brightness: 50, hue: null, mode: MODE_COLOR })).toEqual({
+      on: 1,
+      brightness: 50,
+      hue: 0,
+      saturation: 100,
+    });
+    expect(buildLightEntry({ on: true, brightness: 50, temperature: null }).temperature).toBe(200);
+  });
+
+  it("round-trips through parseLightEntry", () => {
+    const entry = { on: 1, brightness: 30, hue: 45, saturation: 90 };
+    expect(buildLightEntry(parseLightEntry(entry))).toEqual(entry);
+  });
+});
+
+describe("createDefaultState", () => {
+  it("returns a fresh white-mode state", () => {
+    const a = createDefaultState();
+    const b = createDefaultState();
+    expect(a).toEqual({
+      on: false,
+      brightness: 50,
+      temperature: 200,
+      hue: null,
+      saturation: null,
+      mode: MODE_WHITE,
+    });
+    expect(a).not.toBe(b);
+  });
+});
+
+describe("parseLightsPayload", () => {
+  it("returns empty array for missing or invalid lights", () => {
+    expect(parseLightsPayload(null)).toEqual([]);
+    expect(parseLightsPayload({})).toEqual([]);
+    expect(parseLightsPayload({ lights: "nope" })).toEqual([]);
+  });
+
+  it("parses every channel", () => {
+    const states = parseLightsPayload({
+      numberOfLights: 2,
+      lights: [
+        { on: 1, brightness: 20, temperature: 200 },
+        { on: 0, brightness: 80, temperature: 300 },
+      ],
+    });
+    expect(states).toHaveLength(2);
+    expect(states[0].on).toBe(true);
+    expect(states[1].on).toBe(false);
+    expect(states[1].brightness).toBe(80);
+  });
+
+  it("skips non-object entries", () => {
+    expect(parseLightsPayload({ lights: [null, { on: 1, brightness: 10 }] })).toHaveLength(1);
+  });
+});
+
+describe("buildLightsPayload", () => {
+  it("sends every channel with a matching count", () => {
+    const payload = buildLightsPayload([
+      { on: true, brightness: 20, temperature: 200 },
+      { on: false, brightness: 80, hue: 90, saturation: 50, mode: MODE_COLOR },
+    ]);
+    expect(payload).toEqual({
+      numberOfLights: 2,
+      lights: [
+        { on: 1, brightness: 20, temperature: 200 },
+        { on: 0, brightness: 80, hue: 90, saturation: 50 },
+      ],
+    });
+  });
+});
@@ -0,0 +1,218 @@
+/**
+ * Unit tests for the built-in mDNS discovery backend.
+ *
+ * Uses a mock platform whose socket is wired to a stand-in responder, so no
+ * network is used and timeouts fire only when the test says so.
+ */
+
+import { describe, it, expect, vi } from "vitest";
+import { queryLights, QUERY_RETRY_MS, QUERY_TIMEOUT_MS } from "../mdnsQuerier.js";
+import { RecordType, FLAG_RESPONSE, encodeMessage, decodeMessage } from "../lib/dnsMessage.js";
+
+const INSTANCE = "Key Light._elg._tcp.local";
+const TARGET = "elgato-key-light.local";
+
+/** Records served by the default stand-in responder. */
+const ZONE = [
+  { name: "_elg._tcp.local", type: RecordType.PTR, data: INSTANCE },
+  {
+    name: INSTANCE,
+    type: RecordType.SRV,
+    data: { priority: 0, weight: 0, port: 9123, target: TARGET },
+  },
+  { name: INSTANCE, type: RecordType.TXT, data: ["id=3C:6A:9D:12:34:56", "md=Elgato Key Light"] },
+  { name: TARGET, type: RecordType.A, data: "192.168.1.50" },
+];
+
+/**
+ * Creates a stand-in mDNS responder.
+ *
+ * Answers each question with the matching records of the zone. With
+ * `additionals`, every other record of the zone is sent along, as real
+ * responders do for PTR queries.
+ *
+ * @param {Array<Object>} zone - Records to serve
+ * @param {Object} [options] - Responder options
+ * @param {boolean} [options.additionals=true] - Whether to send additional records
+ * @returns {Function} Function taking the bytes of a query and returning the
+ *          bytes of the response, or null if there is nothing to answer
+ */
+function createResponder(zone, options = {}) {
+  const sendAdditionals = options.additionals ?? true;
+
+  return (query) => {
+    const { questions } = decodeMessage(query);
+    const answers = zone.filter((record) =>
+      questions.some(
+        (q) => q.name.toLowerCase() === record.name.toLowerCase() && q.type === record.type,
+      ),
+    );
+    if (answers.length === 0) {
+      return null;
+    }
+
+    const additionals = sendAdditionals ? zone.filter((record) => !answers.includes(record)) : [];
+    return encodeMessage({ flags: FLAG_RESPONSE, questions, answers, additionals });
+  };
+}
+
+/**
+ * Creates a mock platform for dependency injection.
+ *
+ * @param {Object} options - Configuration options
+ * @param {Function|null} [options.responder] - Stand-in responder (see createResponder())
+ * @param {string} [options.openError] - Error thrown when opening the socket
+ * @param {string} [options.sendError] - Error thrown when sending
+ * @returns {Object} Mock platform object with fireTimeout(ms) to trigger timeouts
+ */
+function createMockPlatform(options = {}) {
+  const timeouts = new Map();
+  let nextTimeoutId = 1;
+  const socket = { sent: [], send: null, close: vi.fn() };
+
+  const platform = {
+    socket,
+    openSocket: vi.fn((onMessage) => {
+      if (options.openError) {
+        throw new Error(options.openError);
+      }
+      socket.send = vi.fn((bytes) => {
+        if (options.sendError) {
+          throw new Error(options.sendError);
+        }
+        socket.sent.push(decodeMessage(bytes));
+        const response = options.responder?.(bytes);
+        if (response) {
+          onMessage(response);
+        }
+      });
+      socket.deliver = onMessage;
+      return socket;
+    }),
+    createTimeout: vi.fn((ms, callback) => {
+      const id = nextTimeoutId++;
+      timeouts.set(id, { ms, callback });
+      return id;
+    }),
+    removeTimeout: vi.fn((id) => timeouts.delete(id)),
+    fireTimeout(ms) {
+      for (const [id, timeout] of timeouts) {
+        if (timeout.ms === ms && !timeout.callback()) {
+          timeouts.delete(id);
+        }
+      }
+    },
+    pendingTimeouts: () => timeouts.size,
+  };
+  return platform;
+}
+
+describe("queryLights", () => {
+  it("sends a PTR query for _elg._tcp.local", async () => {
+    const platform = createMockPlatform({ responder: createResponder(ZONE) });
+
+    const promise = queryLights(platform);
+    platform.fireTimeout(QUERY_TIMEOUT_MS);
+    await promise;
+
+    expect(platform.socket.sent[0].questions).toEqual([
+      { name: "_elg._tcp.local", type: RecordType.PTR, unicastResponse: false },
+    ]);
+  });
+
+  it("finds lights from a responder that sends all records at once", async () => {
+    const platform = createMockPlatform({ responder: createResponder(ZONE) });
+
+    const promise = queryLights(platform);
+    platform.fireTimeout(QUERY_RETRY_MS);
+    platform.fireTimeout(QUERY_TIMEOUT_MS);
+
+    expect(await promise).toEqual([
+      {
+        name: "Key Light",
+        host: "192.168.1.50",
+        addresses: ["192.168.1.50"],
+        port: 9123,
+        hostname: TARGET,
+        id: "3C:6A:9D:12:34:56",
+        model: "Elgato Key Light",
+        protocolVersion: null,
+        deviceType: null,
+        manufacturer: null,
+      },
+    ]);
+    // Nothing was missing, so no follow-up query was sent
+    expect(platform.socket.sent).toHaveLength(1);
+  });
+
+  it("asks for missing records from a responder that only answers the question", async () => {
+    const platform = createMockPlatform({
+      responder: createResponder(ZONE, { additionals: false }),
+    });
+
+    const promise = queryLights(platform);
+    platform.fireTimeout(QUERY_RETRY_MS);
+    platform.fireTimeout(QUERY_RETRY_MS);
+    platform.fireTimeout(QUERY_TIMEOUT_MS);
+
+    expect(await promise).toMatchObject([{ name: "Key Light", host: "192.168.1.50" }]);
+    expect(platform.socket.sent.map((query) => query.questions.map((q) => q.type))).toEqual([
+      [RecordType.PTR],
+      [RecordType.TXT, RecordType.SRV],
+      [RecordType.A, RecordType.AAAA],
+    ]);
+  });
+
+  it("repeats the PTR query when nothing answered", async () => {
+    const platform = createMockPlatform({ responder: null });
+
+    const promise = queryLights(platform);
+    platform.fireTimeout(QUERY_RETRY_MS);
+    platform.fireTimeout(QUERY_TIMEOUT_MS);
+
+    expect(await promise).toEqual([]);
+    expect(platform.socket.sent).toHaveLength(2);
+    expect(platform.socket.sent[1].questions[0].type).toBe(RecordType.PTR);
+  });
+
+  it("ignores queries and malformed packets from other hosts", async () => {
+    const platform = createMockPlatform({ responder: null });
+
+    const promise = queryLights(platform);
+    platform.socket.deliver(Uint8Array.from([1, 2, 3]));
+    // Not flagged as a response
+    platform.socket.deliver(encodeMessage({ answers: ZONE }));
+    platform.fireTimeout(QUERY_TIMEOUT_MS);
+
+    expect(await promise).toEqual([]);
+  });
+
+  it("closes the socket and clears timeouts when done", async () => {
+    const platform = createMockPlatform({ responder: createResponder(ZONE) });
+
+    const promise = queryLights(platform);
+    platform.fireTimeout(QUERY_TIMEOUT_MS);
+    await promise;
+
+    expect(platform.socket.close).toHaveBeenCalledTimes(1);
+    expect(platform.pendingTimeouts()).toBe(0);
+  });
+
+  it("rejects when the socket can't be opened", async () => {
+    const platform = createMockPlatform({ openError: "Permission denied" });
+
+    await expect(queryLights(platform)).rejects.toThrow(
+      "Failed to open mDNS socket: Permission denied",
+    );
+    expect(platform.createTimeout).not.toHaveBeenCalled();
+  });
+
+  it("rejects and closes the socket when the query can't be sent", async () => {
+    const platform = createMockPlatform({ sendError: "Network is unreachable" });
+
+    await expect(queryLights(platform)).rejects.toThrow(
+      "Failed to send mDNS query: Network is unreachable",
+    );
+    expect(platform.socket.close).toHaveBeenCalledTimes(1);
+  });
+});
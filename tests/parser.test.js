@@ -2,8 +2,25 @@
  * Unit tests for parser utilities.
  */
 
-import { describe, it, expect } from "vitest";
-import { isValidLightConfig, parseCachedLights } from "../lib/parser.js";
+import { describe, it, expect, vi } from "vitest";
+import {
+  isValidLightConfig,
+  parseCachedLights,
+  normalizeDisplayName,
+  getLightId,
+  isSameLight,
+  mergeLightConfig,
+  reconcileLights,
+  mergeDiscoveredLights,
+  updateLightConfig,
+  removeLightConfig,
+  mergeStoredLights,
+  DEFAULT_MAX_MISSED_DISCOVERIES,
+  parseManualAddress,
+  ManualAddressError,
+  DEFAULT_PORT,
+} from "../lib/parser.js";
+import { addIgnoredLight, removeIgnoredLight } from "../lib/ignoreList.js";
 
 describe("isValidLightConfig", () => {
   it("returns true for valid config", () => {
@@ -37,6 +54,24 @@ describe("isValidLightConfig", () => {
     expect(isValidLightConfig({ name: "Test", host: "", port: 9123 })).toBe(false);
   });
 
+  it("validates the host", () => {
+    const base = { name: "Test", port: 9123 };
+    expect(isValidLightConfig({ ...base, host: "key-light.local" })).toBe(true);
+    expect(isValidLightConfig({ ...base, host: "fd00::1" })).toBe(true);
+    expect(isValidLightConfig({ ...base, host: "fe80::1%3" })).toBe(true);
+    expect(isValidLightConfig({ ...base, host: "fe80::1%3%4" })).toBe(false);
+    expect(isValidLightConfig({ ...base, host: "key light" })).toBe(false);
+    expect(isValidLightConfig({ ...base, host: 42 })).toBe(false);
+  });
+
+  it("validates the addresses to fall back to", () => {
+    const base = { name: "Test", host: "192.168.1.100", port: 9123 };
+    expect(isValidLightConfig({ ...base, addresses: ["192.168.1.100", "fe80::1%3"] })).toBe(true);
+    expect(isValidLightConfig({ ...base, addresses: [] })).toBe(true);
+    expect(isValidLightConfig({ ...base, addresses: "192.168.1.100" })).toBe(false);
+    expect(isValidLightConfig({ ...base, addresses: ["key light"] })).toBe(false);
+  });
+
   it("returns false for invalid port", () => {
     expect(isValidLightConfig({ name: "Test", host: "192.168.1.100", port: 0 })).toBe(false);
     expect(isValidLightConfig({ name: "Test", host: "192.168.1.100", port: -1 })).toBe(false);
@@ -50,6 +85,43 @@ describe("isValidLightConfig", () => {
     ).toBe(false);
   });
 
+  it("accepts optional string or null identifiers", () => {
+    const base = { name: "Test", host: "192.168.1.100", port: 9123 };
+    expect(isValidLightConfig({ ...base, id: "3C:6A:9D:12:34:56", serialNumber: null })).toBe(true);
+    expect(isValidLightConfig({ ...base, id: 42 })).toBe(false);
+    expect(isValidLightConfig({ ...base, serialNumber: {} })).toBe(false);
+  });
+
+  it("accepts an optional boolean pinned flag", () => {
+    const base = { name: "Test", host: "192.168.1.100", port: 9123 };
+    expect(isValidLightConfig({ ...base, pinned: true })).toBe(true);
+    expect(isValidLightConfig({ ...base, pinned: "yes" })).toBe(false);
+  });
+
+  it("accepts an optional non-negative missedDiscoveries count", () => {
+    const base = { name: "Test", host: "192.168.1.100", port: 9123 };
+    expect(isValidLightConfig({ ...base, missedDiscoveries: 2 })).toBe(true);
+    expect(isValidLightConfig({ ...base, missedDiscoveries: -1 })).toBe(false);
+    expect(isValidLightConfig({ ...base, missedDiscoveries: 1.5 })).toBe(false);
+  });
+
+  it("accepts the optional local settings and accessory details", () => {
+    const base = { name: "Test", host: "192.168.1.100", port: 9123 };
+    expect(
+      isValidLightConfig({
+        ...base,
+        alias: "Desk",
+        firmwareVersion: "1.0.3",
+        lastSeen: 1760000000000,
+      }),
+    ).toBe(true);
+    expect(isValidLightConfig({ ...base, alias: null, lastSeen: null })).toBe(true);
+    expect(isValidLightConfig({ ...base, alias: 1 })).toBe(false);
+    expect(isValidLightConfig({ ...base, firmwareVersion: 103 })).toBe(false);
+    expect(isValidLightConfig({ ...base, lastSeen: "yesterday" })).toBe(false);
+    expect(isValidLightConfig({ ...base, lastSeen: -1 })).toBe(false);
+  });
+
   it("accepts valid port range (1-65535)", () => {
     expect(isValidLightConfig({ name: "Test", host: "192.168.1.100", port: 1 })).toBe(true);
     expect(isValidLightConfig({ name: "Test", host: "192.168.1.100", port: 65535 })).toBe(true);
@@ -95,10 +167,362 @@ describe("parseCachedLights", () => {
       null, // invalid
       { name: "Valid 2", host: "192.168.1.103", port: 9123 },
     ]);
+    const consoleSpy = vi.spyOn(console, "error").mockImplementation(() => {});
     const result = parseCachedLights(json);
 
     expect(result).toHaveLength(2);
     expect(result[0].name).toBe("Valid");
     expect(result[1].name).toBe("Valid 2");
+    consoleSpy.mockRestore();
+  });
+
+  it("logs the entries it drops", () => {
+    const json = JSON.stringify([{ name: "Bad host", host: "key light", port: 9123 }]);
+    const consoleSpy = vi.spyOn(console, "error").mockImplementation(() => {});
+
+    expect(parseCachedLights(json)).toEqual([]);
+    expect(consoleSpy).toHaveBeenCalledWith(
+      expect.stringContaining("[ElgatoLights] Dropping invalid cached light"),
+    );
+    expect(consoleSpy).toHaveBeenCalledWith(expect.stringContaining("key light"));
+    consoleSpy.mockRestore();
+  });
+});
+
+describe("normalizeDisplayName", () => {
+  it("trims surrounding whitespace", () => {
+    expect(normalizeDisplayName("  Desk Left  ")).toBe("Desk Left");
+  });
+
+  it("returns null for empty or whitespace-only names", () => {
+    expect(normalizeDisplayName("")).toBeNull();
+    expect(normalizeDisplayName("   ")).toBeNull();
+  });
+
+  it("returns null for non-string values", () => {
+    expect(normalizeDisplayName(null)).toBeNull();
+    expect(normalizeDisplayName(42)).toBeNull();
+  });
+});
+
+describe("getLightId", () => {
+  it("prefers the device id", () => {
+    expect(getLightId({ id: "3c:6a:9d:12:34:56", serialNumber: "BW33J1A02213" })).toBe(
+      "id:3C:6A:9D:12:34:56",
+    );
+  });
+
+  it("falls back to the serial number", () => {
+    expect(getLightId({ id: null, serialNumber: "BW33J1A02213" })).toBe("serial:BW33J1A02213");
+  });
+
+  it("returns null without identifiers", () => {
+    expect(getLightId({ host: "192.168.1.100", port: 9123 })).toBeNull();
+  });
+});
+
+describe("isSameLight", () => {
+  it("matches by device id regardless of address and case", () => {
+    expect(
+      isSameLight(
+        { id: "3C:6A:9D:12:34:56", host: "192.168.1.100", port: 9123 },
+        { id: "3c:6a:9d:12:34:56", host: "192.168.1.150", port: 9123 },
+      ),
+    ).toBe(true);
+  });
+
+  it("does not match different devices that took over an address", () => {
+    expect(
+      isSameLight(
+        { id: "AA:AA:AA:AA:AA:AA", host: "192.168.1.100", port: 9123 },
+        { id: "BB:BB:BB:BB:BB:BB", host: "192.168.1.100", port: 9123 },
+      ),
+    ).toBe(false);
+  });
+
+  it("matches by serial number when a device id is missing", () => {
+    expect(
+      isSameLight(
+        { id: "3C:6A:9D:12:34:56", serialNumber: "BW33J1A02213", host: "a", port: 9123 },
+        { serialNumber: "BW33J1A02213", host: "b", port: 9123 },
+      ),
+    ).toBe(true);
+  });
+
+  it("falls back to the address without identifiers", () => {
+    expect(isSameLight({ host: "a", port: 9123 }, { id: "X", host: "a", port: 9123 })).toBe(true);
+    expect(isSameLight({ host: "a", port: 9123 }, { host: "a", port: 9124 })).toBe(false);
+  });
+});
+
+describe("mergeLightConfig", () => {
+  it("takes the new address and keeps known identifiers", () => {
+    const existing = {
+      name: "Key Light",
+      host: "192.168.1.100",
+      port: 9123,
+      id: "3C:6A:9D:12:34:56",
+      serialNumber: "BW33J1A02213",
+    };
+    const update = { name: "Key Light", host: "192.168.1.150", port: 9123, id: null };
+
+    expect(mergeLightConfig(existing, update)).toEqual({
+      ...existing,
+      host: "192.168.1.150",
+    });
+  });
+});
+
+describe("reconcileLights", () => {
+  const known = [
+    { name: "Left", host: "192.168.1.100", port: 9123, id: "AA", serialNumber: "S1", extra: 1 },
+  ];
+
+  it("updates the address of a known light instead of adding a new one", () => {
+    const result = reconcileLights(known, [
+      { name: "Left", host: "192.168.1.150", port: 9123, id: "AA" },
+    ]);
+
+    expect(result).toEqual([
+      { name: "Left", host: "192.168.1.150", port: 9123, id: "AA", serialNumber: "S1", extra: 1 },
+    ]);
+  });
+
+  it("adds unknown lights and drops lights that were not discovered", () => {
+    const result = reconcileLights(known, [
+      { name: "Right", host: "192.168.1.101", port: 9123, id: "BB" },
+    ]);
+
+    expect(result).toEqual([{ name: "Right", host: "192.168.1.101", port: 9123, id: "BB" }]);
+  });
+
+  it("keeps pinned lights that were not discovered", () => {
+    const pinned = { name: "Office", host: "10.0.5.20", port: 9123, pinned: true };
+    const result = reconcileLights([...known, pinned], []);
+
+    expect(result).toEqual([pinned]);
+  });
+
+  it("keeps the pinned flag when a pinned light is discovered", () => {
+    const pinned = { name: "Office", host: "10.0.5.20", port: 9123, id: "CC", pinned: true };
+    const result = reconcileLights(
+      [pinned],
+      [{ name: "Office", host: "10.0.5.21", port: 9123, id: "CC" }],
+    );
+
+    expect(result).toEqual([{ ...pinned, host: "10.0.5.21" }]);
+  });
+
+  it("collapses several addresses of the same device", () => {
+    const result = reconcileLights(
+      [],
+      [
+        { name: "Left", host: "192.168.1.100", port: 9123, id: "AA" },
+        { name: "Left", host: "fe80::1", port: 9123, id: "AA" },
+      ],
+    );
+
+    expect(result).toHaveLength(1);
+    expect(result[0].host).toBe("192.168.1.100");
+  });
+});
+
+describe("mergeDiscoveredLights", () => {
+  const left = { name: "Left", host: "192.168.1.100", port: 9123, id: "AA" };
+  const right = { name: "Right", host: "192.168.1.101", port: 9123, id: "BB" };
+
+  it("confirms discovered lights and updates their address", () => {
+    const result = mergeDiscoveredLights(
+      [{ ...left, missedDiscoveries: 2 }],
+      [{ ...left, host: "192.168.1.150" }],
+    );
+
+    expect(result).toEqual([{ ...left, host: "192.168.1.150", missedDiscoveries: 0 }]);
+  });
+
+  it("adds new lights and keeps missed lights as unconfirmed", () => {
+    const result = mergeDiscoveredLights([left], [right]);
+
+    expect(result).toEqual([
+      { ...right, missedDiscoveries: 0 },
+      { ...left, missedDiscoveries: 1 },
+    ]);
+  });
+
+  it("drops a light once it has been missed by more than maxMissed discoveries", () => {
+    let lights = [left];
+    for (let i = 1; i <= DEFAULT_MAX_MISSED_DISCOVERIES; i++) {
+      lights = mergeDiscoveredLights(lights, []);
+      expect(lights).toEqual([{ ...left, missedDiscoveries: i }]);
+    }
+
+    expect(mergeDiscoveredLights(lights, [])).toEqual([]);
+  });
+
+  it("drops missed lights on the first miss when maxMissed is 0", () => {
+    expect(mergeDiscoveredLights([left], [right], 0)).toEqual([{ ...right, missedDiscoveries: 0 }]);
+  });
+
+  it("tolerates a single miss when maxMissed is 1", () => {
+    const lights = mergeDiscoveredLights([left], [right], 1);
+    expect(lights).toEqual([
+      { ...right, missedDiscoveries: 0 },
+      { ...left, missedDiscoveries: 1 },
+    ]);
+
+    expect(mergeDiscoveredLights(lights, [right], 1)).toEqual([{ ...right, missedDiscoveries: 0 }]);
+  });
+
+  it("keeps hidden lights as they are, so unhiding restores them", () => {
+    const manual = { ...left, host: "10.0.5.20", alias: "Desk", pinned: true };
+    const ignored = addIgnoredLight([], manual, "Desk");
+
+    const merged = mergeDiscoveredLights([manual, right], [right, left], 0, ignored);
+    expect(merged).toEqual([{ ...right, missedDiscoveries: 0 }, manual]);
+
+    const unhidden = removeIgnoredLight(ignored, manual);
+    expect(mergeDiscoveredLights(merged, [right], 0, unhidden)).toEqual([
+      { ...right, missedDiscoveries: 0 },
+      manual,
+    ]);
+  });
+
+  it("keeps pinned lights without counting misses", () => {
+    const pinned = { ...left, pinned: true };
+
+    expect(mergeDiscoveredLights([pinned], [], 0)).toEqual([pinned]);
+  });
+});
+
+describe("updateLightConfig", () => {
+  const left = { name: "Left", host: "192.168.1.100", port: 9123, id: "AA" };
+  const right = { name: "Right", host: "192.168.1.101", port: 9123, id: "BB" };
+
+  it("changes the matching light only", () => {
+    const lights = [left, right];
+    const result = updateLightConfig(
+      lights,
+      { ...right, host: "192.168.1.150" },
+      { alias: "Desk" },
+    );
+
+    expect(result).toEqual([left, { ...right, alias: "Desk" }]);
+    expect(lights[1]).toEqual(right);
+  });
+
+  it("leaves the list unchanged when the light is unknown", () => {
+    expect(updateLightConfig([left], right, { alias: "Desk" })).toEqual([left]);
+  });
+});
+
+describe("removeLightConfig", () => {
+  it("removes the matching light", () => {
+    const left = { name: "Left", host: "192.168.1.100", port: 9123 };
+    const right = { name: "Right", host: "192.168.1.101", port: 9123 };
+
+    expect(removeLightConfig([left, right], { ...left })).toEqual([right]);
+    expect(removeLightConfig([left], right)).toEqual([left]);
+  });
+});
+
+describe("mergeStoredLights", () => {
+  const left = { name: "Left", host: "192.168.1.100", port: 9123, id: "AA", lastSeen: 1000 };
+  const right = { name: "Right", host: "192.168.1.101", port: 9123, id: "BB", lastSeen: 1000 };
+
+  it("keeps fields changed in memory and takes fields changed in storage", () => {
+    const stored = [{ ...left, alias: "Desk" }, right];
+    const current = [{ ...left, lastSeen: 2000 }, right];
+
+    expect(mergeStoredLights([left, right], stored, current)).toEqual([
+      { ...left, alias: "Desk", lastSeen: 2000 },
+      right,
+    ]);
+  });
+
+  it("drops lights forgotten in storage", () => {
+    expect(mergeStoredLights([left, right], [left], [left, { ...right, lastSeen: 2000 }])).toEqual([
+      left,
+    ]);
+  });
+
+  it("keeps lights added on either side", () => {
+    const added = { name: "Manual", host: "10.0.5.20", port: 9123, pinned: true };
+
+    expect(mergeStoredLights([left], [left, added], [left, right])).toEqual([left, right, added]);
+  });
+
+  it("doesn't bring back lights removed in memory", () => {
+    expect(mergeStoredLights([left, right], [left, right], [left])).toEqual([left]);
+  });
+});
+
+describe("parseManualAddress", () => {
+  const invalid = { error: ManualAddressError.INVALID };
+
+  it("parses an IPv4 address with the default port", () => {
+    expect(parseManualAddress("192.168.10.5")).toEqual({
+      host: "192.168.10.5",
+      port: DEFAULT_PORT,
+    });
+  });
+
+  it("parses an address with a port", () => {
+    expect(parseManualAddress("192.168.10.5:9124")).toEqual({ host: "192.168.10.5", port: 9124 });
+  });
+
+  it("parses hostnames", () => {
+    expect(parseManualAddress("key-light.local")).toEqual({ host: "key-light.local", port: 9123 });
+    expect(parseManualAddress("keylight:80")).toEqual({ host: "keylight", port: 80 });
+  });
+
+  it("parses IPv6 addresses, bracketed when a port is given", () => {
+    expect(parseManualAddress("fd00::1")).toEqual({ host: "fd00::1", port: 9123 });
+    expect(parseManualAddress("[fd00::1]:9124")).toEqual({ host: "fd00::1", port: 9124 });
+    expect(parseManualAddress("[fe80::1%eth0]")).toEqual({ host: "fe80::1%eth0", port: 9123 });
+    expect(parseManualAddress("[fe80::1%25eth0]:9123")).toEqual({
+      host: "fe80::1%eth0",
+      port: 9123,
+    });
+  });
+
+  it("decodes the %25 zone separator, bracketed or not", () => {
+    const zoned = { host: "fe80::1%eth0", port: 9123 };
+
+    expect(parseManualAddress("fe80::1%25eth0")).toEqual(zoned);
+    expect(parseManualAddress("[fe80::1%25eth0]:9123")).toEqual(zoned);
+    expect(parseManualAddress("http://[fe80::1%25eth0]:9123/")).toEqual(zoned);
+    expect(parseManualAddress("fe80::1%25eth%250")).toEqual(invalid);
+  });
+
+  it("ignores surrounding whitespace, a http:// prefix and a trailing slash", () => {
+    expect(parseManualAddress("  http://192.168.10.5:9123/ ")).toEqual({
+      host: "192.168.10.5",
+      port: 9123,
+    });
+  });
+
+  it("rejects link-local IPv6 addresses without a zone", () => {
+    const linkLocal = { error: ManualAddressError.LINK_LOCAL_WITHOUT_ZONE };
+
+    expect(parseManualAddress("fe80::1")).toEqual(linkLocal);
+    expect(parseManualAddress("[fe80::1]:9123")).toEqual(linkLocal);
+    expect(parseManualAddress("[febf::1]")).toEqual(linkLocal);
+  });
+
+  it("rejects invalid ports", () => {
+    expect(parseManualAddress("192.168.10.5:0")).toEqual(invalid);
+    expect(parseManualAddress("192.168.10.5:70000")).toEqual(invalid);
+    expect(parseManualAddress("192.168.10.5:abc")).toEqual(invalid);
+    expect(parseManualAddress("192.168.10.5:")).toEqual(invalid);
+  });
+
+  it("rejects invalid hosts", () => {
+    expect(parseManualAddress("")).toEqual(invalid);
+    expect(parseManualAddress("256.1.1.1")).toEqual(invalid);
+    expect(parseManualAddress("192.168.1")).toEqual(invalid);
+    expect(parseManualAddress("key light")).toEqual(invalid);
+    expect(parseManualAddress("-bad.local")).toEqual(invalid);
+    expect(parseManualAddress("[not-ipv6]:9123")).toEqual(invalid);
+    expect(parseManualAddress(null)).toEqual(invalid);
   });
 });
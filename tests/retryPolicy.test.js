@@ -0,0 +1,174 @@
+/**
+ * Unit tests for retry policy and circuit breaker.
+ */
+
+import { describe, it, expect } from "vitest";
+import {
+  createRetryPolicy,
+  getRetryDelay,
+  CircuitBreaker,
+  CircuitState,
+  DEFAULT_RETRY_POLICY,
+} from "../lib/retryPolicy.js";
+
+describe("createRetryPolicy", () => {
+  it("returns defaults when no options are given", () => {
+    expect(createRetryPolicy()).toEqual(DEFAULT_RETRY_POLICY);
+  });
+
+  it("overrides given values", () => {
+    const policy = createRetryPolicy({ maxAttempts: 5, baseDelayMs: 100, jitter: 0 });
+    expect(policy.maxAttempts).toBe(5);
+    expect(policy.baseDelayMs).toBe(100);
+    expect(policy.jitter).toBe(0);
+    expect(policy.maxDelayMs).toBe(DEFAULT_RETRY_POLICY.maxDelayMs);
+  });
+
+  it("clamps out-of-range values and ignores non-numbers", () => {
+    const policy = createRetryPolicy({
+      maxAttempts: 0,
+      jitter: 3,
+      cooldownMs: "soon",
+      failureThreshold: -1,
+    });
+    expect(policy.maxAttempts).toBe(1);
+    expect(policy.jitter).toBe(1);
+    expect(policy.cooldownMs).toBe(DEFAULT_RETRY_POLICY.cooldownMs);
+    expect(policy.failureThreshold).toBe(0);
+  });
+
+  it("never lets maxDelayMs drop below baseDelayMs", () => {
+    const policy = createRetryPolicy({ baseDelayMs: 2000, maxDelayMs: 1000 });
+    expect(policy.maxDelayMs).toBe(2000);
+  });
+});
+
+describe("getRetryDelay", () => {
+  const policy = createRetryPolicy({ baseDelayMs: 500, maxDelayMs: 3000, jitter: 0 });
+
+  it("doubles the delay with each retry", () => {
+    expect(getRetryDelay(policy, 0)).toBe(500);
+    expect(getRetryDelay(policy, 1)).toBe(1000);
+    expect(getRetryDelay(policy, 2)).toBe(2000);
+  });
+
+  it("caps the delay at maxDelayMs", () => {
+    expect(getRetryDelay(policy, 3)).toBe(3000);
+    expect(getRetryDelay(policy, 10)).toBe(3000);
+  });
+
+  it("randomizes the jitter fraction of the delay", () => {
+    const jittery = createRetryPolicy({ baseDelayMs: 1000, jitter: 0.5 });
+    expect(getRetryDelay(jittery, 0, () => 0)).toBe(500);
+    expect(getRetryDelay(jittery, 0, () => 0.5)).toBe(750);
+    expect(getRetryDelay(jittery, 0, () => 0.999)).toBe(1000);
+  });
+});
+
+describe("CircuitBreaker", () => {
+  /**
+   * Creates a breaker with a controllable clock.
+   *
+   * @param {Object} options - Retry policy overrides
+   * @returns {{breaker: CircuitBreaker, clock: {now: number}}}
+   */
+  function createBreaker(options = {}) {
+    const clock = { now: 0 };
+    const breaker = new CircuitBreaker(
+      createRetryPolicy({ failureThreshold: 2, cooldownMs: 1000, ...options }),
+      () => clock.now,
+    );
+    return { breaker, clock };
+  }
+
+  it("starts closed and allows requests", () => {
+    const { breaker } = createBreaker();
+    expect(breaker.state).toBe(CircuitState.CLOSED);
+    expect(breaker.canRequest()).toBe(true);
+  });
+
+  it("opens after the failure threshold and fails fast", () => {
+    const { breaker } = createBreaker();
+    breaker.recordFailure();
+    expect(breaker.state).toBe(CircuitState.CLOSED);
+    breaker.recordFailure();
+    expect(breaker.state).toBe(CircuitState.OPEN);
+    expect(breaker.canRequest()).toBe(false);
+  });
+
+  it("resets the failure count on success", () => {
+    const { breaker } = createBreaker();
+    breaker.recordFailure();
+    breaker.recordSuccess();
+    breaker.recordFailure();
+    expect(breaker.state).toBe(CircuitState.CLOSED);
+  });
+
+  it("lets a single probe through after the cooldown", () => {
+    const { breaker, clock } = createBreaker();
+    breaker.recordFailure();
+    breaker.recordFailure();
+
+    clock.now = 999;
+    expect(breaker.canRequest()).toBe(false);
+
+    clock.now = 1000;
+    expect(breaker.canRequest()).toBe(true);
+    expect(breaker.state).toBe(CircuitState.HALF_OPEN);
+    expect(breaker.canRequest()).toBe(false);
+  });
+
+  it("closes when the probe succeeds", () => {
+    const { breaker, clock } = createBreaker();
+    breaker.recordFailure();
+    breaker.recordFailure();
+    clock.now = 1000;
+    breaker.canRequest();
+
+    breaker.recordSuccess();
+    expect(breaker.state).toBe(CircuitState.CLOSED);
+    expect(breaker.canRequest()).toBe(true);
+  });
+
+  it("re-opens when the probe fails", () => {
+    const { breaker, clock } = createBreaker();
+    breaker.recordFailure();
+    breaker.recordFailure();
+    clock.now = 1000;
+    breaker.canRequest();
+
+    breaker.recordFailure();
+    expect(breaker.state).toBe(CircuitState.OPEN);
+    clock.now = 1500;
+    expect(breaker.canRequest()).toBe(false);
+    clock.now = 2000;
+    expect(breaker.canRequest()).toBe(true);
+  });
+
+  it("never opens when the threshold is 0", () => {
+    const { breaker } = createBreaker({ failureThreshold: 0 });
+    for (let i = 0; i < 10; i++) {
+      breaker.recordFailure();
+    }
+    expect(breaker.state).toBe(CircuitState.CLOSED);
+    expect(breaker.canRequest()).toBe(true);
+  });
+
+  it("reset() closes an open circuit", () => {
+    const { breaker } = createBreaker();
+    breaker.recordFailure();
+    breaker.recordFailure();
+    breaker.reset();
+    expect(breaker.state).toBe(CircuitState.CLOSED);
+    expect(breaker.canRequest()).toBe(true);
+    breaker.recordFailure();
+    expect(breaker.state).toBe(CircuitState.CLOSED);
+  });
+
+  it("applies new thresholds from configure()", () => {
+    const { breaker } = createBreaker();
+    breaker.configure(createRetryPolicy({ failureThreshold: 1, cooldownMs: 1000 }));
+    breaker.recordFailure();
+    expect(breaker.state).toBe(CircuitState.OPEN);
+  });
+});
@@ -0,0 +1,158 @@
+/**
+ * Unit tests for subnet scan utilities.
+ */
+
+/* global setTimeout */
+
+import { describe, it, expect } from "vitest";
+import {
+  parseInterfaceAddresses,
+  getSubnetHosts,
+  getScanTargets,
+  lightFromAccessoryInfo,
+  mapWithConcurrency,
+} from "../lib/subnet.js";
+
+/** Trimmed output of `ip -j -4 addr` on a laptop with Wi-Fi and Docker. */
+const IP_ADDR_OUTPUT = JSON.stringify([
+  {
+    ifname: "lo",
+    flags: ["LOOPBACK", "UP", "LOWER_UP"],
+    addr_info: [{ family: "inet", local: "127.0.0.1", prefixlen: 8, scope: "host" }],
+  },
+  {
+    ifname: "wlp2s0",
+    flags: ["BROADCAST", "MULTICAST", "UP", "LOWER_UP"],
+    addr_info: [
+      { family: "inet", local: "192.168.1.23", prefixlen: 24, scope: "global" },
+      { family: "inet", local: "169.254.10.1", prefixlen: 16, scope: "link" },
+    ],
+  },
+  {
+    ifname: "docker0",
+    flags: ["NO-CARRIER", "BROADCAST", "MULTICAST"],
+    addr_info: [{ family: "inet", local: "172.17.0.1", prefixlen: 16, scope: "global" }],
+  },
+]);
+
+describe("parseInterfaceAddresses", () => {
+  it("returns global addresses of interfaces that are up", () => {
+    expect(parseInterfaceAddresses(IP_ADDR_OUTPUT)).toEqual([
+      { iface: "wlp2s0", address: "192.168.1.23", prefixLength: 24 },
+    ]);
+  });
+
+  it("returns an empty array for invalid output", () => {
+    expect(parseInterfaceAddresses("")).toEqual([]);
+    expect(parseInterfaceAddresses("{}")).toEqual([]);
+    expect(parseInterfaceAddresses("[null, {}]")).toEqual([]);
+  });
+});
+
+describe("getSubnetHosts", () => {
+  it("lists the hosts of a /24 without network, broadcast and own address", () => {
+    const hosts = getSubnetHosts("192.168.1.23", 24);
+
+    expect(hosts).toHaveLength(253);
+    expect(hosts[0]).toBe("192.168.1.1");
+    expect(hosts[hosts.length - 1]).toBe("192.168.1.254");
+    expect(hosts).not.toContain("192.168.1.23");
+  });
+
+  it("lists the hosts of a smaller subnet", () => {
+    expect(getSubnetHosts("10.0.0.5", 29)).toEqual([
+      "10.0.0.1",
+      "10.0.0.2",
+      "10.0.0.3",
+      "10.0.0.4",
+      "10.0.0.6",
+    ]);
+  });
+
+  it("narrows large subnets to the /24 around the address", () => {
+    const hosts = getSubnetHosts("10.20.30.40", 16);
+
+    expect(hosts).toHaveLength(253);
+    expect(hosts[0]).toBe("10.20.30.1");
+  });
+
+  it("returns nothing for point-to-point and invalid addresses", () => {
+    expect(getSubnetHosts("10.0.0.1", 31)).toEqual([]);
+    expect(getSubnetHosts("10.0.0.1", 32)).toEqual([]);
+    expect(getSubnetHosts("10.0.0.256", 24)).toEqual([]);
+  });
+});
+
+describe("getScanTargets", () => {
+  it("merges subnets and skips local addresses", () => {
+    const targets = getScanTargets([
+      { address: "10.0.0.5", prefixLength: 29 },
+      { address: "10.0.0.3", prefixLength: 29 },
+    ]);
+
+    expect(targets).toEqual(["10.0.0.1", "10.0.0.2", "10.0.0.4", "10.0.0.6"]);
+  });
+});
+
+describe("lightFromAccessoryInfo", () => {
+  it("builds a light object from an Elgato response", () => {
+    const light = lightFromAccessoryInfo("192.168.1.50", 9123, {
+      productName: "Elgato Key Light",
+      displayName: "Desk",
+      serialNumber: "BW33J1A02213",
+    });
+
+    expect(light).toEqual({
+      name: "Desk",
+      host: "192.168.1.50",
+      addresses: ["192.168.1.50"],
+      port: 9123,
+      hostname: null,
+      id: null,
+      model: "Elgato Key Light",
+      protocolVersion: null,
+      deviceType: null,
+      manufacturer: null,
+      serialNumber: "BW33J1A02213",
+    });
+  });
+
+  it("falls back to the product name without a display name", () => {
+    expect(lightFromAccessoryInfo("h", 9123, { productName: "Elgato Key Light" }).name).toBe(
+      "Elgato Key Light",
+    );
+  });
+
+  it("rejects responses that are not from an Elgato light", () => {
+    expect(lightFromAccessoryInfo("h", 9123, null)).toBeNull();
+    expect(lightFromAccessoryInfo("h", 9123, { status: "ok" })).toBeNull();
+  });
+});
+
+describe("mapWithConcurrency", () => {
+  it("keeps the order of the results", async () => {
+    const results = await mapWithConcurrency([3, 1, 2], 2, async (n) => {
+      await new Promise((resolve) => setTimeout(resolve, n));
+      return n * 10;
+    });
+
+    expect(results).toEqual([30, 10, 20]);
+  });
+
+  it("never runs more than the limit at once", async () => {
+    let running = 0;
+    let maxRunning = 0;
+    await mapWithConcurrency(Array.from({ length: 10 }), 3, async () => {
+      running++;
+      maxRunning = Math.max(maxRunning, running);
+      await new Promise((resolve) => setTimeout(resolve, 1));
+      running--;
+    });
+
+    expect(maxRunning).toBe(3);
+  });
+
+  it("handles an empty list", async () => {
+    expect(await mapWithConcurrency([], 4, async () => 1)).toEqual([]);
+  });
+});
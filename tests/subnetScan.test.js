@@ -0,0 +1,122 @@
+/**
+ * Unit tests for the subnet scan discovery backend.
+ *
+ * Uses a mock platform so no processes are started and no network is used.
+ */
+
+import { describe, it, expect, vi } from "vitest";
+import { scanSubnets } from "../subnetScan.js";
+
+/**
+ * Creates a mock platform for dependency injection.
+ *
+ * @param {Object} options - Configuration options
+ * @param {Array<Object>} [options.interfaces] - `ip -j -4 addr` entries
+ * @param {Object<string, Object>} [options.lights] - Accessory info by host
+ * @param {string} [options.ipError] - Error thrown when listing interfaces
+ * @returns {Object} Mock platform object
+ */
+function createMockPlatform(options = {}) {
+  const session = { abort: vi.fn() };
+  const lights = options.lights ?? {};
+
+  return {
+    session,
+    getInterfaceAddresses: vi.fn(async () => {
+      if (options.ipError) {
+        throw new Error(options.ipError);
+      }
+      return JSON.stringify(options.interfaces ?? []);
+    }),
+    createSession: vi.fn(() => session),
+    probeAccessoryInfo: vi.fn(async (_session, host) => lights[host] ?? null),
+  };
+}
+
+/**
+ * Builds an `ip -j -4 addr` entry for an interface that is up.
+ *
+ * @param {string} address - IPv4 address
+ * @param {number} prefixlen - Prefix length
+ * @returns {Object} Interface entry
+ */
+function iface(address, prefixlen) {
+  return {
+    ifname: "eth0",
+    flags: ["BROADCAST", "UP"],
+    addr_info: [{ family: "inet", local: address, prefixlen, scope: "global" }],
+  };
+}
+
+describe("scanSubnets", () => {
+  it("finds lights that answer the accessory-info probe", async () => {
+    const platform = createMockPlatform({
+      interfaces: [iface("10.0.0.5", 29)],
+      lights: {
+        "10.0.0.2": { productName: "Elgato Key Light", displayName: "Desk" },
+        "10.0.0.3": { hello: "world" },
+      },
+    });
+
+    const result = await scanSubnets(platform);
+
+    expect(result).toHaveLength(1);
+    expect(result[0]).toMatchObject({ name: "Desk", host: "10.0.0.2", port: 9123 });
+  });
+
+  it("probes every host of the subnet on the given port", async () => {
+    const platform = createMockPlatform({ interfaces: [iface("10.0.0.5", 29)] });
+
+    await scanSubnets(platform, { port: 9124 });
+
+    const probed = platform.probeAccessoryInfo.mock.calls.map((call) => [call[1], call[2]]);
+    expect(probed).toEqual([
+      ["10.0.0.1", 9124],
+      ["10.0.0.2", 9124],
+      ["10.0.0.3", 9124],
+      ["10.0.0.4", 9124],
+      ["10.0.0.6", 9124],
+    ]);
+  });
+
+  it("limits the number of probes in flight", async () => {
+    let running = 0;
+    let maxRunning = 0;
+    const platform = createMockPlatform({ interfaces: [iface("10.0.0.5", 24)] });
+    platform.probeAccessoryInfo = vi.fn(async () => {
+      running++;
+      maxRunning = Math.max(maxRunning, running);
+      await Promise.resolve();
+      running--;
+      return null;
+    });
+
+    await scanSubnets(platform, { concurrency: 4 });
+
+    expect(platform.probeAccessoryInfo).toHaveBeenCalledTimes(253);
+    expect(maxRunning).toBe(4);
+  });
+
+  it("aborts the session when done", async () => {
+    const platform = createMockPlatform({ interfaces: [iface("10.0.0.5", 29)] });
+
+    await scanSubnets(platform);
+
+    expect(platform.session.abort).toHaveBeenCalled();
+  });
+
+  it("returns no lights without usable interfaces", async () => {
+    const platform = createMockPlatform({ interfaces: [] });
+
+    expect(await scanSubnets(platform)).toEqual([]);
+    expect(platform.createSession).not.toHaveBeenCalled();
+  });
+
+  it("rejects when the interfaces can't be listed", async () => {
+    const platform = createMockPlatform({ ipError: "ip: not found" });
+
+    await expect(scanSubnets(platform)).rejects.toThrow(
+      "Failed to list network interfaces: ip: not found",
+    );
+  });
+});
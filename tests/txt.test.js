@@ -0,0 +1,87 @@
+/**
+ * Unit tests for mDNS TXT record utilities.
+ */
+
+import { describe, it, expect } from "vitest";
+import { decodeTxtRecords, parseElgatoTxt } from "../lib/txt.js";
+
+/**
+ * Encodes a string as a TXT byte array, as reported by Avahi.
+ *
+ * @param {string} text - TXT string
+ * @returns {Uint8Array} UTF-8 bytes
+ */
+function bytes(text) {
+  return new TextEncoder().encode(text);
+}
+
+describe("decodeTxtRecords", () => {
+  it("decodes byte arrays into key/value pairs", () => {
+    expect(decodeTxtRecords([bytes("mf=Elgato"), bytes("pv=1.0")])).toEqual({
+      mf: "Elgato",
+      pv: "1.0",
+    });
+  });
+
+  it("accepts plain number arrays and strings", () => {
+    expect(decodeTxtRecords([[105, 100, 61, 65], "md=Key Light"])).toEqual({
+      id: "A",
+      md: "Key Light",
+    });
+  });
+
+  it("lowercases keys and keeps the first occurrence", () => {
+    expect(decodeTxtRecords([bytes("MD=First"), bytes("md=Second")])).toEqual({ md: "First" });
+  });
+
+  it("keeps everything after the first = in the value", () => {
+    expect(decodeTxtRecords([bytes("md=a=b")])).toEqual({ md: "a=b" });
+  });
+
+  it("gives keys without = an empty value and skips empty keys", () => {
+    expect(decodeTxtRecords([bytes("flag"), bytes("=value"), bytes("")])).toEqual({ flag: "" });
+  });
+
+  it("decodes UTF-8 values", () => {
+    expect(decodeTxtRecords([bytes("md=Küche")])).toEqual({ md: "Küche" });
+  });
+
+  it("returns an empty object for invalid input", () => {
+    expect(decodeTxtRecords(null)).toEqual({});
+    expect(decodeTxtRecords([null, 42])).toEqual({});
+  });
+});
+
+describe("parseElgatoTxt", () => {
+  it("parses the fields advertised by Elgato lights", () => {
+    const result = parseElgatoTxt([
+      bytes("mf=Elgato"),
+      bytes("dt=53"),
+      bytes("id=3C:6A:9D:12:34:56"),
+      bytes("md=Elgato Key Light 20GAK9901"),
+      bytes("pv=1.0"),
+    ]);
+
+    expect(result).toEqual({
+      id: "3C:6A:9D:12:34:56",
+      model: "Elgato Key Light 20GAK9901",
+      protocolVersion: "1.0",
+      deviceType: 53,
+      manufacturer: "Elgato",
+    });
+  });
+
+  it("returns null for missing or empty fields", () => {
+    expect(parseElgatoTxt([bytes("id="), bytes("dt=abc")])).toEqual({
+      id: null,
+      model: null,
+      protocolVersion: null,
+      deviceType: null,
+      manufacturer: null,
+    });
+  });
+
+  it("handles an empty TXT record", () => {
+    expect(parseElgatoTxt([]).id).toBeNull();
+  });
+});
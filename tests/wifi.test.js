@@ -0,0 +1,66 @@
+/**
+ * Unit tests for Wi-Fi utilities.
+ */
+
+import { describe, it, expect } from "vitest";
+import { parseWifiInfo, getSignalLevel, formatWifiBand } from "../lib/wifi.js";
+
+describe("parseWifiInfo", () => {
+  it("returns null when no Wi-Fi details are reported", () => {
+    expect(parseWifiInfo(null)).toBeNull();
+    expect(parseWifiInfo({ productName: "Elgato Key Light" })).toBeNull();
+  });
+
+  it("parses Wi-Fi details and MAC address", () => {
+    expect(
+      parseWifiInfo({
+        productName: "Elgato Key Light",
+        macAddress: "3C:6A:9D:12:34:56",
+        "wifi-info": { ssid: "Office", frequencyMHz: 2400, rssi: -48 },
+      }),
+    ).toEqual({
+      ssid: "Office",
+      rssi: -48,
+      frequencyMHz: 2400,
+      macAddress: "3C:6A:9D:12:34:56",
+    });
+  });
+
+  it("keeps the MAC address when wifi-info is missing", () => {
+    expect(parseWifiInfo({ macAddress: "3C:6A:9D:12:34:56" })).toEqual({
+      ssid: null,
+      rssi: null,
+      frequencyMHz: null,
+      macAddress: "3C:6A:9D:12:34:56",
+    });
+  });
+});
+
+describe("getSignalLevel", () => {
+  it("maps RSSI to signal levels", () => {
+    expect(getSignalLevel(-40)).toBe("excellent");
+    expect(getSignalLevel(-50)).toBe("excellent");
+    expect(getSignalLevel(-55)).toBe("good");
+    expect(getSignalLevel(-65)).toBe("ok");
+    expect(getSignalLevel(-75)).toBe("weak");
+    expect(getSignalLevel(-90)).toBe("none");
+  });
+
+  it("returns none for unknown RSSI", () => {
+    expect(getSignalLevel(null)).toBe("none");
+    expect(getSignalLevel(undefined)).toBe("none");
+  });
+});
+
+describe("formatWifiBand", () => {
+  it("formats known bands", () => {
+    expect(formatWifiBand(2412)).toBe("2.4 GHz");
+    expect(formatWifiBand(5180)).toBe("5 GHz");
+    expect(formatWifiBand(5955)).toBe("6 GHz");
+  });
+
+  it("returns null for unknown frequencies", () => {
+    expect(formatWifiBand(null)).toBeNull();
+    expect(formatWifiBand(0)).toBeNull();
+  });
+});
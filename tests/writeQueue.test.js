@@ -0,0 +1,108 @@
+/**
+ * Unit tests for the coalescing write queue.
+ */
+
+import { describe, it, expect } from "vitest";
+import { WriteQueue } from "../lib/writeQueue.js";
+
+/**
+ * Creates an executor whose writes complete only when released by the test.
+ *
+ * @returns {{executor: Function, calls: Array, release: Function}}
+ */
+function createControlledExecutor() {
+  const calls = [];
+  const executor = (item) =>
+    new Promise((resolve, reject) => {
+      calls.push({ item, resolve, reject });
+    });
+  const release = async (index, result = true) => {
+    calls[index].resolve(result);
+    // Let the queue pick up the next batch
+    await Promise.resolve();
+    await Promise.resolve();
+  };
+  return { executor, calls, release };
+}
+
+const mergeObjects = (a, b) => ({ ...a, ...b });
+
+describe("WriteQueue", () => {
+  it("runs a single write immediately", async () => {
+    const { executor, calls, release } = createControlledExecutor();
+    const queue = new WriteQueue(executor, mergeObjects);
+
+    const promise = queue.push({ brightness: 10 });
+    expect(calls).toHaveLength(1);
+    expect(calls[0].item).toEqual({ brightness: 10 });
+    expect(queue.idle).toBe(false);
+
+    await release(0, "ok");
+    await expect(promise).resolves.toBe("ok");
+    expect(queue.idle).toBe(true);
+  });
+
+  it("runs only one write at a time", () => {
+    const { executor, calls } = createControlledExecutor();
+    const queue = new WriteQueue(executor, mergeObjects);
+
+    queue.push({ brightness: 10 });
+    queue.push({ brightness: 20 });
+    queue.push({ brightness: 30 });
+
+    expect(calls).toHaveLength(1);
+  });
+
+  it("coalesces waiting writes so the latest value wins", async () => {
+    const { executor, calls, release } = createControlledExecutor();
+    const queue = new WriteQueue(executor, mergeObjects);
+
+    const first = queue.push({ brightness: 10 });
+    const second = queue.push({ brightness: 20 });
+    const third = queue.push({ temperature: 200 });
+    const fourth = queue.push({ brightness: 30 });
+
+    expect(second).toBe(third);
+    expect(third).toBe(fourth);
+
+    await release(0, "first");
+    expect(calls).toHaveLength(2);
+    expect(calls[1].item).toEqual({ brightness: 30, temperature: 200 });
+
+    await release(1, "merged");
+    await expect(first).resolves.toBe("first");
+    await expect(fourth).resolves.toBe("merged");
+    expect(calls).toHaveLength(2);
+  });
+
+  it("rejects callers when the write throws and keeps draining", async () => {
+    const { executor, calls, release } = createControlledExecutor();
+    const queue = new WriteQueue(executor, mergeObjects);
+
+    const failing = queue.push({ brightness: 10 });
+    const next = queue.push({ brightness: 20 });
+
+    calls[0].reject(new Error("boom"));
+    await expect(failing).rejects.toThrow("boom");
+
+    await Promise.resolve();
+    expect(calls).toHaveLength(2);
+    await release(1, true);
+    await expect(next).resolves.toBe(true);
+  });
+
+  it("clear() drops the waiting write", async () => {
+    const { executor, calls, release } = createControlledExecutor();
+    const queue = new WriteQueue(executor, mergeObjects);
+
+    queue.push({ brightness: 10 });
+    const dropped = queue.push({ brightness: 20 });
+
+    queue.clear();
+    await expect(dropped).resolves.toBe(false);
+
+    await release(0);
+    expect(calls).toHaveLength(1);
+    expect(queue.idle).toBe(true);
+  });
+});
@@ -0,0 +1,211 @@
+/**
+ * "Add light manually" item for the Elgato Lights extension.
+ *
+ * Lets the user add a light by IP address or hostname, for networks where
+ * mDNS discovery cannot reach it (e.g. a separate VLAN).
+ */
+
+import GObject from "gi://GObject";
+import St from "gi://St";
+import Clutter from "gi://Clutter";
+
+import * as PopupMenu from "resource:///org/gnome/shell/ui/popupMenu.js";
+
+import { gettext as _ } from "resource:///org/gnome/shell/extensions/extension.js";
+
+import { parseManualAddress, ManualAddressError } from "../lib/parser.js";
+
+/**
+ * Menu item with an expandable address form for adding a light manually.
+ */
+const AddLightItem = GObject.registerClass(
+  class AddLightItem extends PopupMenu.PopupBaseMenuItem {
+    /**
+     * Creates a new AddLightItem.
+     *
+     * @param {Function} onSubmit - Called with (host, port) when the user adds a
+     *        light; resolves to an error message, or null if the light was added
+     */
+    _init(onSubmit) {
+      super._init({
+        activate: false,
+        can_focus: false,
+      });
+
+      this._onSubmit = onSubmit;
+      this._busy = false;
+
+      // Track signals for cleanup
+      this._signals = [];
+
+      // Flag to track destroyed state for async operation safety
+      this._destroyed = false;
+
+      const box = new St.BoxLayout({
+        vertical: true,
+        x_expand: true,
+        style_class: "elgato-add-light",
+      });
+      this.add_child(box);
+
+      // Button revealing the address form
+      this._expandButton = new St.Button({
+        style_class: "button elgato-settings-button",
+        can_focus: true,
+        x_align: Clutter.ActorAlign.START,
+        label: _("Add light manually…"),
+      });
+      this._signals.push({
+        obj: this._expandButton,
+        id: this._expandButton.connect("clicked", () => this._onExpandClicked()),
+      });
+      box.add_child(this._expandButton);
+
+      // Address form (hidden by default)
+      this._formBox = new St.BoxLayout({
+        style_class: "elgato-add-light-form",
+        visible: false,
+      });
+      box.add_child(this._formBox);
+
+      this._addressEntry = new St.Entry({
+        style_class: "elgato-name-entry",
+        hint_text: _("IP address or hostname[:port]"),
+        can_focus: true,
+        x_expand: true,
+      });
+      this._signals.push({
+        obj: this._addressEntry.clutter_text,
+        id: this._addressEntry.clutter_text.connect("activate", () => this._submit()),
+      });
+      this._signals.push({
+        obj: this._addressEntry.clutter_text,
+        id: this._addressEntry.clutter_text.connect("key-press-event", (_actor, event) => {
+          if (event.get_key_symbol() === Clutter.KEY_Escape) {
+            this._collapse();
+            return Clutter.EVENT_STOP;
+          }
+          return Clutter.EVENT_PROPAGATE;
+        }),
+      });
+      this._formBox.add_child(this._addressEntry);
+
+      this._addButton = new St.Button({
+        style_class: "button elgato-settings-button",
+        can_focus: true,
+        label: _("Add"),
+      });
+      this._signals.push({
+        obj: this._addButton,
+        id: this._addButton.connect("clicked", () => this._submit()),
+      });
+      this._formBox.add_child(this._addButton);
+
+      // Progress and error messages
+      this._statusLabel = new St.Label({
+        style_class: "elgato-add-light-status",
+        visible: false,
+      });
+      box.add_child(this._statusLabel);
+    }
+
+    /**
+     * Handles the expand button click - shows or hides the address form.
+     * @private
+     */
+    _onExpandClicked() {
+      if (this._formBox.visible) {
+        this._collapse();
+        return;
+      }
+
+      this._addressEntry.text = "";
+      this._formBox.visible = true;
+      this._addressEntry.grab_key_focus();
+    }
+
+    /**
+     * Hides the address form and any message.
+     * @private
+     */
+    _collapse() {
+      this._formBox.visible = false;
+      this._showStatus(null);
+    }
+
+    /**
+     * Shows a progress or error message below the form.
+     *
+     * @param {string|null} text - Message to show, or null to hide it
+     * @private
+     */
+    _showStatus(text) {
+      this._statusLabel.text = text ?? "";
+      this._statusLabel.visible = text !== null;
+    }
+
+    /**
+     * Validates the entered address and hands it to the submit callback.
+     * @private
+     */
+    async _submit() {
+      if (this._busy) {
+        return;
+      }
+
+      const address = parseManualAddress(this._addressEntry.text);
+      if (address.error === ManualAddressError.LINK_LOCAL_WITHOUT_ZONE) {
+        this._showStatus(
+          _("Add the network interface to link-local addresses, e.g. [fe80::1%wlp2s0]"),
+        );
+        return;
+      }
+      if (address.error) {
+        this._showStatus(_("Enter an IP address or hostname, optionally followed by :port"));
+        return;
+      }
+
+      this._busy = true;
+      this._addButton.reactive = false;
+      this._showStatus(_("Checking %s…").format(address.host));
+
+      try {
+        const error = await this._onSubmit(address.host, address.port);
+        if (this._destroyed) return;
+
+        if (error) {
+          this._showStatus(error);
+        } else {
+          this._collapse();
+        }
+      } catch (e) {
+        if (!this._destroyed) {
+          console.error(`[ElgatoLights] Failed to add light: ${e.message}`);
+          this._showStatus(_("Failed to add light"));
+        }
+      } finally {
+        this._busy = false;
+        if (!this._destroyed) {
+          this._addButton.reactive = true;
+        }
+      }
+    }
+
+    /**
+     * Cleans up resources when the item is destroyed.
+     */
+    destroy() {
+      // Mark as destroyed to stop in-flight async operations
+      this._destroyed = true;
+
+      // Disconnect tracked signals
+      for (const signal of this._signals) {
+        signal.obj.disconnect(signal.id);
+      }
+      this._signals = [];
+      super.destroy();
+    }
+  },
+);
+
+export { AddLightItem };
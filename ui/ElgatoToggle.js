@@ -7,23 +7,84 @@
  */
 
 import GObject from "gi://GObject";
+import GLib from "gi://GLib";
 import St from "gi://St";
 
+import * as Main from "resource:///org/gnome/shell/ui/main.js";
 import * as PopupMenu from "resource:///org/gnome/shell/ui/popupMenu.js";
 import * as QuickSettings from "resource:///org/gnome/shell/ui/quickSettings.js";
 
 import { gettext as _ } from "resource:///org/gnome/shell/extensions/extension.js";
 
-import { ElgatoLight } from "../elgatoApi.js";
-import { discoverLights, isAvahiAvailable } from "../discovery.js";
-import { parseCachedLights } from "../lib/parser.js";
+import { ElgatoLight, LightStatus, isBatteryLow, createRetryPolicy } from "../elgatoApi.js";
+import {
+  discoverLights,
+  watchLights,
+  isAvahiAvailable,
+  platformDefaults as avahiPlatform,
+} from "../discovery.js";
+import { queryLights } from "../mdnsQuerier.js";
+import { scanSubnets } from "../subnetScan.js";
+import {
+  parseCachedLights,
+  isSameLight,
+  reconcileLights,
+  mergeDiscoveredLights,
+  mergeStoredLights,
+} from "../lib/parser.js";
+import {
+  parseIgnoredLights,
+  isIgnoredLight,
+  filterIgnoredLights,
+  addIgnoredLight,
+  removeIgnoredLight,
+} from "../lib/ignoreList.js";
 
 import { getLightbulbIcon } from "./icons.js";
 import { LightControlItem } from "./LightControlItem.js";
+import { AddLightItem } from "./AddLightItem.js";
 
 /** GSettings key for cached light configurations. */
 const CACHED_LIGHTS_KEY = "cached-lights";
 
+/** Minimum time between saves of the lights' last seen times after polls. */
+const LAST_SEEN_SAVE_INTERVAL_MS = 5 * 60 * 1000;
+
+/** GSettings key for the lights the user hid. */
+const IGNORED_LIGHTS_KEY = "ignored-lights";
+
+/** GSettings key for the number of discoveries a cached light may be missed by. */
+const MAX_MISSED_DISCOVERIES_KEY = "max-missed-discoveries";
+
+/** GSettings keys for the discovery filters, mapped to discovery option fields. */
+const DISCOVERY_OPTION_KEYS = {
+  "discovery-interfaces": "interfaces",
+  "discovery-protocol": "protocol",
+  "discovery-domains": "domains",
+};
+
+/** GSettings key for the fade duration of on/off and applied values. */
+const FADE_DURATION_KEY = "fade-duration-ms";
+
+/** GSettings key for the spacing of the temperature sliders. */
+const TEMPERATURE_SCALE_KEY = "temperature-slider-scale";
+
+/** GSettings key for the refresh interval while the menu is closed. */
+const POLL_INTERVAL_KEY = "poll-interval-seconds";
+
+/** GSettings key for the refresh interval while the menu is open. */
+const POLL_INTERVAL_MENU_OPEN_KEY = "poll-interval-menu-open-seconds";
+
+/** GSettings keys making up the retry policy, mapped to retry policy fields. */
+const RETRY_POLICY_KEYS = {
+  "retry-max-attempts": "maxAttempts",
+  "retry-base-delay-ms": "baseDelayMs",
+  "retry-max-delay-ms": "maxDelayMs",
+  "retry-jitter": "jitter",
+  "circuit-breaker-threshold": "failureThreshold",
+  "circuit-breaker-cooldown-ms": "cooldownMs",
+};
+
 const ElgatoToggle = GObject.registerClass(
   class ElgatoToggle extends QuickSettings.QuickMenuToggle {
     /**
@@ -52,8 +113,68 @@ const ElgatoToggle = GObject.registerClass(
       this._lights = [];
       this._lightItems = [];
 
+      // Stored configurations of hidden lights, kept so unhiding restores
+      // their alias and pinned state
+      this._hiddenLightsData = [];
+
+      // Lights whose low battery has already been notified, so each low
+      // battery episode raises a single notification
+      this._lowBatteryNotified = new Set();
+
       // Track signal IDs for cleanup
       this._signalIds = [];
+      this._settingsSignalIds = [];
+
+      // Apply fade duration changes to existing lights
+      this._settingsSignalIds.push(
+        this._settings.connect(`changed::${FADE_DURATION_KEY}`, () => {
+          const fadeDurationMs = this._settings.get_int(FADE_DURATION_KEY);
+          for (const light of this._lights) {
+            light.setFadeDuration(fadeDurationMs);
+          }
+        }),
+      );
+
+      // Apply temperature slider spacing changes to existing items
+      this._settingsSignalIds.push(
+        this._settings.connect(`changed::${TEMPERATURE_SCALE_KEY}`, () => {
+          const temperatureScale = this._settings.get_string(TEMPERATURE_SCALE_KEY);
+          for (const item of this._lightItems) {
+            item.setTemperatureScale(temperatureScale);
+          }
+        }),
+      );
+
+      // Apply retry policy changes to existing lights
+      for (const key of Object.keys(RETRY_POLICY_KEYS)) {
+        this._settingsSignalIds.push(
+          this._settings.connect(`changed::${key}`, () => this._onRetryPolicyChanged()),
+        );
+      }
+
+      // Apply lights edited in the preferences (renamed, removed or added)
+      this._savedLightsJson = null;
+      this._lastSaveTime = 0;
+      this._settingsSignalIds.push(
+        this._settings.connect(`changed::${CACHED_LIGHTS_KEY}`, () =>
+          this._onCachedLightsChanged(),
+        ),
+      );
+
+      // Drop lights hidden from the menu or preferences, and look for unhidden ones
+      this._ignoredLights = parseIgnoredLights(this._settings.get_string(IGNORED_LIGHTS_KEY));
+      this._settingsSignalIds.push(
+        this._settings.connect(`changed::${IGNORED_LIGHTS_KEY}`, () =>
+          this._onIgnoredLightsChanged(),
+        ),
+      );
+
+      // Restart live discovery with the new filters
+      for (const key of Object.keys(DISCOVERY_OPTION_KEYS)) {
+        this._settingsSignalIds.push(
+          this._settings.connect(`changed::${key}`, () => this._onDiscoveryOptionsChanged()),
+        );
+      }
 
       // Flag to prevent concurrent discovery operations
       this._isDiscovering = false;
@@ -89,8 +210,56 @@ const ElgatoToggle = GObject.registerClass(
       this.menu.addMenuItem(this._separator);
       this._separator.visible = false;
 
+      // Light controls, kept in a section so the items below stay last
+      this._lightsSection = new PopupMenu.PopupMenuSection();
+      this.menu.addMenuItem(this._lightsSection);
+
+      // Manual add for lights that mDNS can't reach
+      this.menu.addMenuItem(new PopupMenu.PopupSeparatorMenuItem());
+
+      // Subnet scan, offered when mDNS discovery is not available
+      this._scanItem = new PopupMenu.PopupMenuItem(_("Scan local network"));
+      this._scanItem.visible = false;
+      this._signalIds.push({
+        obj: this._scanItem,
+        id: this._scanItem.connect("activate", () => this._onScanClicked()),
+      });
+      this.menu.addMenuItem(this._scanItem);
+
+      this._addLightItem = new AddLightItem((host, port) => this._addManualLight(host, port));
+      this.menu.addMenuItem(this._addLightItem);
+
       // Connect toggle click and track signal ID
-      this._signalIds.push(this.connect("clicked", () => this._onToggleClicked()));
+      this._signalIds.push({
+        obj: this,
+        id: this.connect("clicked", () => this._onToggleClicked()),
+      });
+
+      // Poll light state to stay in sync with other controllers, faster while
+      // the menu is open
+      this._pollSourceId = null;
+      this._isPolling = false;
+      this._signalIds.push({
+        obj: this.menu,
+        id: this.menu.connect("open-state-changed", (_menu, isOpen) => {
+          if (isOpen) {
+            this._pollLights();
+          }
+          for (const item of this._lightItems) {
+            item.setMenuOpen(isOpen);
+          }
+          this._schedulePoll();
+        }),
+      });
+      for (const key of [POLL_INTERVAL_KEY, POLL_INTERVAL_MENU_OPEN_KEY]) {
+        this._settingsSignalIds.push(
+          this._settings.connect(`changed::${key}`, () => this._schedulePoll()),
+        );
+      }
+      this._schedulePoll();
+
+      // Live discovery watcher, started once the initial discovery is done
+      this._watcher = null;
 
       // Initialize asynchronously (load cache first, then discover)
       this._initializeAsync();
@@ -117,6 +286,245 @@ const ElgatoToggle = GObject.registerClass(
       } finally {
         this._isDiscovering = false;
       }
+      await this._startWatching();
+    }
+
+    /**
+     * Starts watching the network so lights plugged in or removed later
+     * appear and disappear without a manual refresh.
+     * Does nothing if already watching or if Avahi is not available.
+     */
+    async _startWatching() {
+      if (this._watcher || this._destroyed) {
+        return;
+      }
+
+      try {
+        if (!(await isAvahiAvailable()) || this._destroyed || this._watcher) {
+          return;
+        }
+
+        this._watcher = watchLights(
+          {
+            onAdded: (data) => this._onLightAdded(data),
+            onUpdated: (data) => this._onLightAdded(data),
+            onRemoved: (data) => this._onLightRemoved(data),
+            onError: (e) => {
+              console.error(`[ElgatoLights] Live discovery stopped: ${e.message}`);
+              this._watcher = null;
+            },
+          },
+          avahiPlatform,
+          this._getDiscoveryOptions(),
+        );
+      } catch (e) {
+        console.error(`[ElgatoLights] Failed to start live discovery: ${e.message}`);
+      }
+    }
+
+    /**
+     * Reads the discovery filters from GSettings.
+     *
+     * @returns {Object} Discovery options (see discoverLights())
+     */
+    _getDiscoveryOptions() {
+      const options = {};
+      for (const [key, field] of Object.entries(DISCOVERY_OPTION_KEYS)) {
+        options[field] =
+          key === "discovery-protocol"
+            ? this._settings.get_string(key)
+            : this._settings.get_strv(key);
+      }
+      return options;
+    }
+
+    /**
+     * Restarts live discovery after the discovery filters changed.
+     * Lights already in the menu are kept until the next rediscovery.
+     */
+    _onDiscoveryOptionsChanged() {
+      this._watcher?.stop();
+      this._watcher = null;
+      this._startWatching();
+    }
+
+    /**
+     * Finds the light described by a configuration (see isSameLight()).
+     *
+     * @param {Object} data - Light configuration
+     * @returns {ElgatoLight|undefined} The light, if known
+     */
+    _findLight(data) {
+      return this._lights.find((l) => isSameLight(l.toConfig(), data));
+    }
+
+    /**
+     * Applies a rediscovered address and identity to a known light.
+     *
+     * @param {ElgatoLight} light - The known light
+     * @param {Object} data - Discovered light configuration
+     * @returns {boolean} True if the address or the addresses to fall back to changed
+     */
+    _updateLightFromConfig(light, data) {
+      // Keep an address the light answered on over switching back to the
+      // preferred one, as long as the light is still found there
+      const host =
+        light.status === LightStatus.ONLINE &&
+        data.port === light.port &&
+        data.addresses?.includes(light.host)
+          ? light.host
+          : data.host;
+      const moved =
+        light.host !== host ||
+        light.port !== data.port ||
+        (data.addresses !== undefined && data.addresses.join() !== light.addresses.join());
+      light.setAddress(host, data.port);
+      light.addresses = data.addresses ?? light.addresses;
+      light.deviceId = data.id ?? light.deviceId;
+      light.hostname = data.hostname ?? light.hostname;
+      light.missedDiscoveries = data.missedDiscoveries ?? light.missedDiscoveries;
+      return moved;
+    }
+
+    /**
+     * Adds a light reported by live discovery and fetches its state.
+     * A known light that reappears, or whose preferred address changes, is
+     * updated in place.
+     *
+     * @param {Object} data - Discovered light (see discoverLights())
+     */
+    async _onLightAdded(data) {
+      if (this._destroyed || isIgnoredLight(data, this._ignoredLights)) {
+        return;
+      }
+
+      const existing = this._findLight(data);
+      if (existing) {
+        const wasUnconfirmed = existing.unconfirmed;
+        const moved = this._updateLightFromConfig(existing, { ...data, missedDiscoveries: 0 });
+        if (moved || wasUnconfirmed) {
+          this._saveCachedLights();
+        }
+        return;
+      }
+
+      const light = new ElgatoLight(data.name, data.host, data.port, this._getLightOptions(data));
+      this._lights.push(light);
+
+      if (this._lights.length === 1) {
+        this._updateUI();
+      } else {
+        this._createLightItem(light);
+        this._updateToggleState();
+      }
+
+      try {
+        await light.fetchInfo();
+        await light.fetchState();
+      } catch (e) {
+        console.error(`[ElgatoLights] Failed to refresh ${light.name}: ${e.message}`);
+      }
+
+      if (this._destroyed) return;
+      this._dropIgnoredLights();
+      this._saveCachedLights();
+      this._findItem(light)?.updateState();
+      this._updateToggleState();
+    }
+
+    /**
+     * Adds a light at an address entered by the user.
+     *
+     * The address is checked with fetchInfo() before the light is stored.
+     * The light is pinned so rediscovery never removes it; a light that is
+     * already known is pinned and moved to the address instead. A hidden
+     * light is taken off the ignore list.
+     *
+     * @param {string} host - IP address or hostname
+     * @param {number} port - Port number
+     * @returns {Promise<string|null>} Error message, or null if the light was added
+     */
+    async _addManualLight(host, port) {
+      if (this._destroyed) return null;
+
+      const light = new ElgatoLight(host, host, port, this._getLightOptions({ pinned: true }));
+      const info = await light.fetchInfo();
+      if (this._destroyed || !info) {
+        light.destroy();
+        return _("No Elgato light found at %s").format(host);
+      }
+
+      const ignored = removeIgnoredLight(this._ignoredLights, light.toConfig());
+      if (ignored.length !== this._ignoredLights.length) {
+        this._ignoredLights = ignored;
+        this._settings.set_string(IGNORED_LIGHTS_KEY, JSON.stringify(ignored));
+        this._createLightsFromData(this._getLightsData());
+      }
+
+      const existing = this._findLight(light.toConfig());
+      if (existing) {
+        light.destroy();
+        existing.pinned = true;
+        this._updateLightFromConfig(existing, { host, port });
+        this._saveCachedLights();
+
+        // An unhidden light comes back without state
+        await this._refreshLightStates([existing]);
+        if (!this._destroyed) {
+          this._saveCachedLights();
+        }
+        return null;
+      }
+
+      light.name = info.displayName || info.productName || host;
+      this._lights.push(light);
+      if (this._lights.length === 1) {
+        this._updateUI();
+      } else {
+        this._createLightItem(light);
+      }
+      this._saveCachedLights();
+
+      try {
+        await light.fetchState();
+      } catch (e) {
+        console.error(`[ElgatoLights] Failed to refresh ${light.name}: ${e.message}`);
+      }
+
+      if (!this._destroyed) {
+        this._findItem(light)?.updateState();
+        this._updateToggleState();
+      }
+      return null;
+    }
+
+    /**
+     * Removes a light that live discovery reported as gone.
+     * Pinned lights are kept.
+     *
+     * @param {Object} data - Discovered light (see discoverLights())
+     */
+    _onLightRemoved(data) {
+      const light = this._findLight(data);
+      if (this._destroyed || !light || light.pinned) {
+        return;
+      }
+
+      const item = this._findItem(light);
+      if (item) {
+        item.destroy();
+        this._lightItems = this._lightItems.filter((i) => i !== item);
+      }
+      light.destroy();
+      this._lights = this._lights.filter((l) => l !== light);
+      this._lowBatteryNotified.delete(light);
+      this._saveCachedLights();
+
+      if (this._lights.length === 0) {
+        this._updateUI();
+      } else {
+        this._updateToggleState();
+      }
     }
 
     /**
@@ -126,46 +534,260 @@ const ElgatoToggle = GObject.registerClass(
     async _loadCachedLights() {
       const cached = this._settings.get_string(CACHED_LIGHTS_KEY);
       const lightsData = parseCachedLights(cached);
+      this._savedLightsJson = cached;
 
       if (lightsData.length > 0) {
         this._createLightsFromData(lightsData);
         await this._refreshLightStates();
+
+        // Remember serial numbers learned from the lights
+        if (!this._destroyed) {
+          this._saveCachedLights();
+        }
       }
     }
 
+    /**
+     * Returns the configurations of the lights in the menu, followed by
+     * those of the hidden lights.
+     *
+     * @returns {Array<Object>} Light configurations
+     */
+    _getLightsData() {
+      return [...this._lights.map((l) => l.toConfig()), ...this._hiddenLightsData];
+    }
+
     /**
      * Saves discovered lights to GSettings cache for faster startup.
+     * Lights are stored with their device id and serial number, so they are
+     * recognised after their address changes. Hidden lights are stored too.
+     * Changes from the preferences window that haven't been applied yet are
+     * applied first, so they are not overwritten.
      */
     _saveCachedLights() {
+      this._refreshAddedLights(this._applyStoredLights());
       try {
-        const data = this._lights.map((l) => ({
-          name: l.name,
-          host: l.host,
-          port: l.port,
-        }));
-        this._settings.set_string(CACHED_LIGHTS_KEY, JSON.stringify(data));
+        const data = this._getLightsData();
+        this._savedLightsJson = JSON.stringify(data);
+        this._lastSaveTime = Date.now();
+        this._settings.set_string(CACHED_LIGHTS_KEY, this._savedLightsJson);
       } catch (e) {
         console.error(`[ElgatoLights] Failed to save cached lights: ${e.message}`);
       }
     }
 
+    /**
+     * Saves the lights after a poll when they changed since the last save,
+     * such as a light's last seen time, at most once every
+     * LAST_SEEN_SAVE_INTERVAL_MS so polling doesn't keep writing settings.
+     * @private
+     */
+    _saveLastSeen() {
+      if (Date.now() - this._lastSaveTime < LAST_SEEN_SAVE_INTERVAL_MS) {
+        return;
+      }
+      if (JSON.stringify(this._getLightsData()) !== this._savedLightsJson) {
+        this._saveCachedLights();
+      }
+    }
+
+    /**
+     * Applies lights edited in the preferences window.
+     */
+    async _onCachedLightsChanged() {
+      if (this._destroyed) return;
+      await this._refreshAddedLights(this._applyStoredLights());
+    }
+
+    /**
+     * Applies lights the preferences window stored since the last save.
+     *
+     * Known lights pick up their new alias, removed lights are dropped, and
+     * added lights are created. Changes made here that aren't saved yet are
+     * kept (see mergeStoredLights()). Changes written by _saveCachedLights()
+     * itself are ignored.
+     *
+     * @returns {Array<ElgatoLight>} Lights added by the preferences window
+     */
+    _applyStoredLights() {
+      const json = this._settings.get_string(CACHED_LIGHTS_KEY);
+      if (json === this._savedLightsJson) {
+        return [];
+      }
+      const base = parseCachedLights(this._savedLightsJson);
+      this._savedLightsJson = json;
+
+      const previous = this._lights;
+      this._createLightsFromData(
+        mergeStoredLights(base, parseCachedLights(json), this._getLightsData()),
+      );
+      return this._lights.filter((l) => !previous.includes(l));
+    }
+
+    /**
+     * Fetches the state of lights added by the preferences window and saves
+     * what was learned from them.
+     *
+     * @param {Array<ElgatoLight>} added - Lights to refresh
+     */
+    async _refreshAddedLights(added) {
+      if (added.length === 0) {
+        return;
+      }
+      await this._refreshLightStates(added);
+      if (!this._destroyed) {
+        this._saveCachedLights();
+      }
+    }
+
+    /**
+     * Hides a light by adding it to the ignore list, which drops it from the
+     * menu and keeps discovery from adding it again.
+     *
+     * @param {ElgatoLight} light - The light to hide
+     */
+    _hideLight(light) {
+      const ignored = addIgnoredLight(this._ignoredLights, light.toConfig(), light.label);
+      if (!ignored) {
+        console.error(
+          `[ElgatoLights] Cannot hide ${light.name} without a device id or serial number`,
+        );
+        return;
+      }
+      this._settings.set_string(IGNORED_LIGHTS_KEY, JSON.stringify(ignored));
+    }
+
+    /**
+     * Applies a changed ignore list.
+     *
+     * Newly ignored lights are dropped from the menu. Unhidden lights come
+     * back with their stored configuration, and a rediscovery looks for
+     * those that have none.
+     */
+    async _onIgnoredLightsChanged() {
+      if (this._destroyed) return;
+
+      const previous = this._ignoredLights;
+      this._ignoredLights = parseIgnoredLights(this._settings.get_string(IGNORED_LIGHTS_KEY));
+
+      const unhidden = previous.filter((entry) => !isIgnoredLight(entry, this._ignoredLights));
+      const restoredData = this._hiddenLightsData.filter(
+        (l) => !isIgnoredLight(l, this._ignoredLights),
+      );
+      if (restoredData.length === 0) {
+        this._dropIgnoredLights();
+      } else {
+        const before = this._lights;
+        this._createLightsFromData(this._getLightsData());
+        this._saveCachedLights();
+
+        await this._refreshLightStates(this._lights.filter((l) => !before.includes(l)));
+        if (this._destroyed) return;
+        this._saveCachedLights();
+      }
+
+      if (unhidden.some((entry) => !restoredData.some((l) => isIgnoredLight(l, [entry])))) {
+        this._onRefreshClicked();
+      }
+    }
+
+    /**
+     * Moves the lights on the ignore list out of the menu, e.g. after
+     * fetchInfo() revealed the serial number a light was hidden by.
+     */
+    _dropIgnoredLights() {
+      if (this._lights.some((l) => isIgnoredLight(l.toConfig(), this._ignoredLights))) {
+        this._createLightsFromData(this._getLightsData());
+        this._saveCachedLights();
+      }
+    }
+
+    /**
+     * Reads the retry policy from GSettings.
+     *
+     * @returns {Object} Retry policy (see createRetryPolicy())
+     */
+    _getRetryPolicy() {
+      const options = {};
+      for (const [key, field] of Object.entries(RETRY_POLICY_KEYS)) {
+        options[field] =
+          key === "retry-jitter" ? this._settings.get_double(key) : this._settings.get_int(key);
+      }
+      return createRetryPolicy(options);
+    }
+
+    /**
+     * Builds the ElgatoLight options from GSettings and the identity
+     * advertised by the light over mDNS.
+     *
+     * @param {Object} data - Light configuration (see discoverLights())
+     * @returns {Object} Options for the ElgatoLight constructor
+     */
+    _getLightOptions(data) {
+      return {
+        retryPolicy: this._getRetryPolicy(),
+        fadeDurationMs: this._settings.get_int(FADE_DURATION_KEY),
+        deviceId: data.id ?? null,
+        serialNumber: data.serialNumber ?? null,
+        firmwareVersion: data.firmwareVersion ?? null,
+        alias: data.alias ?? null,
+        pinned: Boolean(data.pinned),
+        missedDiscoveries: data.missedDiscoveries ?? 0,
+        lastSeen: data.lastSeen ?? null,
+        model: data.model ?? null,
+        hostname: data.hostname ?? null,
+        addresses: data.addresses ?? [],
+      };
+    }
+
+    /**
+     * Applies a changed retry policy to every light.
+     */
+    _onRetryPolicyChanged() {
+      const policy = this._getRetryPolicy();
+      for (const light of this._lights) {
+        light.setRetryPolicy(policy);
+      }
+    }
+
     /**
      * Creates ElgatoLight instances from serialized data.
      *
+     * Lights that are already known (see isSameLight()) are kept and moved
+     * to their new address, along with their menu items, and take the local
+     * settings (alias, pinned) from the data; the others are
+     * created, and known lights missing from the data are destroyed.
+     * Lights on the ignore list are left out of the menu, and their
+     * configurations are kept aside (see _getLightsData()).
+     *
      * @param {Array} lightsData - Array of light configuration objects
      */
     _createLightsFromData(lightsData) {
-      // Clear existing
+      const previous = this._lights;
+      this._hiddenLightsData = lightsData.filter((l) => isIgnoredLight(l, this._ignoredLights));
       this._lights = [];
-      for (const item of this._lightItems) {
-        item.destroy();
+      for (const data of filterIgnoredLights(lightsData, this._ignoredLights)) {
+        const existing = previous.find(
+          (l) => !this._lights.includes(l) && isSameLight(l.toConfig(), data),
+        );
+        if (existing) {
+          this._updateLightFromConfig(existing, data);
+          existing.alias = data.alias ?? null;
+          existing.pinned = Boolean(data.pinned);
+          this._lights.push(existing);
+        } else {
+          this._lights.push(
+            new ElgatoLight(data.name, data.host, data.port, this._getLightOptions(data)),
+          );
+        }
       }
-      this._lightItems = [];
 
-      // Create new lights
-      for (const data of lightsData) {
-        const light = new ElgatoLight(data.name, data.host, data.port);
-        this._lights.push(light);
+      // Abort in-flight requests of lights that are gone
+      for (const light of previous) {
+        if (!this._lights.includes(light)) {
+          light.destroy();
+          this._lowBatteryNotified.delete(light);
+        }
       }
 
       this._updateUI();
@@ -173,6 +795,7 @@ const ElgatoToggle = GObject.registerClass(
 
     /**
      * Performs mDNS discovery to find Elgato lights on the network.
+     * Uses Avahi when it is running, and the built-in querier otherwise.
      */
     async _discoverLights() {
       if (this._destroyed) return;
@@ -180,28 +803,28 @@ const ElgatoToggle = GObject.registerClass(
       this._statusItem.label.text = _("Discovering...");
 
       try {
-        if (!(await isAvahiAvailable())) {
-          if (this._destroyed) return;
-          this._statusItem.label.text = _("Avahi daemon not running");
-          return;
-        }
-
+        const avahiAvailable = await isAvahiAvailable();
         if (this._destroyed) return;
-        const discovered = await discoverLights();
+
+        this._scanItem.visible = !avahiAvailable;
+        const discovered = avahiAvailable
+          ? await discoverLights(avahiPlatform, this._getDiscoveryOptions())
+          : await queryLights();
 
         if (this._destroyed) return;
 
-        if (discovered.length === 0) {
+        if (discovered.length === 0 && this._lights.length === 0) {
           this._statusItem.label.text = _("No lights found");
           this._statusItem.visible = true;
           return;
         }
 
-        this._createLightsFromData(discovered);
-        this._saveCachedLights();
-
-        // Fetch actual state and display names
-        await this._refreshLightStates();
+        // Known lights keep their entry, even if their address changed, and
+        // lights this discovery missed are kept as unconfirmed for a while
+        const maxMissed = this._settings.get_int(MAX_MISSED_DISCOVERIES_KEY);
+        await this._applyFoundLights(
+          mergeDiscoveredLights(this._getLightsData(), discovered, maxMissed, this._ignoredLights),
+        );
       } catch (e) {
         if (!this._destroyed) {
           console.error(`[ElgatoLights] Discovery failed: ${e.message}`);
@@ -211,16 +834,89 @@ const ElgatoToggle = GObject.registerClass(
     }
 
     /**
-     * Refreshes the state of all discovered lights from their devices.
+     * Replaces the light list with found lights, then fetches their state
+     * and caches them.
+     *
+     * @param {Array} lightsData - Light configurations (see _createLightsFromData())
+     */
+    async _applyFoundLights(lightsData) {
+      this._createLightsFromData(lightsData);
+      this._saveCachedLights();
+
+      // Fetch actual state and display names
+      await this._refreshLightStates();
+      if (!this._destroyed) {
+        this._saveCachedLights();
+      }
+    }
+
+    /**
+     * Handles the scan item - probes the local subnets for lights.
+     * Known lights the scan misses are kept, as a probe may simply time out.
+     */
+    async _onScanClicked() {
+      if (this._isDiscovering || this._destroyed) {
+        return;
+      }
+      this._isDiscovering = true;
+      this._scanItem.reactive = false;
+      this._scanItem.label.text = _("Scanning local network...");
+      this.subtitle = _("Scanning...");
+
+      try {
+        const found = filterIgnoredLights(await scanSubnets(), this._ignoredLights);
+        if (this._destroyed) return;
+
+        if (found.length === 0 && this._lights.length === 0) {
+          this._statusItem.label.text = _("No lights found");
+          this.subtitle = _("No lights");
+          return;
+        }
+
+        const known = this._lights.map((l) => l.toConfig());
+        const confirmed = found.map((light) => ({ ...light, missedDiscoveries: 0 }));
+        await this._applyFoundLights([
+          ...reconcileLights(known, [...confirmed, ...known]),
+          ...this._hiddenLightsData,
+        ]);
+      } catch (e) {
+        if (!this._destroyed) {
+          console.error(`[ElgatoLights] Network scan failed: ${e.message}`);
+          this._statusItem.label.text = _("Network scan failed");
+        }
+      } finally {
+        this._isDiscovering = false;
+        if (!this._destroyed) {
+          this._scanItem.reactive = true;
+          this._scanItem.label.text = _("Scan local network");
+          if (this._lights.length > 0) {
+            this._updateToggleState();
+          }
+        }
+      }
+    }
+
+    /**
+     * Refreshes the state of discovered lights from their devices.
      * Uses Promise.allSettled to allow partial updates when some lights are unreachable.
+     *
+     * @param {Array<ElgatoLight>} [lights] - Lights to refresh, all of them by default
      */
-    async _refreshLightStates() {
+    async _refreshLightStates(lights = this._lights) {
       if (this._destroyed) return;
 
-      const promises = this._lights.map(async (light) => {
+      const promises = lights.map(async (light) => {
         try {
           await light.fetchInfo();
           await light.fetchState();
+
+          // Lights without a battery are skipped once they answered 404
+          if (light.hasBattery !== false) {
+            await light.fetchBatteryInfo();
+            if (light.hasBattery && !light.energySaving) {
+              await light.fetchSettings();
+            }
+          }
         } catch (e) {
           console.error(`[ElgatoLights] Failed to refresh ${light.name}: ${e.message}`);
         }
@@ -228,19 +924,124 @@ const ElgatoToggle = GObject.registerClass(
 
       await Promise.allSettled(promises);
       if (!this._destroyed) {
+        this._dropIgnoredLights();
         this._updateUI();
+        this._checkBatteryLevels();
       }
     }
 
+    /**
+     * Raises a notification for lights whose battery has run low.
+     * A light is notified again only after its battery recovered or charged.
+     */
+    _checkBatteryLevels() {
+      for (const light of this._lights) {
+        if (!isBatteryLow(light.battery)) {
+          this._lowBatteryNotified.delete(light);
+          continue;
+        }
+        if (this._lowBatteryNotified.has(light)) {
+          continue;
+        }
+
+        this._lowBatteryNotified.add(light);
+        Main.notify(
+          _("%s battery low").format(light.label),
+          _("Battery at %d%%. Connect the light to power to keep it running.").format(
+            light.battery.level,
+          ),
+        );
+      }
+    }
+
+    /**
+     * (Re)starts the background poll timer with the interval for the current
+     * menu state.
+     */
+    _schedulePoll() {
+      if (this._pollSourceId) {
+        GLib.source_remove(this._pollSourceId);
+        this._pollSourceId = null;
+      }
+      if (this._destroyed) return;
+
+      const key = this.menu.isOpen ? POLL_INTERVAL_MENU_OPEN_KEY : POLL_INTERVAL_KEY;
+      const interval = this._settings.get_int(key);
+      if (interval <= 0) return;
+
+      this._pollSourceId = GLib.timeout_add_seconds(GLib.PRIORITY_DEFAULT, interval, () => {
+        this._pollLights();
+        return GLib.SOURCE_CONTINUE;
+      });
+    }
+
+    /**
+     * Fetches the current state of every light and updates the existing
+     * menu items in place.
+     *
+     * Lights the user is currently changing (slider dragged or write pending)
+     * are skipped so the poll doesn't move a slider under the cursor.
+     */
+    async _pollLights() {
+      if (this._destroyed || this._isPolling || this._isDiscovering) {
+        return;
+      }
+      this._isPolling = true;
+
+      try {
+        const lights = this._lights;
+        const promises = lights.map(async (light) => {
+          if (this._findItem(light)?.isInteracting) return;
+
+          try {
+            await light.fetchState();
+            if (light.hasBattery) {
+              await light.fetchBatteryInfo();
+            }
+          } catch (e) {
+            console.error(`[ElgatoLights] Failed to poll ${light.name}: ${e.message}`);
+          }
+
+          if (this._destroyed) return;
+          const item = this._findItem(light);
+          if (item && !item.isInteracting) {
+            item.updateState();
+          }
+        });
+
+        await Promise.allSettled(promises);
+        if (this._destroyed || lights !== this._lights) return;
+
+        this._updateToggleState();
+        this._checkBatteryLevels();
+        this._saveLastSeen();
+      } finally {
+        this._isPolling = false;
+      }
+    }
+
+    /**
+     * Finds the menu item controlling a light.
+     *
+     * @param {ElgatoLight} light - The light to look up
+     * @returns {LightControlItem|undefined} The item, if the light is shown
+     */
+    _findItem(light) {
+      return this._lightItems.find((item) => item.light === light);
+    }
+
     /**
      * Updates the menu UI based on current light state.
+     * Items of lights that are still known are kept and updated in place.
      */
     _updateUI() {
-      // Clear existing items
+      // Remove items of lights that are gone
       for (const item of this._lightItems) {
-        item.destroy();
+        if (!this._lights.includes(item.light)) {
+          item.destroy();
+        }
       }
-      this._lightItems = [];
+      this._lightItems = this._lightItems.filter((item) => this._lights.includes(item.light));
 
       if (this._lights.length === 0) {
         this._statusItem.visible = true;
@@ -253,35 +1054,71 @@ const ElgatoToggle = GObject.registerClass(
       this._statusItem.visible = false;
       this._separator.visible = true;
 
-      // Create control items for each light
-      for (const light of this._lights) {
-        const item = new LightControlItem(light, () => this._updateToggleState());
-        this.menu.addMenuItem(item);
-        this._lightItems.push(item);
-      }
+      // Create items for new lights and keep the menu in the order of the lights
+      this._lights.forEach((light, index) => {
+        const item = this._findItem(light);
+        if (item) {
+          // Don't move a slider out from under the user
+          if (!item.isInteracting) {
+            item.updateState();
+          }
+        } else {
+          this._createLightItem(light);
+        }
+        this._lightsSection.moveMenuItem(this._findItem(light), index);
+      });
+      this._lightItems = this._lights.map((light) => this._findItem(light));
 
       this._updateToggleState();
     }
 
+    /**
+     * Creates the menu item for a light and appends it to the light list.
+     *
+     * @param {ElgatoLight} light - The light to show
+     */
+    _createLightItem(light) {
+      const item = new LightControlItem(light, () => this._updateToggleState(), {
+        temperatureScale: this._settings.get_string(TEMPERATURE_SCALE_KEY),
+        onHide: (l) => this._hideLight(l),
+      });
+      this._lightsSection.addMenuItem(item);
+      this._lightItems.push(item);
+    }
+
+    /**
+     * Returns the lights that are not known to be unreachable.
+     *
+     * @returns {Array<ElgatoLight>} Lights whose status is online or unknown
+     */
+    _getReachableLights() {
+      return this._lights.filter((l) => l.status !== LightStatus.OFFLINE);
+    }
+
     /**
      * Updates the main toggle state and subtitle based on light states.
+     * Offline lights are left out of the on/off count.
      */
     _updateToggleState() {
+      const lights = this._getReachableLights();
+
       // Toggle is "on" if any light is on
-      const anyOn = this._lights.some((l) => l.on);
+      const anyOn = lights.some((l) => l.on);
       this.checked = anyOn;
 
       // Update icons based on state
       this._updateIcon(anyOn);
 
       // Update subtitle
-      const onCount = this._lights.filter((l) => l.on).length;
-      if (onCount === 0) {
+      const onCount = lights.filter((l) => l.on).length;
+      if (lights.length === 0) {
+        this.subtitle = _("Offline");
+      } else if (onCount === 0) {
         this.subtitle = _("All off");
-      } else if (onCount === this._lights.length) {
+      } else if (onCount === lights.length) {
         this.subtitle = _("All on");
       } else {
-        this.subtitle = _("%d of %d on").format(onCount, this._lights.length);
+        this.subtitle = _("%d of %d on").format(onCount, lights.length);
       }
     }
 
@@ -312,10 +1149,12 @@ const ElgatoToggle = GObject.registerClass(
       }
 
       // If any light is on, turn all off. Otherwise turn all on.
-      const anyOn = this._lights.some((l) => l.on);
+      // Offline lights are skipped instead of stalling on retries.
+      const lights = this._getReachableLights();
+      const anyOn = lights.some((l) => l.on);
       const targetState = !anyOn;
 
-      const promises = this._lights.map(async (light) => {
+      const promises = lights.map(async (light) => {
         try {
           targetState ? await light.turnOn() : await light.turnOff();
         } catch (e) {
@@ -358,6 +1197,9 @@ const ElgatoToggle = GObject.registerClass(
           this._refreshButton.reactive = true;
         }
       }
+
+      // Restart live discovery if it stopped or Avahi was not running before
+      await this._startWatching();
     }
 
     /**
@@ -368,11 +1210,24 @@ const ElgatoToggle = GObject.registerClass(
       this._destroyed = true;
 
       // Disconnect tracked signals
-      for (const id of this._signalIds) {
-        this.disconnect(id);
+      for (const signal of this._signalIds) {
+        signal.obj.disconnect(signal.id);
       }
       this._signalIds = [];
 
+      if (this._pollSourceId) {
+        GLib.source_remove(this._pollSourceId);
+        this._pollSourceId = null;
+      }
+
+      this._watcher?.stop();
+      this._watcher = null;
+
+      for (const id of this._settingsSignalIds) {
+        this._settings.disconnect(id);
+      }
+      this._settingsSignalIds = [];
+
       // Disconnect refresh button signal
       if (this._refreshButton && this._refreshButtonSignalId) {
         this._refreshButton.disconnect(this._refreshButtonSignalId);
@@ -382,6 +1237,13 @@ const ElgatoToggle = GObject.registerClass(
       for (const item of this._lightItems) {
         item.destroy();
       }
+      this._lightItems = [];
+
+      // Abort in-flight requests and retry timers of every light
+      for (const light of this._lights) {
+        light.destroy();
+      }
+      this._lights = [];
       super.destroy();
     }
   },
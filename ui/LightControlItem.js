@@ -2,7 +2,9 @@
  * Per-light control item for the Elgato Lights extension.
  *
  * Displays individual light controls including toggle, brightness slider,
- * and color temperature slider in the Quick Settings menu.
+ * and color temperature slider in the Quick Settings menu. Color-capable
+ * lights get hue and saturation sliders in place of the temperature slider,
+ * and accessories with several light channels get a sub-row per channel.
  */
 
 import GObject from "gi://GObject";
@@ -13,9 +15,32 @@ import Clutter from "gi://Clutter";
 import * as PopupMenu from "resource:///org/gnome/shell/ui/popupMenu.js";
 import * as Slider from "resource:///org/gnome/shell/ui/slider.js";
 
-import { gettext as _ } from "resource:///org/gnome/shell/extensions/extension.js";
+import { gettext as _, ngettext } from "resource:///org/gnome/shell/extensions/extension.js";
 
-import { Temperature, Brightness } from "../elgatoApi.js";
+import {
+  Temperature,
+  TemperatureScale,
+  Brightness,
+  Hue,
+  Saturation,
+  FadeDuration,
+  MODE_COLOR,
+  MODE_WHITE,
+  POWER_ON_RESTORE_LAST,
+  POWER_ON_USE_DEFAULTS,
+  getBatteryIconName,
+  isBatteryLow,
+  getSignalLevel,
+  formatWifiBand,
+  formatAddress,
+  LightStatus,
+} from "../elgatoApi.js";
+
+/** Debounce delay before sending device settings changes, in milliseconds. */
+const SETTINGS_DEBOUNCE_MS = 300;
+
+/** Interval for refreshing Wi-Fi signal strength while the info panel is open. */
+const WIFI_REFRESH_SECONDS = 5;
 
 /**
  * Per-light control item displayed in the Quick Settings menu.
@@ -30,8 +55,11 @@ const LightControlItem = GObject.registerClass(
      *
      * @param {ElgatoLight} light - The light instance to control
      * @param {Function} onChanged - Callback invoked when light state changes
+     * @param {Object} [options] - Display options
+     * @param {string} [options.temperatureScale] - Temperature slider spacing (see TemperatureScale)
+     * @param {Function} [options.onHide] - Called with the light when the user hides it
      */
-    _init(light, onChanged) {
+    _init(light, onChanged, options = {}) {
       super._init({
         activate: false,
         can_focus: false,
@@ -40,6 +68,8 @@ const LightControlItem = GObject.registerClass(
       this._light = light;
       this._onChanged = onChanged;
       this._updating = false;
+      this._temperatureScale = options.temperatureScale ?? TemperatureScale.MIRED;
+      this._onHide = options.onHide ?? null;
 
       // Track signals for cleanup
       this._signals = [];
@@ -62,12 +92,110 @@ const LightControlItem = GObject.registerClass(
       box.add_child(headerBox);
 
       this._nameLabel = new St.Label({
-        text: light.displayName || light.name,
+        text: light.label,
         y_align: Clutter.ActorAlign.CENTER,
         x_expand: true,
       });
       headerBox.add_child(this._nameLabel);
 
+      // Inline rename entry (replaces the name label while editing)
+      this._nameEntry = new St.Entry({
+        style_class: "elgato-name-entry",
+        can_focus: true,
+        x_expand: true,
+        visible: false,
+      });
+      this._signals.push({
+        obj: this._nameEntry.clutter_text,
+        id: this._nameEntry.clutter_text.connect("activate", () => this._commitRename()),
+      });
+      this._signals.push({
+        obj: this._nameEntry.clutter_text,
+        id: this._nameEntry.clutter_text.connect("key-press-event", (_actor, event) => {
+          if (event.get_key_symbol() === Clutter.KEY_Escape) {
+            this._cancelRename();
+            return Clutter.EVENT_STOP;
+          }
+          return Clutter.EVENT_PROPAGATE;
+        }),
+      });
+      headerBox.add_child(this._nameEntry);
+
+      // Offline badge with retry button (shown while the light is unreachable)
+      this._offlineBox = new St.BoxLayout({
+        style_class: "elgato-offline-box",
+        visible: false,
+      });
+      this._offlineBox.add_child(
+        new St.Label({
+          text: _("Offline"),
+          style_class: "elgato-offline-badge",
+          y_align: Clutter.ActorAlign.CENTER,
+        }),
+      );
+      this._retryButton = new St.Button({
+        style_class: "elgato-info-button",
+        can_focus: true,
+        child: new St.Icon({
+          icon_name: "view-refresh-symbolic",
+          icon_size: 16,
+        }),
+      });
+      this._signals.push({
+        obj: this._retryButton,
+        id: this._retryButton.connect("clicked", () => this._onRetryClicked()),
+      });
+      this._offlineBox.add_child(this._retryButton);
+      headerBox.add_child(this._offlineBox);
+
+      // Rename button
+      this._renameButton = new St.Button({
+        style_class: "elgato-info-button",
+        can_focus: true,
+        child: new St.Icon({
+          icon_name: "document-edit-symbolic",
+          icon_size: 16,
+        }),
+      });
+      this._signals.push({
+        obj: this._renameButton,
+        id: this._renameButton.connect("clicked", () => this._onRenameClicked()),
+      });
+      headerBox.add_child(this._renameButton);
+
+      // Battery indicator (only for battery-powered lights)
+      this._batteryBox = new St.BoxLayout({
+        style_class: "elgato-battery-indicator",
+        visible: false,
+      });
+      this._batteryIcon = new St.Icon({
+        icon_size: 16,
+        y_align: Clutter.ActorAlign.CENTER,
+      });
+      this._batteryBox.add_child(this._batteryIcon);
+      this._batteryLabel = new St.Label({
+        y_align: Clutter.ActorAlign.CENTER,
+      });
+      this._batteryBox.add_child(this._batteryLabel);
+      headerBox.add_child(this._batteryBox);
+
+      // Color/white mode button (only for color-capable lights)
+      this._modeIcon = new St.Icon({
+        icon_name: "color-select-symbolic",
+        icon_size: 16,
+      });
+      this._modeButton = new St.Button({
+        style_class: "elgato-mode-button",
+        can_focus: true,
+        child: this._modeIcon,
+        visible: false,
+      });
+      this._signals.push({
+        obj: this._modeButton,
+        id: this._modeButton.connect("clicked", () => this._onModeClicked()),
+      });
+      headerBox.add_child(this._modeButton);
+
       // Info button
       this._infoButton = new St.Button({
         style_class: "elgato-info-button",
@@ -83,6 +211,21 @@ const LightControlItem = GObject.registerClass(
       });
       headerBox.add_child(this._infoButton);
 
+      // Device settings button
+      this._settingsButton = new St.Button({
+        style_class: "elgato-info-button",
+        can_focus: true,
+        child: new St.Icon({
+          icon_name: "emblem-system-symbolic",
+          icon_size: 16,
+        }),
+      });
+      this._signals.push({
+        obj: this._settingsButton,
+        id: this._settingsButton.connect("clicked", () => this._onSettingsClicked()),
+      });
+      headerBox.add_child(this._settingsButton);
+
       this._toggle = new St.Button({
         style_class: "elgato-light-toggle",
         can_focus: true,
@@ -104,6 +247,17 @@ const LightControlItem = GObject.registerClass(
         visible: false,
       });
       box.add_child(this._infoBox);
+      this._wifiRefreshTimeout = null;
+      this._wifiRefreshPending = false;
+
+      // Device settings panel (hidden by default)
+      this._settingsBox = new St.BoxLayout({
+        vertical: true,
+        style_class: "elgato-info-panel",
+        visible: false,
+      });
+      box.add_child(this._settingsBox);
+      this._pendingSettings = {};
 
       // Brightness slider row
       const brightnessBox = new St.BoxLayout({
@@ -137,12 +291,13 @@ const LightControlItem = GObject.registerClass(
       });
       brightnessBox.add_child(this._brightnessLabel);
 
-      // Temperature slider row
+      // Temperature slider row (white mode)
       const tempBox = new St.BoxLayout({
         x_expand: true,
         style_class: "elgato-slider-row",
       });
       box.add_child(tempBox);
+      this._tempBox = tempBox;
 
       tempBox.add_child(
         new St.Icon({
@@ -167,10 +322,194 @@ const LightControlItem = GObject.registerClass(
       });
       tempBox.add_child(this._tempLabel);
 
+      // Hue slider row (color mode)
+      this._hueBox = new St.BoxLayout({
+        x_expand: true,
+        style_class: "elgato-slider-row",
+        visible: false,
+      });
+      box.add_child(this._hueBox);
+
+      this._hueBox.add_child(
+        new St.Icon({
+          icon_name: "color-select-symbolic",
+          icon_size: 16,
+          style_class: "elgato-slider-icon",
+        }),
+      );
+
+      this._hueSlider = new Slider.Slider(0);
+      this._hueSlider.x_expand = true;
+      this._signals.push({
+        obj: this._hueSlider,
+        id: this._hueSlider.connect("notify::value", () => this._onHueChanged()),
+      });
+      this._hueBox.add_child(this._hueSlider);
+
+      this._hueLabel = new St.Label({
+        text: "0°",
+        style_class: "elgato-slider-label",
+        y_align: Clutter.ActorAlign.CENTER,
+      });
+      this._hueBox.add_child(this._hueLabel);
+
+      // Saturation slider row (color mode)
+      this._saturationBox = new St.BoxLayout({
+        x_expand: true,
+        style_class: "elgato-slider-row",
+        visible: false,
+      });
+      box.add_child(this._saturationBox);
+
+      this._saturationBox.add_child(
+        new St.Icon({
+          icon_name: "applications-graphics-symbolic",
+          icon_size: 16,
+          style_class: "elgato-slider-icon",
+        }),
+      );
+
+      this._saturationSlider = new Slider.Slider(1);
+      this._saturationSlider.x_expand = true;
+      this._signals.push({
+        obj: this._saturationSlider,
+        id: this._saturationSlider.connect("notify::value", () => this._onSaturationChanged()),
+      });
+      this._saturationBox.add_child(this._saturationSlider);
+
+      this._saturationLabel = new St.Label({
+        text: "100%",
+        style_class: "elgato-slider-label",
+        y_align: Clutter.ActorAlign.CENTER,
+      });
+      this._saturationBox.add_child(this._saturationLabel);
+
+      // Per-channel sub-rows (only for accessories with several channels)
+      this._channelBox = new St.BoxLayout({
+        vertical: true,
+        x_expand: true,
+        style_class: "elgato-channel-list",
+        visible: false,
+      });
+      box.add_child(this._channelBox);
+      this._channelRows = [];
+
+      // Track slider drags so background refreshes don't fight the user
+      this._dragCount = 0;
+      for (const slider of [
+        this._brightnessSlider,
+        this._tempSlider,
+        this._hueSlider,
+        this._saturationSlider,
+      ]) {
+        this._signals.push(...this._trackDrag(slider));
+      }
+
+      // Controls disabled while the light is offline
+      this._controls = [
+        this._toggle,
+        this._modeButton,
+        this._renameButton,
+        this._settingsButton,
+        this._brightnessSlider,
+        this._tempSlider,
+        this._hueSlider,
+        this._saturationSlider,
+        this._channelBox,
+      ];
+
+      // Follow reachability changes reported by the light
+      this._statusListenerId = light.addStatusListener(() => {
+        if (this._destroyed) return;
+        this.updateState();
+        this._onChanged?.();
+      });
+
       // Initial state update
       this.updateState();
     }
 
+    /**
+     * The light controlled by this item.
+     *
+     * @returns {ElgatoLight}
+     */
+    get light() {
+      return this._light;
+    }
+
+    /**
+     * Whether the user is changing this light right now: a slider is being
+     * dragged, or a change is still waiting to be sent or being sent.
+     *
+     * @returns {boolean}
+     */
+    get isInteracting() {
+      return (
+        this._dragCount > 0 ||
+        this._light.hasPendingWrites ||
+        Boolean(this._brightnessTimeout) ||
+        Boolean(this._tempTimeout) ||
+        Boolean(this._hueTimeout) ||
+        Boolean(this._saturationTimeout) ||
+        this._channelRows.some((row) => Boolean(row.timeout))
+      );
+    }
+
+    /**
+     * Counts drags of a slider towards isInteracting.
+     *
+     * Drags of channel row sliders are also counted on the row, so they can
+     * be discounted when the row is removed in the middle of a drag.
+     *
+     * @param {Slider.Slider} slider - Slider to watch
+     * @param {Object} [row] - Channel row the slider belongs to
+     * @returns {Array<{obj: Object, id: number}>} Connected signals
+     * @private
+     */
+    _trackDrag(slider, row = null) {
+      return [
+        {
+          obj: slider,
+          id: slider.connect("drag-begin", () => {
+            this._dragCount++;
+            if (row) row.dragCount++;
+          }),
+        },
+        {
+          obj: slider,
+          id: slider.connect("drag-end", () => {
+            this._dragCount = Math.max(0, this._dragCount - 1);
+            if (row) row.dragCount = Math.max(0, row.dragCount - 1);
+          }),
+        },
+      ];
+    }
+
+    /**
+     * Changes the spacing of the temperature sliders.
+     *
+     * @param {string} scale - Temperature slider spacing (see TemperatureScale)
+     */
+    setTemperatureScale(scale) {
+      this._temperatureScale = scale;
+      this.updateState();
+    }
+
+    /**
+     * Pauses the Wi-Fi refresh while the menu is closed, and resumes it when
+     * the menu opens again with the info panel still shown.
+     *
+     * @param {boolean} isOpen - Whether the menu is open
+     */
+    setMenuOpen(isOpen) {
+      if (isOpen && this._infoBox.visible) {
+        this._startWifiRefresh();
+      } else {
+        this._stopWifiRefresh();
+      }
+    }
+
     /**
      * Updates the UI to reflect the current light state.
      */
@@ -179,6 +518,9 @@ const LightControlItem = GObject.registerClass(
 
       const light = this._light;
 
+      // Pick up a changed local alias
+      this._nameLabel.text = light.label;
+
       // Update toggle appearance
       if (light.on) {
         this._toggle.add_style_class_name("on");
@@ -190,12 +532,294 @@ const LightControlItem = GObject.registerClass(
       this._brightnessSlider.value = Brightness.toSlider(light.brightness);
       this._brightnessLabel.text = `${light.brightness}%`;
 
-      this._tempSlider.value = Temperature.apiToSlider(light.temperature);
+      this._tempSlider.value = Temperature.apiToSlider(light.temperature, this._temperatureScale);
       this._tempLabel.text = `${Temperature.apiToKelvin(light.temperature)}K`;
 
+      // Show hue/saturation in place of temperature while in color mode
+      const colorMode = light.mode === MODE_COLOR;
+      this._modeButton.visible = light.supportsColor;
+      this._modeIcon.icon_name = colorMode ? "weather-clear-symbolic" : "color-select-symbolic";
+      this._tempBox.visible = !colorMode;
+      this._hueBox.visible = colorMode;
+      this._saturationBox.visible = colorMode;
+
+      if (light.hue !== null) {
+        this._hueSlider.value = Hue.toSlider(light.hue);
+        this._hueLabel.text = `${Math.round(light.hue)}°`;
+      }
+      if (light.saturation !== null) {
+        this._saturationSlider.value = Saturation.toSlider(light.saturation);
+        this._saturationLabel.text = `${Math.round(light.saturation)}%`;
+      }
+
+      this._syncChannelRows();
+      this._updateBattery();
+      this._updateReachability();
+
       this._updating = false;
     }
 
+    /**
+     * Disables the controls and shows the offline badge while the light is unreachable.
+     * @private
+     */
+    _updateReachability() {
+      const offline = this._light.status === LightStatus.OFFLINE;
+
+      this._offlineBox.visible = offline;
+      for (const control of this._controls) {
+        control.reactive = !offline;
+        control.opacity = offline ? 128 : 255;
+      }
+      if (offline) {
+        this._settingsBox.visible = false;
+        this._cancelRename();
+      }
+    }
+
+    /**
+     * Handles retry button click - checks an offline light right away.
+     */
+    async _onRetryClicked() {
+      if (this._destroyed) return;
+
+      this._retryButton.reactive = false;
+      try {
+        await this._light.retryConnection();
+        if (this._destroyed) return;
+        this.updateState();
+        this._onChanged?.();
+      } catch (e) {
+        if (!this._destroyed) {
+          console.error(`[ElgatoLights] Failed to retry light: ${e.message}`);
+        }
+      } finally {
+        if (!this._destroyed) {
+          this._retryButton.reactive = true;
+        }
+      }
+    }
+
+    /**
+     * Updates the battery level and charging indicator in the header.
+     * @private
+     */
+    _updateBattery() {
+      const battery = this._light.battery;
+      this._batteryBox.visible = battery !== null;
+      if (!battery) {
+        return;
+      }
+
+      this._batteryIcon.icon_name = getBatteryIconName(battery);
+      this._batteryLabel.text = `${battery.level}%`;
+      if (isBatteryLow(battery)) {
+        this._batteryBox.add_style_class_name("low");
+      } else {
+        this._batteryBox.remove_style_class_name("low");
+      }
+    }
+
+    /**
+     * Creates or updates one sub-row per light channel.
+     *
+     * Rows are only shown when the accessory reports more than one channel.
+     * Row widgets are owned by this._channelBox and are destroyed with it, so
+     * their signals are not tracked in this._signals.
+     * @private
+     */
+    _syncChannelRows() {
+      const channels = this._light.channels;
+      const showChannels = channels.length > 1;
+
+      if (!showChannels || this._channelRows.length !== channels.length) {
+        this._removeChannelRows();
+        if (showChannels) {
+          for (let index = 0; index < channels.length; index++) {
+            this._channelRows.push(this._createChannelRow(index));
+          }
+        }
+      }
+      this._channelBox.visible = showChannels;
+
+      for (let index = 0; index < this._channelRows.length; index++) {
+        const row = this._channelRows[index];
+        const channel = channels[index];
+
+        if (channel.on) {
+          row.toggle.add_style_class_name("on");
+        } else {
+          row.toggle.remove_style_class_name("on");
+        }
+        row.brightnessSlider.value = Brightness.toSlider(channel.brightness);
+        row.brightnessLabel.text = `${channel.brightness}%`;
+        row.tempSlider.value = Temperature.apiToSlider(channel.temperature, this._temperatureScale);
+        row.tempLabel.text = `${Temperature.apiToKelvin(channel.temperature)}K`;
+        row.tempRow.visible = channel.mode !== MODE_COLOR;
+      }
+    }
+
+    /**
+     * Builds the sub-row for a single light channel.
+     *
+     * @param {number} index - Channel index
+     * @returns {Object} Row widgets, pending debounce timeout and drag signals
+     * @private
+     */
+    _createChannelRow(index) {
+      const row = { timeout: null, pending: {}, signals: [], dragCount: 0 };
+
+      row.box = new St.BoxLayout({
+        vertical: true,
+        x_expand: true,
+        style_class: "elgato-channel-row",
+      });
+      this._channelBox.add_child(row.box);
+
+      const header = new St.BoxLayout({ x_expand: true });
+      row.box.add_child(header);
+      header.add_child(
+        new St.Label({
+          text: _("Channel %d").format(index + 1),
+          y_align: Clutter.ActorAlign.CENTER,
+          x_expand: true,
+        }),
+      );
+      row.toggle = new St.Button({
+        style_class: "elgato-light-toggle",
+        can_focus: true,
+        child: new St.Icon({
+          icon_name: "system-shutdown-symbolic",
+          icon_size: 16,
+        }),
+      });
+      row.toggle.connect("clicked", () => this._onChannelToggleClicked(index));
+      header.add_child(row.toggle);
+
+      const addSlider = (iconName, format, toChanges) => {
+        const sliderRow = new St.BoxLayout({
+          x_expand: true,
+          style_class: "elgato-slider-row",
+        });
+        sliderRow.add_child(
+          new St.Icon({
+            icon_name: iconName,
+            icon_size: 16,
+            style_class: "elgato-slider-icon",
+          }),
+        );
+        const slider = new Slider.Slider(0.5);
+        slider.x_expand = true;
+        row.signals.push(...this._trackDrag(slider, row));
+        sliderRow.add_child(slider);
+        const label = new St.Label({
+          style_class: "elgato-slider-label",
+          y_align: Clutter.ActorAlign.CENTER,
+        });
+        sliderRow.add_child(label);
+        slider.connect("notify::value", () => {
+          if (this._updating) return;
+          label.text = format(slider.value);
+          this._queueChannelChange(index, toChanges(slider.value));
+        });
+        row.box.add_child(sliderRow);
+        return { sliderRow, slider, label };
+      };
+
+      const brightness = addSlider(
+        "display-brightness-symbolic",
+        (v) => `${Brightness.fromSlider(v)}%`,
+        (v) => ({ brightness: Brightness.fromSlider(v) }),
+      );
+      row.brightnessSlider = brightness.slider;
+      row.brightnessLabel = brightness.label;
+
+      const temperature = addSlider(
+        "weather-clear-symbolic",
+        (v) => `${Temperature.apiToKelvin(Temperature.sliderToApi(v, this._temperatureScale))}K`,
+        (v) => ({
+          temperature: Temperature.sliderToApi(v, this._temperatureScale),
+          mode: MODE_WHITE,
+        }),
+      );
+      row.tempRow = temperature.sliderRow;
+      row.tempSlider = temperature.slider;
+      row.tempLabel = temperature.label;
+
+      return row;
+    }
+
+    /**
+     * Removes all channel sub-rows, their pending timeouts and drag signals.
+     * Drags still in progress on a removed row no longer count as interacting.
+     * @private
+     */
+    _removeChannelRows() {
+      for (const row of this._channelRows) {
+        if (row.timeout) {
+          GLib.source_remove(row.timeout);
+          row.timeout = null;
+        }
+        for (const signal of row.signals) {
+          signal.obj.disconnect(signal.id);
+        }
+        row.signals = [];
+        this._dragCount = Math.max(0, this._dragCount - row.dragCount);
+        row.dragCount = 0;
+      }
+      this._channelRows = [];
+      this._channelBox.destroy_all_children();
+    }
+
+    /**
+     * Accumulates a channel change and sends it after the usual debounce.
+     *
+     * @param {number} index - Channel index
+     * @param {Object} changes - State fields to change
+     * @private
+     */
+    _queueChannelChange(index, changes) {
+      const row = this._channelRows[index];
+      Object.assign(row.pending, changes);
+
+      if (row.timeout) {
+        GLib.source_remove(row.timeout);
+      }
+      row.timeout = GLib.timeout_add(GLib.PRIORITY_DEFAULT, 100, () => {
+        row.timeout = null;
+        if (this._destroyed) return GLib.SOURCE_REMOVE;
+
+        const pending = row.pending;
+        row.pending = {};
+        this._light.setChannelState(index, pending).catch((e) => {
+          console.error(`[ElgatoLights] Failed to update channel ${index}: ${e.message}`);
+        });
+        return GLib.SOURCE_REMOVE;
+      });
+    }
+
+    /**
+     * Handles a channel toggle button click.
+     *
+     * @param {number} index - Channel index
+     * @private
+     */
+    async _onChannelToggleClicked(index) {
+      if (this._destroyed) return;
+
+      try {
+        const channel = this._light.channels[index];
+        await this._light.setChannelState(index, { on: !channel.on });
+        if (this._destroyed) return;
+        this.updateState();
+        this._onChanged?.();
+      } catch (e) {
+        if (!this._destroyed) {
+          console.error(`[ElgatoLights] Failed to toggle channel ${index}: ${e.message}`);
+        }
+      }
+    }
+
     /**
      * Handles toggle button click.
      */
@@ -214,6 +838,78 @@ const LightControlItem = GObject.registerClass(
       }
     }
 
+    /**
+     * Handles rename button click - switches the header to an inline entry,
+     * or commits the entered name if already editing.
+     */
+    _onRenameClicked() {
+      if (this._nameEntry.visible) {
+        this._commitRename();
+        return;
+      }
+
+      this._nameEntry.text = this._light.displayName || this._light.name;
+      this._nameLabel.visible = false;
+      this._nameEntry.visible = true;
+      this._nameEntry.grab_key_focus();
+      this._nameEntry.clutter_text.set_selection(0, -1);
+    }
+
+    /**
+     * Leaves rename mode without changing the name.
+     * @private
+     */
+    _cancelRename() {
+      this._nameEntry.visible = false;
+      this._nameLabel.visible = true;
+    }
+
+    /**
+     * Sends the entered name to the device and leaves rename mode.
+     * @private
+     */
+    async _commitRename() {
+      const name = this._nameEntry.text;
+      this._cancelRename();
+
+      if (name.trim() === (this._light.displayName || this._light.name)) {
+        return;
+      }
+
+      try {
+        const success = await this._light.setDisplayName(name);
+        if (this._destroyed) return;
+        if (success) {
+          this._nameLabel.text = this._light.label;
+        }
+      } catch (e) {
+        if (!this._destroyed) {
+          console.error(`[ElgatoLights] Failed to rename light: ${e.message}`);
+        }
+      }
+    }
+
+    /**
+     * Handles mode button click - switches between white and color mode.
+     */
+    async _onModeClicked() {
+      if (this._destroyed) return;
+
+      const mode = this._light.mode === MODE_COLOR ? MODE_WHITE : MODE_COLOR;
+      try {
+        const success = await this._light.setMode(mode);
+        if (this._destroyed) return;
+        this.updateState();
+        if (success) {
+          this._onChanged?.();
+        }
+      } catch (e) {
+        if (!this._destroyed) {
+          console.error(`[ElgatoLights] Failed to switch light mode: ${e.message}`);
+        }
+      }
+    }
+
     /**
      * Handles info button click - toggles the info panel visibility.
      */
@@ -252,12 +948,369 @@ const LightControlItem = GObject.registerClass(
         addInfoRow(_("Product"), light.productName);
         addInfoRow(_("Firmware"), light.firmwareVersion);
         addInfoRow(_("Serial"), light.serialNumber);
-        addInfoRow(_("IP Address"), `${light.host}:${light.port}`);
+        addInfoRow(_("IP Address"), formatAddress(light.host, light.port));
+        addInfoRow(_("Hostname"), light.hostname);
+        if (light.unconfirmed) {
+          addInfoRow(
+            _("Discovery"),
+            ngettext(
+              "Not found by the last discovery",
+              "Not found by the last %d discoveries",
+              light.missedDiscoveries,
+            ).format(light.missedDiscoveries),
+          );
+        }
+
+        // Wi-Fi details are refreshed in place while the panel is open
+        this._wifiBox = new St.BoxLayout({
+          vertical: true,
+          style_class: "elgato-info-section",
+        });
+        this._infoBox.add_child(this._wifiBox);
+        this._updateWifiRows();
+
+        if (light.battery) {
+          addInfoRow(
+            _("Battery"),
+            light.battery.charging
+              ? _("%d%% (charging)").format(light.battery.level)
+              : `${light.battery.level}%`,
+          );
+        }
+        if (light.energySaving) {
+          addInfoRow(
+            _("Energy saving"),
+            light.energySaving.enabled
+              ? _("On below %d%%").format(light.energySaving.minimumBatteryLevel)
+              : _("Off"),
+          );
+        }
+
+        // Actions row. Buttons are destroyed with the panel, so their
+        // signals are not tracked in this._signals.
+        const actionsRow = new St.BoxLayout({
+          style_class: "elgato-info-actions",
+        });
+        const identifyButton = new St.Button({
+          style_class: "button elgato-settings-button",
+          can_focus: true,
+          label: _("Identify"),
+        });
+        identifyButton.connect("clicked", () => this._onIdentifyClicked());
+        actionsRow.add_child(identifyButton);
+
+        // Hiding needs an identity that survives address changes
+        if (this._onHide && (light.deviceId || light.serialNumber)) {
+          const hideButton = new St.Button({
+            style_class: "button elgato-settings-button",
+            can_focus: true,
+            label: _("Hide this light"),
+          });
+          hideButton.connect("clicked", () => this._onHide(this._light));
+          actionsRow.add_child(hideButton);
+        }
+        this._infoBox.add_child(actionsRow);
+
+        this._startWifiRefresh();
+      } else {
+        this._stopWifiRefresh();
       }
 
       this._infoBox.visible = !isVisible;
     }
 
+    /**
+     * Fills the Wi-Fi section of the info panel from the light's cached Wi-Fi info.
+     * @private
+     */
+    _updateWifiRows() {
+      this._wifiBox.destroy_all_children();
+
+      const wifi = this._light.wifi;
+      if (!wifi) {
+        return;
+      }
+
+      const addRow = (label, value, iconName = null) => {
+        if (value === null || value === undefined) {
+          return;
+        }
+        const row = new St.BoxLayout({
+          style_class: "elgato-info-row",
+        });
+        row.add_child(
+          new St.Label({
+            text: `${label}:`,
+            style_class: "elgato-info-label",
+          }),
+        );
+        if (iconName) {
+          row.add_child(
+            new St.Icon({
+              icon_name: iconName,
+              icon_size: 16,
+            }),
+          );
+        }
+        row.add_child(
+          new St.Label({
+            text: String(value),
+            style_class: "elgato-info-value",
+            x_expand: true,
+          }),
+        );
+        this._wifiBox.add_child(row);
+      };
+
+      addRow(_("Wi-Fi"), wifi.ssid);
+      if (wifi.rssi !== null) {
+        addRow(
+          _("Signal"),
+          `${wifi.rssi} dBm`,
+          `network-wireless-signal-${getSignalLevel(wifi.rssi)}-symbolic`,
+        );
+      }
+      addRow(_("Frequency"), formatWifiBand(wifi.frequencyMHz));
+      addRow(_("MAC Address"), wifi.macAddress);
+    }
+
+    /**
+     * Starts refreshing the Wi-Fi info while the info panel is open.
+     * A tick is skipped while the previous request is still running.
+     * @private
+     */
+    _startWifiRefresh() {
+      this._stopWifiRefresh();
+
+      const refresh = async () => {
+        if (this._wifiRefreshPending) return;
+        this._wifiRefreshPending = true;
+        try {
+          await this._light.fetchWifiInfo();
+          if (this._destroyed || !this._infoBox.visible) return;
+          this._updateWifiRows();
+        } catch (e) {
+          if (!this._destroyed) {
+            console.error(`[ElgatoLights] Failed to refresh Wi-Fi info: ${e.message}`);
+          }
+        } finally {
+          this._wifiRefreshPending = false;
+        }
+      };
+
+      refresh();
+      this._wifiRefreshTimeout = GLib.timeout_add_seconds(
+        GLib.PRIORITY_DEFAULT,
+        WIFI_REFRESH_SECONDS,
+        () => {
+          if (this._destroyed) return GLib.SOURCE_REMOVE;
+          refresh();
+          return GLib.SOURCE_CONTINUE;
+        },
+      );
+    }
+
+    /**
+     * Stops refreshing the Wi-Fi info.
+     * @private
+     */
+    _stopWifiRefresh() {
+      if (this._wifiRefreshTimeout) {
+        GLib.source_remove(this._wifiRefreshTimeout);
+        this._wifiRefreshTimeout = null;
+      }
+    }
+
+    /**
+     * Handles identify button click - makes the physical light blink.
+     */
+    async _onIdentifyClicked() {
+      if (this._destroyed) return;
+
+      try {
+        await this._light.identify();
+      } catch (e) {
+        if (!this._destroyed) {
+          console.error(`[ElgatoLights] Failed to identify light: ${e.message}`);
+        }
+      }
+    }
+
+    /**
+     * Handles settings button click - toggles the device settings panel.
+     * Settings are fetched from the device each time the panel is opened.
+     */
+    async _onSettingsClicked() {
+      if (this._settingsBox.visible) {
+        this._settingsBox.visible = false;
+        return;
+      }
+
+      this._settingsBox.destroy_all_children();
+      this._settingsBox.add_child(
+        new St.Label({
+          text: _("Loading settings..."),
+          style_class: "elgato-info-value",
+        }),
+      );
+      this._settingsBox.visible = true;
+
+      try {
+        const settings = await this._light.fetchSettings();
+        if (this._destroyed || !this._settingsBox.visible) return;
+        this._populateSettings(settings);
+      } catch (e) {
+        if (!this._destroyed) {
+          console.error(`[ElgatoLights] Failed to load settings: ${e.message}`);
+        }
+      }
+    }
+
+    /**
+     * Fills the device settings panel with editors for the given settings.
+     *
+     * Widgets are owned by the panel and are destroyed with it, so their
+     * signals are not tracked in this._signals.
+     *
+     * @param {Object|null} settings - Settings from ElgatoLight.fetchSettings()
+     * @private
+     */
+    _populateSettings(settings) {
+      this._settingsBox.destroy_all_children();
+
+      if (!settings) {
+        this._settingsBox.add_child(
+          new St.Label({
+            text: _("Settings unavailable"),
+            style_class: "elgato-info-value",
+          }),
+        );
+        return;
+      }
+
+      // Power-on behavior: restore last state or use the values below
+      const behaviorRow = new St.BoxLayout({
+        style_class: "elgato-info-row",
+      });
+      behaviorRow.add_child(
+        new St.Label({
+          text: `${_("Power on")}:`,
+          style_class: "elgato-info-label",
+          y_align: Clutter.ActorAlign.CENTER,
+        }),
+      );
+      const behaviorLabel = (behavior) =>
+        behavior === POWER_ON_USE_DEFAULTS ? _("Use power-on values") : _("Restore last state");
+      const behaviorButton = new St.Button({
+        style_class: "button elgato-settings-button",
+        can_focus: true,
+        x_expand: true,
+        label: behaviorLabel(settings.powerOnBehavior),
+      });
+      behaviorRow.add_child(behaviorButton);
+      this._settingsBox.add_child(behaviorRow);
+
+      const addSliderRow = (label, value, format, onChange) => {
+        const row = new St.BoxLayout({
+          style_class: "elgato-info-row",
+        });
+        row.add_child(
+          new St.Label({
+            text: `${label}:`,
+            style_class: "elgato-info-label",
+            y_align: Clutter.ActorAlign.CENTER,
+          }),
+        );
+        const slider = new Slider.Slider(value);
+        slider.x_expand = true;
+        row.add_child(slider);
+        const valueLabel = new St.Label({
+          text: format(slider.value),
+          style_class: "elgato-slider-label",
+          y_align: Clutter.ActorAlign.CENTER,
+        });
+        row.add_child(valueLabel);
+        slider.connect("notify::value", () => {
+          valueLabel.text = format(slider.value);
+          onChange(slider.value);
+        });
+        this._settingsBox.add_child(row);
+        return row;
+      };
+
+      const brightnessRow = addSliderRow(
+        _("Brightness"),
+        Brightness.toSlider(settings.powerOnBrightness),
+        (v) => `${Brightness.fromSlider(v)}%`,
+        (v) => this._queueSettingsChange({ powerOnBrightness: Brightness.fromSlider(v) }),
+      );
+      const temperatureRow = addSliderRow(
+        _("Temperature"),
+        Temperature.apiToSlider(settings.powerOnTemperature, this._temperatureScale),
+        (v) => `${Temperature.apiToKelvin(Temperature.sliderToApi(v, this._temperatureScale))}K`,
+        (v) =>
+          this._queueSettingsChange({
+            powerOnTemperature: Temperature.sliderToApi(v, this._temperatureScale),
+          }),
+      );
+      addSliderRow(
+        _("Fade in"),
+        FadeDuration.toSlider(settings.switchOnDurationMs),
+        (v) => `${FadeDuration.fromSlider(v)}ms`,
+        (v) => this._queueSettingsChange({ switchOnDurationMs: FadeDuration.fromSlider(v) }),
+      );
+      addSliderRow(
+        _("Fade out"),
+        FadeDuration.toSlider(settings.switchOffDurationMs),
+        (v) => `${FadeDuration.fromSlider(v)}ms`,
+        (v) => this._queueSettingsChange({ switchOffDurationMs: FadeDuration.fromSlider(v) }),
+      );
+
+      // Power-on values only apply when the light doesn't restore its last state
+      let behavior = settings.powerOnBehavior;
+      const updateBehaviorRows = () => {
+        brightnessRow.reactive = behavior === POWER_ON_USE_DEFAULTS;
+        temperatureRow.reactive = behavior === POWER_ON_USE_DEFAULTS;
+        brightnessRow.opacity = behavior === POWER_ON_USE_DEFAULTS ? 255 : 128;
+        temperatureRow.opacity = behavior === POWER_ON_USE_DEFAULTS ? 255 : 128;
+      };
+      updateBehaviorRows();
+
+      behaviorButton.connect("clicked", () => {
+        behavior =
+          behavior === POWER_ON_USE_DEFAULTS ? POWER_ON_RESTORE_LAST : POWER_ON_USE_DEFAULTS;
+        behaviorButton.label = behaviorLabel(behavior);
+        updateBehaviorRows();
+        this._queueSettingsChange({ powerOnBehavior: behavior });
+      });
+    }
+
+    /**
+     * Accumulates a device settings change and sends all pending changes
+     * after a short debounce.
+     *
+     * @param {Object} changes - Settings fields to change
+     * @private
+     */
+    _queueSettingsChange(changes) {
+      Object.assign(this._pendingSettings, changes);
+
+      if (this._settingsTimeout) {
+        GLib.source_remove(this._settingsTimeout);
+      }
+      this._settingsTimeout = GLib.timeout_add(GLib.PRIORITY_DEFAULT, SETTINGS_DEBOUNCE_MS, () => {
+        this._settingsTimeout = null;
+        if (this._destroyed) return GLib.SOURCE_REMOVE;
+
+        const pending = this._pendingSettings;
+        this._pendingSettings = {};
+        this._light.updateSettings(pending).catch((e) => {
+          console.error(`[ElgatoLights] Failed to update settings: ${e.message}`);
+        });
+        return GLib.SOURCE_REMOVE;
+      });
+    }
+
     /**
      * Handles brightness slider changes with debouncing.
      */
@@ -291,7 +1344,7 @@ const LightControlItem = GObject.registerClass(
         return;
       }
 
-      const temp = Temperature.sliderToApi(this._tempSlider.value);
+      const temp = Temperature.sliderToApi(this._tempSlider.value, this._temperatureScale);
       this._tempLabel.text = `${Temperature.apiToKelvin(temp)}K`;
 
       // Debounce the API call
@@ -308,6 +1361,56 @@ const LightControlItem = GObject.registerClass(
       });
     }
 
+    /**
+     * Handles hue slider changes with debouncing.
+     */
+    _onHueChanged() {
+      if (this._updating) {
+        return;
+      }
+
+      const hue = Hue.fromSlider(this._hueSlider.value);
+      this._hueLabel.text = `${hue}°`;
+
+      // Debounce the API call
+      if (this._hueTimeout) {
+        GLib.source_remove(this._hueTimeout);
+      }
+      this._hueTimeout = GLib.timeout_add(GLib.PRIORITY_DEFAULT, 100, () => {
+        if (this._destroyed) return GLib.SOURCE_REMOVE;
+        this._light.setHue(hue).catch((e) => {
+          console.error(`[ElgatoLights] Failed to set hue: ${e.message}`);
+        });
+        this._hueTimeout = null;
+        return GLib.SOURCE_REMOVE;
+      });
+    }
+
+    /**
+     * Handles saturation slider changes with debouncing.
+     */
+    _onSaturationChanged() {
+      if (this._updating) {
+        return;
+      }
+
+      const saturation = Saturation.fromSlider(this._saturationSlider.value);
+      this._saturationLabel.text = `${saturation}%`;
+
+      // Debounce the API call
+      if (this._saturationTimeout) {
+        GLib.source_remove(this._saturationTimeout);
+      }
+      this._saturationTimeout = GLib.timeout_add(GLib.PRIORITY_DEFAULT, 100, () => {
+        if (this._destroyed) return GLib.SOURCE_REMOVE;
+        this._light.setSaturation(saturation).catch((e) => {
+          console.error(`[ElgatoLights] Failed to set saturation: ${e.message}`);
+        });
+        this._saturationTimeout = null;
+        return GLib.SOURCE_REMOVE;
+      });
+    }
+
     /**
      * Cleans up resources when the item is destroyed.
      */
@@ -321,6 +1424,11 @@ const LightControlItem = GObject.registerClass(
       }
       this._signals = [];
 
+      if (this._statusListenerId) {
+        this._light.removeStatusListener(this._statusListenerId);
+        this._statusListenerId = null;
+      }
+
       // Remove pending timeouts
       if (this._brightnessTimeout) {
         GLib.source_remove(this._brightnessTimeout);
@@ -330,6 +1438,20 @@ const LightControlItem = GObject.registerClass(
         GLib.source_remove(this._tempTimeout);
         this._tempTimeout = null;
       }
+      if (this._hueTimeout) {
+        GLib.source_remove(this._hueTimeout);
+        this._hueTimeout = null;
+      }
+      if (this._saturationTimeout) {
+        GLib.source_remove(this._saturationTimeout);
+        this._saturationTimeout = null;
+      }
+      if (this._settingsTimeout) {
+        GLib.source_remove(this._settingsTimeout);
+        this._settingsTimeout = null;
+      }
+      this._stopWifiRefresh();
+      this._removeChannelRows();
       super.destroy();
     }
   },
@@ -13,7 +13,7 @@ export default defineConfig({
     coverage: {
       provider: "v8",
       reporter: ["text", "html"],
-      include: ["lib/**/*.js", "discovery.js"],
+      include: ["lib/**/*.js", "discovery.js", "subnetScan.js", "mdnsQuerier.js"],
       exclude: ["**/*.test.js"],
     },
   },
@@ -21,6 +21,7 @@ export default defineConfig({
     alias: {
       "gi://Gio": resolve(__dirname, "tests/__mocks__/gio.js"),
       "gi://GLib": resolve(__dirname, "tests/__mocks__/glib.js"),
+      "gi://Soup?version=3.0": resolve(__dirname, "tests/__mocks__/soup.js"),
     },
   },
 });